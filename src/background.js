@@ -1,57 +1,156 @@
 // Background service worker for Aura Prompt Extension
 
 const {
-    buildSessionOptions
+    getParameterLimits
 } = require('./utils/promptApiSession');
+const {
+    BACKEND_IDS,
+    createOpenAICompatibleProvider,
+    createPromptApiProvider,
+    selectProvider
+} = require('./utils/modelProviders');
+const {
+    ENDPOINT_STORAGE_KEY,
+    GROUNDING_SYSTEM_PROMPT,
+    SETTINGS_STORAGE_KEY,
+    applyToolInstructions,
+    buildSystemPrompt,
+    loadSettings,
+    normalizeSettings,
+    resolveSessionParams
+} = require('./utils/settings');
+const {
+    compactHistory,
+    fitsBudget,
+    getUsageSnapshot,
+    measurePromptUsage,
+    rollingSummarize
+} = require('./utils/contextBudget');
+const {
+    CHUNK_SUMMARY_SCHEMA,
+    buildChunkSummaryPrompt,
+    buildCoverage,
+    buildReducePrompt,
+    chunkSections,
+    estimateReadingTime,
+    formatPartialSummaries,
+    groupForReduce
+} = require('./utils/longDocument');
+const {
+    documentToSections,
+    renderDocumentContext
+} = require('./utils/documentContext');
+const {
+    verifyFactCheckQuotes
+} = require('./utils/factCheck');
+const {
+    PAGE_TYPE_SCHEMA,
+    buildPageTypePrompt,
+    classifyPageSignals,
+    mergePageTypes,
+    shouldAskModel
+} = require('./utils/pageType');
+const {
+    PENDING_SELECTION_KEY,
+    SELECTION_ACTIONS,
+    SELECTION_MENU_ID,
+    buildSelectionMenuId,
+    buildSelectionPrompt,
+    normalizeSelection,
+    parseSelectionMenuId
+} = require('./utils/selectionContext');
+const {
+    MAX_IMAGE_DIMENSION,
+    MAX_TURN_IMAGES,
+    THUMBNAIL_DIMENSION,
+    blobToBase64,
+    fitWithin,
+    normalizeCropRect,
+    parseImageDataUrl,
+    toImageDataUrl
+} = require('./utils/imageInput');
+const {
+    MAX_SOURCES,
+    buildCompareSchema,
+    buildMultiSourcePrompt,
+    renderMultiSourceContext,
+    sourceCharBudget,
+    toSources
+} = require('./utils/multiSource');
+const {
+    buildCacheKey,
+    createIndexedDbStore,
+    createMemoryStore,
+    createResultCache
+} = require('./utils/resultCache');
+const {
+    buildSessionKey,
+    createSessionManager
+} = require('./utils/sessionManager');
+const {
+    StructuredOutputError,
+    buildRepairPrompt,
+    parseStructuredResponse
+} = require('./utils/structuredOutput');
+const {
+    MAX_PDF_BYTES,
+    TEXT_EXCERPT_CHARS,
+    buildPdfDocument,
+    collectPdfSignals,
+    extractPdfText,
+    isPdfUrl
+} = require('./utils/pdfText');
+const {
+    MessageType,
+    STREAM_PORT_NAME,
+    createStreamRequest
+} = require('./utils/streamProtocol');
+const {
+    TAB_CONTEXT_ACTION,
+    describeTabUpdate
+} = require('./utils/tabContext');
+const {
+    TASK_APIS,
+    TASK_API_PROGRESS_ACTION,
+    baseLanguage,
+    buildSummarizerTldr,
+    getTaskApi,
+    getTaskApiStatus,
+    isSameLanguage,
+    pickDetectedLanguage,
+    sampleForDetection
+} = require('./utils/taskApis');
 const {
     buildSuggestionPrompt,
     getFallbackSuggestions,
     parseAISuggestions
 } = require('./utils/suggestionUtils');
+const {
+    BUILTIN_SCHEMAS,
+    CUSTOM_TOOLS_STORAGE_KEY,
+    createSchemaRegistry,
+    loadCustomTools
+} = require('./utils/toolRegistry');
 
 const MESSAGE_PORT_CLOSED_WITHOUT_RESPONSE = 'The message port closed before a response was received.';
-
-// JSON Schemas for Structured Output
-const SCHEMAS = {
-    FACT_CHECK: {
-        type: "object",
-        properties: {
-            claim: { type: "string" },
-            verdict: { type: "string", enum: ["True", "False", "Mixed", "Unverified"] },
-            explanation: { type: "string" },
-            confidence: { type: "number", minimum: 0, maximum: 1 }
-        },
-        required: ["claim", "verdict", "explanation", "confidence"],
-        additionalProperties: false
-    },
-    TLDR: {
-        type: "object",
-        properties: {
-            summary: { type: "string" },
-            reading_time: { type: "string" },
-            sentiment: { type: "string" },
-            takeaways: { type: "array", items: { type: "string" }, maxItems: 5 }
-        },
-        required: ["summary", "reading_time", "sentiment", "takeaways"],
-        additionalProperties: false
-    },
-    ENTITIES: {
-        type: "object",
-        properties: {
-            people: { type: "array", items: { type: "string" } },
-            organizations: { type: "array", items: { type: "string" } },
-            locations: { type: "array", items: { type: "string" } }
-        },
-        required: ["people", "organizations", "locations"],
-        additionalProperties: false
-    }
-};
+const HISTORY_STORAGE_PREFIX = 'aura_history_';
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+const STREAM_RESUME_GRACE_MS = 30 * 1000;
+// Whole-page tools whose answers are worth keeping; chat turns depend on the conversation
+const CACHEABLE_FEATURES = new Set(['TLDR', 'ENTITIES', 'FACT_CHECK']);
+const STRUCTURED_RETRY_LIMIT = 2;
+const PAGE_TYPE_CACHE_LIMIT = 50;
+const PDF_CACHE_LIMIT = 5;
+const SUMMARIZED_CONTEXT_LIMIT = 20;
+const LANGUAGE_CACHE_LIMIT = 50;
+const TRANSLATOR_CACHE_LIMIT = 3;
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
     console.log('Aura Prompt Extension installed');
     chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
         .catch((error) => console.error('Failed to set side panel behavior:', error));
+    createSelectionMenus();
 });
 
 chrome.runtime.onStartup.addListener(() => {
@@ -59,6 +158,44 @@ chrome.runtime.onStartup.addListener(() => {
         .catch((error) => console.error('Failed to set side panel behavior:', error));
 });
 
+function createSelectionMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: SELECTION_MENU_ID, title: 'Ask Aura about selection', contexts: ['selection'] });
+        SELECTION_ACTIONS.forEach((action) => chrome.contextMenus.create({
+            id: buildSelectionMenuId(action.id),
+            parentId: SELECTION_MENU_ID,
+            title: action.title,
+            contexts: ['selection']
+        }));
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const action = parseSelectionMenuId(info.menuItemId);
+    if (!action || !tab?.id) return;
+
+    // sidePanel.open must be called synchronously within the user gesture
+    chrome.sidePanel.open({ tabId: tab.id })
+        .catch((error) => console.error('Failed to open side panel:', error));
+
+    captureSelection(tab)
+        .catch(() => ({}))
+        .then((captured) => {
+            // The content script can't see selections inside iframes or PDFs; the menu text still can
+            const selection = normalizeSelection({
+                text: captured.text || info.selectionText,
+                surrounding: captured.text ? captured.surrounding : '',
+                url: tab.url,
+                title: tab.title
+            });
+            if (!selection) return;
+            return chrome.storage.session.set({
+                [PENDING_SELECTION_KEY]: { ...selection, action: action.id, prompt: action.prompt, createdAt: Date.now() }
+            });
+        })
+        .catch((error) => console.error('Failed to hand the selection to the side panel:', error));
+});
+
 // Handle messages
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'contentScriptReady') {
@@ -80,6 +217,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    // SPA route changes and big in-page updates, reported by the content script once the DOM settles
+    if (request.action === 'pageContentChanged') {
+        if (sender.tab) {
+            notifyTabContextChange({
+                reason: 'contentChanged',
+                tabId: sender.tab.id,
+                windowId: sender.tab.windowId,
+                url: request.url || sender.tab.url || '',
+                title: request.title || sender.tab.title || ''
+            });
+        }
+        return;
+    }
+
     if (request.action === 'refreshSuggestions') {
         handleSuggestionRefresh(request)
             .then(result => sendResponse(result))
@@ -91,20 +242,94 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
-    if (request.action === 'promptAPI') {
-        const sessionId = request.sessionId || `session_${Date.now()}`;
-        
-        let schema = null;
-        if (request.feature === 'FACT_CHECK') schema = SCHEMAS.FACT_CHECK;
-        else if (request.feature === 'TLDR') schema = SCHEMAS.TLDR;
-        else if (request.feature === 'ENTITIES') schema = SCHEMAS.ENTITIES;
-
-        handlePromptAPI(request.prompt, request.context, sessionId, {
-            schema,
-            imageData: request.imageData
-        })
-            .then(response => sendResponse({ success: true, response, sessionId }))
-            .catch(error => sendResponse({ success: false, error: error.message, sessionId }));
+    if (request.action === 'endConversation') {
+        Promise.resolve(request.tabId ?? getActiveTabId())
+            .then(tabId => {
+                const key = buildSessionKey(tabId, request.conversationId);
+                shrunkConversations.delete(key);
+                return sessionManager.forget(key);
+            })
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'restoreConversation') {
+        Promise.resolve(request.tabId ?? getActiveTabId())
+            .then(tabId => sessionManager.replaceHistory(buildSessionKey(tabId, request.conversationId), request.history || []))
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'highlightQuotes') {
+        highlightQuotesInActiveTab(request.quotes)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'listTabs') {
+        listWindowTabs()
+            .then(tabs => sendResponse({ success: true, tabs }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getTabsContent') {
+        extractTabsContent(request.tabIds || [])
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'listPageImages') {
+        listPageImages()
+            .then(images => sendResponse({ success: true, images }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'captureScreenshot') {
+        captureScreenshot()
+            .then(dataUrl => sendResponse({ success: true, dataUrl }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'prepareImages') {
+        prepareImages(request.images || [])
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'captureSelection') {
+        chrome.tabs.query({active: true, currentWindow: true})
+            .then(([tab]) => captureSelection(tab))
+            .then(captured => sendResponse({ success: true, selection: normalizeSelection(captured) }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getModelParams') {
+        getModelLimits()
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getTaskApiStatus') {
+        getTaskApiStatuses(request)
+            .then(statuses => sendResponse({ success: true, statuses }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'translateText') {
+        translateTexts(request.texts || [], request.targetLanguage, request.sourceLanguage)
+            .then(result => sendResponse({ success: true, ...result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
@@ -117,10 +342,136 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // State Management
-const activeSessions = new Map();
-const activeConnections = new Set();
+const streamRequests = new Map(); // requestId -> { stream, controller, port, graceTimer }
 const contentScriptStatus = new Map();
-const suggestionCache = new Map();
+// Results live in IndexedDB so they outlast the service worker being suspended
+const resultCache = createResultCache({ store: globalThis.indexedDB ? createIndexedDbStore() : createMemoryStore() });
+const summarizedContexts = new Map();
+const pageTypeCache = new Map();
+const pdfDocumentCache = new Map();
+const overflowedConversations = new Set();
+const shrunkConversations = new Map(); // conversation key -> hash of the page context it had to summarize
+const overflowWatchedSessions = new WeakSet();
+const languageCache = new Map();
+const translatorCache = new Map(); // "de>en" -> Promise<Translator>
+let languageDetectorPromise = null;
+
+// Conversation history lives in storage.session so it survives worker restarts
+const historyStore = {
+    async get(key) {
+        const storageKey = HISTORY_STORAGE_PREFIX + key;
+        const result = await chrome.storage.session.get(storageKey).catch(() => ({}));
+        return result[storageKey] || [];
+    },
+    async set(key, history) {
+        await chrome.storage.session.set({ [HISTORY_STORAGE_PREFIX + key]: history }).catch(() => {});
+    },
+    async remove(key) {
+        await chrome.storage.session.remove(HISTORY_STORAGE_PREFIX + key).catch(() => {});
+    }
+};
+
+const sessionManager = createSessionManager({
+    historyStore,
+    // The request context only guards the download; shared sessions must outlive a cancelled turn
+    async createSession({ requestContext, ...options }) {
+        return createSessionWithFallback(await getModelParams(), options, requestContext);
+    }
+});
+
+setInterval(() => sessionManager.evictIdle(), SESSION_SWEEP_INTERVAL_MS);
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    sessionManager.releaseTab(tabId).catch((error) => console.error('Failed to release tab sessions:', error));
+    notifyTabContextChange({ reason: 'closed', tabId, windowId: removeInfo.windowId });
+});
+
+// The side panel follows the active tab, so tell it whenever the page behind it changes
+function notifyTabContextChange(change) {
+    chrome.runtime.sendMessage({ action: TAB_CONTEXT_ACTION, ...change }).catch(() => {
+        // No side panel is open to hear about it
+    });
+}
+
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+    chrome.tabs.get(tabId)
+        .then(tab => notifyTabContextChange({ reason: 'activated', tabId, windowId, url: tab.url || '', title: tab.title || '' }))
+        .catch(() => notifyTabContextChange({ reason: 'activated', tabId, windowId, url: '', title: '' }));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    const change = describeTabUpdate(tabId, changeInfo, tab);
+    if (change) notifyTabContextChange(change);
+});
+
+// Custom tools are edited from the side panel; reload their schemas whenever the stored set changes
+const schemaRegistry = createSchemaRegistry({
+    loadCustom: () => loadCustomTools(chrome.storage.local)
+});
+
+// Model settings are edited on the options page and may sync in from another device
+let settingsPromise = null;
+
+function getSettings() {
+    if (!settingsPromise) {
+        settingsPromise = loadSettings(chrome.storage.sync, chrome.storage.local).catch((error) => {
+            // Fall back to the defaults for now and try the storage again next time
+            console.error('[Aura] Failed to load settings:', error);
+            settingsPromise = null;
+            return normalizeSettings();
+        });
+    }
+    return settingsPromise;
+}
+
+// The model backend follows the settings: Chrome's built-in model or a local OpenAI-compatible server
+let providerPromise = null;
+let buildModelProviders = (settings) => [
+    createPromptApiProvider(self),
+    createOpenAICompatibleProvider(settings.endpoint)
+];
+
+async function getModelProvider() {
+    if (!providerPromise) {
+        const pending = getSettings().then(settings => selectProvider(buildModelProviders(settings), settings.backend));
+        providerPromise = pending;
+        // Nothing usable yet; look again next time in case the local server has been started since
+        pending.then(({ usable }) => {
+            if (!usable && providerPromise === pending) providerPromise = null;
+        }, () => {
+            if (providerPromise === pending) providerPromise = null;
+        });
+    }
+    return (await providerPromise).provider;
+}
+
+/**
+ * Replaces the backends the worker chooses from, so tests can run the whole
+ * request pipeline on the mock provider.
+ */
+function setModelProviders(factory) {
+    buildModelProviders = factory;
+    providerPromise = null;
+}
+
+async function requireModelProvider() {
+    const model = await getModelProvider();
+    if (!model.isSupported()) throw new Error(`${model.label} is not available: ${model.unsupportedReason}`);
+    return model;
+}
+
+async function getModelParams() {
+    const model = await getModelProvider();
+    return model.isSupported() ? model.params().catch(() => ({})) : {};
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CUSTOM_TOOLS_STORAGE_KEY]) schemaRegistry.invalidate();
+    if ((areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) || (areaName === 'local' && changes[ENDPOINT_STORAGE_KEY])) {
+        settingsPromise = null;
+        providerPromise = null;
+    }
+});
 
 const restrictedUrlPatterns = [
     /^chrome:\/\//, /^chrome-extension:\/\//, /^moz-extension:\/\//,
@@ -165,19 +516,128 @@ async function handlePageContentRequest(request, sendResponse) {
         const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
         if (!tab) return sendResponse({error: 'No active tab'});
 
-        if (isRestrictedUrl(tab.url)) return sendResponse(await getFallbackPageInfo(tab.id, request.excludeSuggestions));
+        if (!isReadableUrl(tab.url)) return sendResponse(await getFallbackPageInfo(tab.id, request.excludeSuggestions));
+
+        const response = await extractFromTab(tab).catch(() => null);
+        if (!response) return sendResponse(await getFallbackPageInfo(tab.id, request.excludeSuggestions));
+
+        const { signals, ...page } = withRenderedContext(response);
+        const pageType = await detectPageType(page, signals);
+        const language = await detectLanguage(page.content).catch(() => null);
+        const suggestionResult = await generateAISuggestions(page.content, page.title, page.url, request.excludeSuggestions, pageType.type);
+        sendResponse({ ...page, tabId: tab.id, pageType, language, ...suggestionResult });
+    } catch (e) { sendResponse({error: e.message}); }
+}
+
+// PDFs in Chrome's viewer can't host the content script, but they can still be fetched and read here
+function isReadableUrl(url) {
+    return !isRestrictedUrl(url) || isPdfUrl(url);
+}
 
-        if (!(await ensureContentScript(tab.id, tab.url))) return sendResponse(await getFallbackPageInfo(tab.id, request.excludeSuggestions));
+/**
+ * Extracts a tab in the content script's `extractContent` response shape,
+ * reading PDFs locally instead of through the content script.
+ */
+async function extractFromTab(tab) {
+    if (isPdfUrl(tab.url)) return extractPdfTab(tab);
+    if (!(await ensureContentScript(tab.id, tab.url))) throw new Error(`Cannot read "${tab.title || tab.url}"`);
 
-        chrome.tabs.sendMessage(tab.id, {action: 'extractContent'}, async (response) => {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, {action: 'extractContent'}, (response) => {
             if (chrome.runtime.lastError || !response?.success) {
-                sendResponse(await getFallbackPageInfo(tab.id, request.excludeSuggestions));
+                reject(new Error(response?.error || `Failed to extract "${tab.title || tab.url}"`));
             } else {
-                const suggestionResult = await generateAISuggestions(response.content, response.title, response.url, request.excludeSuggestions);
-                sendResponse({ ...response, ...suggestionResult });
+                resolve(response);
             }
         });
-    } catch (e) { sendResponse({error: e.message}); }
+    });
+}
+
+async function loadPdfDocument(tab) {
+    if (pdfDocumentCache.has(tab.url)) return pdfDocumentCache.get(tab.url);
+
+    const response = await fetch(tab.url);
+    if (!response.ok) throw new Error(`Failed to download the PDF (${response.status})`);
+    if (Number(response.headers.get('content-length')) > MAX_PDF_BYTES) throw new Error('This PDF is too large to read');
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_PDF_BYTES) throw new Error('This PDF is too large to read');
+
+    const { title, pages } = await extractPdfText(bytes);
+    const structured = buildPdfDocument({ url: tab.url, title: title || tab.title, pages });
+    if (structured.blocks.length === 0) throw new Error('This PDF has no text layer to read');
+
+    pdfDocumentCache.set(tab.url, structured);
+    if (pdfDocumentCache.size > PDF_CACHE_LIMIT) pdfDocumentCache.delete(pdfDocumentCache.keys().next().value);
+    return structured;
+}
+
+async function extractPdfTab(tab) {
+    const structured = await loadPdfDocument(tab);
+    const text = structured.blocks.map(block => block.text).join(' ');
+    return {
+        success: true,
+        content: text.substring(0, TEXT_EXCERPT_CHARS),
+        contentLength: text.length,
+        truncated: text.length > TEXT_EXCERPT_CHARS,
+        document: structured,
+        signals: collectPdfSignals(structured),
+        leadImage: null,
+        url: tab.url,
+        title: structured.title
+    };
+}
+
+// Replace the content script's plain-text excerpt with a markdown-like rendering of the structured document
+function withRenderedContext(response, renderOptions = {}) {
+    if (!response?.document) return response;
+
+    const { document: structured, ...page } = response;
+    const { text, truncated, totalChars } = renderDocumentContext(structured, renderOptions);
+    return { ...page, content: text, truncated, contentLength: totalChars };
+}
+
+async function listWindowTabs() {
+    const tabs = await chrome.tabs.query({currentWindow: true});
+    return tabs.map(tab => ({
+        id: tab.id,
+        title: tab.title || tab.url || 'Untitled tab',
+        url: tab.url || '',
+        favIconUrl: tab.favIconUrl || '',
+        active: tab.active,
+        readable: isReadableUrl(tab.url)
+    }));
+}
+
+async function extractTabContent(tabId, renderOptions = {}) {
+    const tab = await chrome.tabs.get(tabId);
+    return { tabId: tab.id, ...withRenderedContext(await extractFromTab(tab), renderOptions) };
+}
+
+/**
+ * Extracts every picked tab with an equal share of the context budget and
+ * labels them as sources. Tabs that can't be read are reported, not fatal.
+ */
+async function extractTabsContent(tabIds = []) {
+    const ids = tabIds.slice(0, MAX_SOURCES);
+    const renderOptions = { maxChars: sourceCharBudget(ids.length) };
+    const pages = [];
+    const failed = [];
+
+    // One tab at a time: each extraction may have to inject the content script
+    for (const tabId of ids) {
+        try {
+            pages.push(await extractTabContent(tabId, renderOptions));
+        } catch (error) {
+            failed.push({ tabId, error: error.message });
+        }
+    }
+
+    const sources = toSources(pages);
+    return {
+        context: renderMultiSourceContext(sources),
+        sources: sources.map(({ content, ...source }) => source),
+        failed
+    };
 }
 
 async function handleSuggestionRefresh(request) {
@@ -185,161 +645,761 @@ async function handleSuggestionRefresh(request) {
     if (!tab) return { suggestions: getFallbackSuggestions(request.excludeSuggestions) };
     
     // We need the page content for suggestions
-    return new Promise((resolve) => {
-        chrome.tabs.sendMessage(tab.id, {action: 'extractContent'}, async (response) => {
-            if (chrome.runtime.lastError || !response?.success) {
-                resolve({ suggestions: getFallbackSuggestions(request.excludeSuggestions) });
-            } else {
-                const result = await generateAISuggestions(response.content, response.title, response.url, request.excludeSuggestions);
-                resolve(result);
-            }
-        });
-    });
+    const response = await extractFromTab(tab).catch(() => null);
+    if (!response) return { suggestions: getFallbackSuggestions(request.excludeSuggestions) };
+
+    const { signals, ...page } = withRenderedContext(response);
+    const pageType = await detectPageType(page, signals);
+    return generateAISuggestions(page.content, page.title, page.url, request.excludeSuggestions, pageType.type);
 }
 
-async function generateAISuggestions(content, title, url, excluded = []) {
+/**
+ * Classifies the page from the content script's signals. Only when the
+ * heuristics are unsure is the model asked, and its answer is cached per page.
+ */
+async function detectPageType(page, signals = {}) {
+    const heuristic = classifyPageSignals({ url: page.url, title: page.title, ...signals });
+    if (!shouldAskModel(heuristic)) return heuristic;
+
+    const key = simpleHash(`${page.url}${page.title}`);
+    if (pageTypeCache.has(key)) return pageTypeCache.get(key);
+
     try {
-        const hash = simpleHash(content + title + excluded.join(''));
-        if (suggestionCache.has(hash)) return { suggestions: suggestionCache.get(hash), aiGenerated: true };
+        const model = await getModelProvider();
+        if (!model.isSupported() || (await model.availability()) !== 'available') return heuristic;
 
-        if (!("LanguageModel" in self)) return { suggestions: getFallbackSuggestions(excluded), aiGenerated: false };
+        const prompt = buildPageTypePrompt({ title: page.title, url: page.url, content: page.content, guess: heuristic });
+        const result = parseStructuredResponse(await promptOnce(prompt, { responseConstraint: PAGE_TYPE_SCHEMA }), PAGE_TYPE_SCHEMA);
+        const pageType = mergePageTypes(heuristic, result.ok ? result.value : null);
+
+        pageTypeCache.set(key, pageType);
+        if (pageTypeCache.size > PAGE_TYPE_CACHE_LIMIT) pageTypeCache.delete(pageTypeCache.keys().next().value);
+        return pageType;
+    } catch (e) {
+        console.warn('[Aura] Page type classification failed:', e);
+        return heuristic;
+    }
+}
+
+async function generateAISuggestions(content, title, url, excluded = [], pageType = 'general') {
+    try {
+        const model = await getModelProvider();
+        if (!model.isSupported()) return { suggestions: getFallbackSuggestions(excluded, pageType), aiGenerated: false };
+
+        const { key, contentHash } = await buildCacheKey({
+            toolId: 'SUGGESTIONS',
+            content: content + title,
+            variant: { pageType, excluded, backend: model.id }
+        });
+        const cached = await readCachedResult(key);
+        if (cached) return { suggestions: cached.value, aiGenerated: true };
         
-        const availability = await LanguageModel.availability();
-        if (availability !== 'available') return { suggestions: getFallbackSuggestions(excluded), aiGenerated: false };
+        const availability = await model.availability();
+        if (availability !== 'available') return { suggestions: getFallbackSuggestions(excluded, pageType), aiGenerated: false };
 
-        const session = await LanguageModel.create({ temperature: 0.7, topK: 3 });
+        const session = await createSessionWithFallback(await getModelParams());
         try {
-            const response = await session.prompt(buildSuggestionPrompt({ content, title, url, excludedSuggestions: excluded }));
+            const response = await session.prompt(buildSuggestionPrompt({ content, title, url, excludedSuggestions: excluded, pageType }));
             const suggestions = parseAISuggestions(response, excluded);
             if (suggestions.length === 3) {
-                suggestionCache.set(hash, suggestions);
+                await writeCachedResult(key, suggestions, { toolId: 'SUGGESTIONS', scope: url, contentHash });
                 return { suggestions, aiGenerated: true };
             }
         } finally { session.destroy(); }
     } catch (e) { console.error(e); }
-    return { suggestions: getFallbackSuggestions(excluded), aiGenerated: false };
+    return { suggestions: getFallbackSuggestions(excluded, pageType), aiGenerated: false };
+}
+
+// The cache only ever saves work, so an IndexedDB failure falls back to asking the model
+async function readCachedResult(key) {
+    try {
+        return await resultCache.get(key);
+    } catch (e) {
+        console.warn('[Aura] Failed to read the result cache:', e);
+        return null;
+    }
+}
+
+async function writeCachedResult(key, value, options) {
+    try {
+        await resultCache.set(key, value, options);
+    } catch (e) {
+        console.warn('[Aura] Failed to write the result cache:', e);
+    }
+}
+
+function buildGroundingPrompts(context, { multiSource = false, notebook = false, systemPrompt = GROUNDING_SYSTEM_PROMPT } = {}) {
+    if (!context) return [{ role: 'system', content: systemPrompt }];
+    if (notebook) {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `The following is the user's research notebook: summaries, takeaways and entities they collected from several web pages. Answer from these notes and name the pages you rely on.\n\n${context}` },
+            { role: 'assistant', content: 'I have read the notebook and will say which pages my answers come from. What would you like to know?' }
+        ];
+    }
+    if (multiSource) {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `The following are several web pages, each starting with a heading that labels it [S1], [S2], etc. Keep track of which page each fact comes from.\n\n${context}` },
+            { role: 'assistant', content: 'I have read all of the pages and will attribute what I say to each source. What would you like to know?' }
+        ];
+    }
+    return [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `The following is the content of the current web page, with its headings, lists and tables in Markdown. Refer to sections and tables by name when relevant.\n\n${context}` },
+        { role: 'assistant', content: 'I have read the page content and am ready to help you analyze it. What would you like to know?' }
+    ];
+}
+
+function reconstructImageBlob(imageData) {
+    if (!imageData?.base64) return null;
+    try {
+        const byteCharacters = atob(imageData.base64);
+        const byteNumbers = new Array(byteCharacters.length);
+        for (let i = 0; i < byteCharacters.length; i++) {
+            byteNumbers[i] = byteCharacters.charCodeAt(i);
+        }
+        const blob = new Blob([new Uint8Array(byteNumbers)], { type: imageData.type });
+        console.log(`[Aura] Image reconstructed. Type: ${blob.type}, Size: ${blob.size}`);
+        return blob;
+    } catch (e) {
+        console.error('[Aura] Failed to reconstruct image:', e);
+        return null;
+    }
+}
+
+async function getActiveTabId() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => []);
+    return tab?.id ?? null;
+}
+
+function buildGrounding(tabId, context, groundingOptions = {}, requestContext = {}) {
+    const { sessionParams = {}, backend = '', ...promptOptions } = groundingOptions;
+    return {
+        tabId,
+        // The backend, persona and sampling settings are baked into the base session, so changing them starts a new one
+        contextKey: simpleHash(`${backend}\n${JSON.stringify(sessionParams)}\n${promptOptions.systemPrompt || ''}\n${context}`),
+        initialPrompts: buildGroundingPrompts(context, promptOptions),
+        createOptions: { ...sessionParams, requestContext }
+    };
+}
+
+function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' || /quota/i.test(error?.message || '');
 }
 
-async function handlePromptAPI(prompt, context, sessionId, options = {}) {
+async function promptOnce(prompt, promptOptions = {}, requestContext = {}) {
+    const { signal } = requestContext;
+    const session = await createSessionWithFallback(await getModelParams(), {}, requestContext);
+    try {
+        return await session.prompt(prompt, signal ? { ...promptOptions, signal } : promptOptions);
+    } finally {
+        session.destroy();
+    }
+}
+
+function createModelSummarizer(requestContext) {
+    return (prompt) => promptOnce(prompt, {}, requestContext);
+}
+
+async function shrinkPageContext(context, requestContext = {}) {
+    const hash = simpleHash(context);
+    if (!summarizedContexts.has(hash)) {
+        console.log('[Aura] Page context exceeds the budget, summarizing it.');
+        const summary = await rollingSummarize(context, createModelSummarizer(requestContext), { subject: 'page content' });
+        summarizedContexts.set(hash, summary);
+        if (summarizedContexts.size > SUMMARIZED_CONTEXT_LIMIT) summarizedContexts.delete(summarizedContexts.keys().next().value);
+    }
+    return summarizedContexts.get(hash);
+}
+
+async function compactConversation(key, requestContext = {}) {
+    const history = await sessionManager.getHistory(key);
+    const compacted = await compactHistory(history, createModelSummarizer(requestContext));
+    if (compacted === history) return false;
+
+    console.log(`[Aura] Compacted ${history.length} history messages into ${compacted.length}.`);
+    await sessionManager.replaceHistory(key, compacted);
+    return true;
+}
+
+function watchQuotaOverflow(session, key) {
+    if (overflowWatchedSessions.has(session) || typeof session.addEventListener !== 'function') return;
+    overflowWatchedSessions.add(session);
+
+    session.addEventListener('quotaoverflow', () => {
+        // The API silently drops the oldest turns; compact our copy on the next turn
+        console.warn('[Aura] Context window overflowed, oldest turns were dropped.');
+        overflowedConversations.add(key);
+    });
+}
+
+/**
+ * Acquires the conversation session and makes sure the next prompt fits its
+ * input quota, compacting history first and then summarizing the page context.
+ * A conversation that needed the summary keeps using it for the same page.
+ */
+async function acquireWithinBudget(tabId, conversationId, context, promptInput, requestContext = {}, groundingOptions = {}) {
+    const key = buildSessionKey(tabId, conversationId);
+    const contextHash = simpleHash(context);
+    const shrunk = shrunkConversations.get(key) === contextHash;
+    let grounding = buildGrounding(tabId, shrunk ? await shrinkPageContext(context, requestContext) : context, groundingOptions, requestContext);
+
+    if (overflowedConversations.delete(key)) await compactConversation(key, requestContext);
+
+    const shrinkSteps = [
+        async () => {
+            await compactConversation(key, requestContext);
+        }
+    ];
+    if (!shrunk) {
+        shrinkSteps.push(async () => {
+            const summary = await shrinkPageContext(context, requestContext);
+            grounding = buildGrounding(tabId, summary, groundingOptions, requestContext);
+            shrunkConversations.set(key, contextHash);
+        });
+    }
+
+    for (let step = 0; ; step++) {
+        try {
+            const conversation = await sessionManager.acquire({ ...grounding, conversationId });
+            const needed = await measurePromptUsage(conversation.session, promptInput);
+            if (fitsBudget(getUsageSnapshot(conversation.session), needed)) return conversation;
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+        }
+
+        if (step >= shrinkSteps.length) {
+            throw new Error('This conversation no longer fits in the model context window. Start a new thread to continue.');
+        }
+        await shrinkSteps[step]();
+    }
+}
+
+async function branchWithinBudget(tabId, context, promptInput, requestContext = {}, groundingOptions = {}) {
     let session = null;
     try {
-        const safePrompt = String(prompt || '');
+        session = await sessionManager.branch(buildGrounding(tabId, context, groundingOptions, requestContext));
+        const needed = await measurePromptUsage(session, promptInput);
+        if (fitsBudget(getUsageSnapshot(session), needed)) return session;
+        session.destroy();
+    } catch (error) {
+        if (!isQuotaError(error)) throw error;
+    }
+    const summary = await shrinkPageContext(context, requestContext);
+    return sessionManager.branch(buildGrounding(tabId, summary, groundingOptions, requestContext));
+}
+
+/**
+ * Validates a structured response against its schema. Responses that only
+ * need a lenient repair are fixed locally; otherwise the model is re-prompted
+ * with the validation errors up to STRUCTURED_RETRY_LIMIT times before a
+ * StructuredOutputError is raised. Resolves with normalized JSON text.
+ */
+async function ensureStructuredResponse(raw, schema, reprompt, requestContext = {}) {
+    let text = raw;
+    let result = parseStructuredResponse(text, schema);
+
+    for (let attempt = 1; !result.ok && attempt <= STRUCTURED_RETRY_LIMIT; attempt++) {
+        requestContext.signal?.throwIfAborted();
+        console.warn(`[Aura] Structured response failed validation (attempt ${attempt}):`, result.errors);
+        requestContext.reporter?.progress({ kind: 'repair', attempt, errors: result.errors });
+        text = await reprompt(buildRepairPrompt({ errors: result.errors, raw: text, schema }));
+        result = parseStructuredResponse(text, schema);
+    }
+
+    if (!result.ok) throw new StructuredOutputError(result.errors, text);
+    return JSON.stringify(result.value);
+}
+
+// Regenerating, editing or switching branches rewinds the conversation to where the branch starts
+async function rewindConversation(tabId, { history, conversationId } = {}) {
+    if (Array.isArray(history) && conversationId) {
+        await sessionManager.replaceHistory(buildSessionKey(tabId, conversationId), history);
+    }
+}
+
+async function handlePromptAPI(prompt, context, requestContext = {}, options = {}) {
+    const { signal, reporter } = requestContext;
+    let ownedSession = null;
+    try {
+        // A highlighted passage goes into the turn itself; the page stays in the grounding prompts
+        const sources = Array.isArray(options.sources) ? options.sources : [];
+        const settings = await getSettings();
+        const toolPrompt = applyToolInstructions(String(prompt || ''), settings, options.feature);
+        const safePrompt = buildSelectionPrompt(buildMultiSourcePrompt(toolPrompt, sources), options.selection);
         const safeContext = String(context || '');
         
         console.log(`[Aura] Handling prompt: "${safePrompt.substring(0, 50)}..."`);
         
-        if (!("LanguageModel" in self)) throw new Error('Prompt API not found');
-        
-        const params = await LanguageModel.params().catch(() => ({}));
-        
-        const createOptions = {};
-        
-        // Reconstruct image Blob if Base64 data is present
-        let imageBlob = null;
-        if (options.imageData && options.imageData.base64) {
-            try {
-                const byteCharacters = atob(options.imageData.base64);
-                const byteNumbers = new Array(byteCharacters.length);
-                for (let i = 0; i < byteCharacters.length; i++) {
-                    byteNumbers[i] = byteCharacters.charCodeAt(i);
-                }
-                const byteArray = new Uint8Array(byteNumbers);
-                imageBlob = new Blob([byteArray], { type: options.imageData.type });
-                console.log(`[Aura] Image reconstructed. Type: ${imageBlob.type}, Size: ${imageBlob.size}`);
-            } catch (e) {
-                console.error('[Aura] Failed to reconstruct image:', e);
-            }
-        }
+        const model = await requireModelProvider();
+        const params = await model.params().catch(() => ({}));
+        const systemPrompt = buildSystemPrompt(GROUNDING_SYSTEM_PROMPT, settings);
+        const groundingOptions = {
+            multiSource: sources.length > 0,
+            notebook: Boolean(options.notebook),
+            systemPrompt,
+            backend: model.id,
+            sessionParams: resolveSessionParams(params, settings, options.feature)
+        };
 
-        if (imageBlob) {
-            createOptions.expectedInputs = [{ type: "text" }, { type: "image" }];
-            createOptions.expectedOutputs = [{ type: "text" }];
-        } else if (safeContext) {
-            // Only ground with text if there's no image (multimodal grounding is different)
-            createOptions.initialPrompts = [
-                { role: 'system', content: 'You are a helpful assistant that analyzes webpage content. Use the following context to answer the users questions.' },
-                { role: 'user', content: `The following is the text content from the current web page: \n\n ${safeContext}` },
-                { role: 'assistant', content: 'I have read the page content and am ready to help you analyze it. What would you like to know?' }
-            ];
-        }
+        const promptOptions = {};
+        if (options.schema) promptOptions.responseConstraint = options.schema;
+
+        // Conversations stay with the tab they started in, even after the user switches away
+        const tabId = options.tabId ?? await getActiveTabId();
 
-        session = await createSessionWithFallback(params, createOptions);
-        if (sessionId) activeSessions.set(sessionId, session);
+        await rewindConversation(tabId, options);
 
-        let promptInput;
-        if (imageBlob) {
-            promptInput = [
+        // Multimodal turns use a dedicated session (multimodal grounding is different)
+        const imageBlobs = (options.images || []).slice(0, MAX_TURN_IMAGES).map(reconstructImageBlob).filter(Boolean);
+        if (imageBlobs.length > 0) {
+            ownedSession = await createSessionWithFallback(params, {
+                ...groundingOptions.sessionParams,
+                initialPrompts: [{ role: 'system', content: systemPrompt }],
+                expectedInputs: [{ type: "text" }, { type: "image" }],
+                expectedOutputs: [{ type: "text" }]
+            }, requestContext);
+
+            const promptInput = [
                 { role: "user", content: [
                     { type: "text", value: safePrompt },
-                    { type: "image", value: imageBlob }
+                    ...imageBlobs.map(blob => ({ type: "image", value: blob }))
                 ]}
             ];
-        } else {
-            promptInput = safePrompt;
+            return await streamResponse(ownedSession, promptInput, promptOptions, requestContext);
         }
 
-        const promptOptions = {};
-        if (options.schema) promptOptions.responseConstraint = options.schema;
+        // Structured tools branch off the grounded base so they don't pollute the chat
+        if (options.schema || !options.conversationId) {
+            const session = await branchWithinBudget(tabId, safeContext, safePrompt, requestContext, groundingOptions);
+            ownedSession = session;
+            const response = await streamResponse(session, safePrompt, promptOptions, requestContext);
+            if (!options.schema || signal?.aborted) return response;
+
+            // The branch still holds the failed answer, so the repair prompt can refer back to it
+            return await ensureStructuredResponse(response, options.schema, (repairPrompt) => (
+                session.prompt(repairPrompt, signal ? { ...promptOptions, signal } : promptOptions)
+            ), requestContext);
+        }
+
+        const { key, session } = await acquireWithinBudget(tabId, options.conversationId, safeContext, safePrompt, requestContext, groundingOptions);
+        watchQuotaOverflow(session, key);
+
+        const response = await streamResponse(session, safePrompt, promptOptions, requestContext);
+        // A stopped turn never made it into the session, so keep it out of the stored history too
+        if (!signal?.aborted) await sessionManager.recordTurn(key, safePrompt, response);
+        reporter?.progress({ kind: 'usage', ...getUsageSnapshot(session), overflowed: overflowedConversations.has(key) });
+        return response;
+    } finally {
+        if (ownedSession) ownedSession.destroy();
+    }
+}
+
+async function highlightQuotesInActiveTab(quotes = []) {
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab || !(await ensureContentScript(tab.id, tab.url))) throw new Error('This page cannot be highlighted');
+
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, {action: 'highlightQuotes', quotes}, (response) => {
+            if (chrome.runtime.lastError || !response) reject(new Error(chrome.runtime.lastError?.message || 'No response from the page'));
+            else resolve(response);
+        });
+    });
+}
+
+async function listPageImages() {
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab || !(await ensureContentScript(tab.id, tab.url))) throw new Error('This page cannot be read');
+
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, {action: 'collectImages'}, (response) => {
+            if (chrome.runtime.lastError || !response?.success) reject(new Error(response?.error || 'Failed to list page images'));
+            else resolve(response.images);
+        });
+    });
+}
+
+async function captureScreenshot() {
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab || isRestrictedUrl(tab.url)) throw new Error('This page cannot be captured');
+    return chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+}
+
+async function loadImageBlob(source) {
+    if (source.dataUrl && !parseImageDataUrl(source.dataUrl)) throw new Error('Unsupported image data');
+
+    // The worker's host permissions let it read images the page serves without CORS headers
+    const response = await fetch(source.dataUrl || source.url);
+    if (!response.ok) throw new Error(`Image request failed (${response.status})`);
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) throw new Error('The link is not an image');
+    return blob;
+}
 
-        return await streamResponse(session, promptInput, sessionId, promptOptions);
+async function renderScaledImage(bitmap, crop, maxDimension) {
+    const region = crop || { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+    const size = fitWithin(region.width, region.height, maxDimension);
+    const canvas = new OffscreenCanvas(size.width, size.height);
+    const ctx = canvas.getContext('2d');
+    // JPEG has no alpha channel, so transparent pixels would otherwise turn black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size.width, size.height);
+    ctx.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, size.width, size.height);
+
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+    return { base64: await blobToBase64(blob), type: blob.type, width: size.width, height: size.height };
+}
+
+/**
+ * Loads an image from a URL or data URL, applies the optional crop and
+ * downscales it to MAX_IMAGE_DIMENSION for the model, with a small
+ * thumbnail for the panel.
+ */
+async function prepareImage(source = {}) {
+    const bitmap = await createImageBitmap(await loadImageBlob(source));
+    try {
+        const crop = normalizeCropRect(source.crop, bitmap);
+        const image = await renderScaledImage(bitmap, crop, MAX_IMAGE_DIMENSION);
+        const thumbnail = await renderScaledImage(bitmap, crop, THUMBNAIL_DIMENSION);
+        return { ...image, thumbnail: toImageDataUrl(thumbnail), label: source.label || '' };
     } finally {
-        if (session) session.destroy();
-        if (sessionId) activeSessions.delete(sessionId);
+        bitmap.close();
+    }
+}
+
+async function prepareImages(sources = []) {
+    const images = [];
+    const failed = [];
+    for (const source of sources.slice(0, MAX_TURN_IMAGES)) {
+        try {
+            images.push(await prepareImage(source));
+        } catch (error) {
+            failed.push({ url: source.url || '', error: error.message });
+        }
+    }
+    return { images, failed };
+}
+
+async function captureSelection(tab) {
+    if (!tab || !(await ensureContentScript(tab.id, tab.url))) throw new Error('This page cannot be read');
+
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, {action: 'getSelection'}, (response) => {
+            if (chrome.runtime.lastError || !response?.success) reject(new Error(chrome.runtime.lastError?.message || 'No response from the page'));
+            else resolve(response);
+        });
+    });
+}
+
+// Flags fact-check quotes that don't appear in the text the model was given
+function withVerifiedQuotes(response, context) {
+    try {
+        return JSON.stringify(verifyFactCheckQuotes(JSON.parse(response), context));
+    } catch (e) {
+        return response;
     }
 }
 
-async function createSessionWithFallback(params, options = {}) {
-    const sessionOptions = { ...buildSessionOptions(params), ...options };
-    const availability = await LanguageModel.availability(sessionOptions);
+async function requestDocumentSections() {
+    const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+    if (!tab || !isReadableUrl(tab.url)) throw new Error('This page cannot be read');
+
+    const response = await extractFromTab(tab);
+    const sections = response.document
+        ? documentToSections(response.document)
+        : [{ heading: '', text: response.content || '' }];
+    return { title: response.title, url: response.url, sections };
+}
+
+/**
+ * Map-reduce TL;DR for pages longer than the single-prompt extraction cap.
+ * Each chunk is summarized on its own, then the partial summaries are merged
+ * (hierarchically if needed) into the BUILTIN_SCHEMAS.TLDR shape.
+ */
+async function handleLongDocumentSummary(requestContext = {}) {
+    const { signal, reporter } = requestContext;
+    await requireModelProvider();
+
+    const page = await requestDocumentSections();
+    const chunks = chunkSections(page.sections);
+    if (chunks.length === 0) throw new Error('No readable content found on this page');
+
+    const reportProgress = (completed, phase, headings = []) => reporter?.progress({
+        kind: 'chunks', completed, total: chunks.length, phase, headings
+    });
+
+    const partials = [];
+    for (const chunk of chunks) {
+        reportProgress(chunk.index, 'map', chunk.headings);
+        try {
+            const raw = await promptOnce(
+                buildChunkSummaryPrompt(chunk, { title: page.title, total: chunks.length }),
+                { responseConstraint: CHUNK_SUMMARY_SCHEMA },
+                requestContext
+            );
+            const parsed = parseStructuredResponse(raw, CHUNK_SUMMARY_SCHEMA);
+            if (!parsed.ok) throw new StructuredOutputError(parsed.errors, raw);
+            partials.push({ ...parsed.value, index: chunk.index, headings: chunk.headings });
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            console.error(`[Aura] Failed to summarize chunk ${chunk.index + 1}:`, e);
+        }
+    }
+    if (partials.length === 0) throw new Error('Failed to summarize this page');
+
+    reportProgress(chunks.length, 'reduce');
+    let groups = groupForReduce(formatPartialSummaries(partials));
+    while (groups.length > 1) {
+        const merged = [];
+        for (const [index, group] of groups.entries()) {
+            const raw = await promptOnce(buildReducePrompt(group, { title: page.title }), { responseConstraint: CHUNK_SUMMARY_SCHEMA }, requestContext);
+            const parsed = await ensureStructuredResponse(raw, CHUNK_SUMMARY_SCHEMA, (repairPrompt) => (
+                promptOnce(repairPrompt, { responseConstraint: CHUNK_SUMMARY_SCHEMA }, requestContext)
+            ), requestContext);
+            merged.push({ ...JSON.parse(parsed), index, headings: [] });
+        }
+        groups = groupForReduce(formatPartialSummaries(merged));
+    }
+
+    const raw = await promptOnce(buildReducePrompt(groups[0], { title: page.title }), { responseConstraint: BUILTIN_SCHEMAS.TLDR }, requestContext);
+    const summary = await ensureStructuredResponse(raw, BUILTIN_SCHEMAS.TLDR, (repairPrompt) => (
+        promptOnce(repairPrompt, { responseConstraint: BUILTIN_SCHEMAS.TLDR }, requestContext)
+    ), requestContext);
+    const fullText = page.sections.map((section) => section.text).join(' ');
+
+    return JSON.stringify({
+        ...JSON.parse(summary),
+        reading_time: estimateReadingTime(fullText),
+        coverage: buildCoverage(chunks, partials.map((partial) => partial.index))
+    });
+}
+
+// The task APIs download their own models; every open panel shows the progress
+function notifyTaskApiProgress(api, progress) {
+    chrome.runtime.sendMessage({ action: TASK_API_PROGRESS_ACTION, api, progress }).catch(() => {
+        // No side panel is open to hear about it
+    });
+}
+
+async function createTaskApiSession(id, options = {}, { signal } = {}) {
+    const api = getTaskApi(self, id);
+    if (!api) throw new Error(`${TASK_APIS[id].label} is not supported in this browser`);
+
+    const availability = await api.availability(options);
+    if (availability === 'unavailable') throw new Error(`${TASK_APIS[id].label} is unavailable`);
+    return api.create({
+        ...options,
+        ...(signal ? { signal } : {}),
+        monitor(m) {
+            m.addEventListener('downloadprogress', (e) => {
+                notifyTaskApiProgress(id, e.total ? Math.round((e.loaded / e.total) * 100) : 0);
+            });
+        }
+    });
+}
+
+async function getTaskApiStatuses({ sourceLanguage, targetLanguage } = {}) {
+    // The Translator can only say whether it has a model once it knows the language pair
+    const translatorPair = sourceLanguage && targetLanguage && !isSameLanguage(sourceLanguage, targetLanguage)
+        ? { sourceLanguage: baseLanguage(sourceLanguage), targetLanguage: baseLanguage(targetLanguage) }
+        : null;
+    const [summarizer, translator, languageDetector] = await Promise.all([
+        getTaskApiStatus(self, 'summarizer'),
+        translatorPair || !getTaskApi(self, 'translator') ? getTaskApiStatus(self, 'translator', translatorPair || {}) : 'supported',
+        getTaskApiStatus(self, 'languageDetector')
+    ]);
+    return { summarizer, translator, languageDetector };
+}
+
+/**
+ * Detects the language of a page or answer. Returns `{ language, confidence }`
+ * or `null` when the detector is missing or unsure; results are cached.
+ */
+async function detectLanguage(text) {
+    const sample = sampleForDetection(text);
+    if (!sample || !getTaskApi(self, 'languageDetector')) return null;
+
+    const key = simpleHash(sample);
+    if (languageCache.has(key)) return languageCache.get(key);
+
+    if (!languageDetectorPromise) {
+        languageDetectorPromise = createTaskApiSession('languageDetector').catch((error) => {
+            languageDetectorPromise = null;
+            throw error;
+        });
+    }
+    const detector = await languageDetectorPromise;
+    const detected = pickDetectedLanguage(await detector.detect(sample));
+
+    languageCache.set(key, detected);
+    if (languageCache.size > LANGUAGE_CACHE_LIMIT) languageCache.delete(languageCache.keys().next().value);
+    return detected;
+}
+
+function getTranslator(sourceLanguage, targetLanguage) {
+    const key = `${sourceLanguage}>${targetLanguage}`;
+    if (!translatorCache.has(key)) {
+        const pending = createTaskApiSession('translator', { sourceLanguage, targetLanguage });
+        pending.catch(() => translatorCache.delete(key));
+        translatorCache.set(key, pending);
+        if (translatorCache.size > TRANSLATOR_CACHE_LIMIT) {
+            const [oldestKey, oldest] = translatorCache.entries().next().value;
+            translatorCache.delete(oldestKey);
+            oldest.then(translator => translator.destroy?.(), () => {});
+        }
+    }
+    return translatorCache.get(key);
+}
+
+/**
+ * Translates answer texts into `targetLanguage`. Without a source language
+ * the texts are run through the detector first; text that is already in the
+ * target language comes back unchanged.
+ */
+async function translateTexts(texts = [], targetLanguage, sourceLanguage = null) {
+    const target = baseLanguage(targetLanguage);
+    if (!target) throw new Error('No language to translate into');
+    const source = sourceLanguage ? baseLanguage(sourceLanguage) : (await detectLanguage(texts.join('\n')))?.language;
+    if (!source) throw new Error('Could not tell which language this text is in');
+    if (isSameLanguage(source, target)) return { sourceLanguage: source, targetLanguage: target, texts, unchanged: true };
+
+    const translator = await getTranslator(source, target);
+    const translated = [];
+    for (const text of texts) {
+        translated.push(text ? await translator.translate(text) : text);
+    }
+    return { sourceLanguage: source, targetLanguage: target, texts: translated, unchanged: false };
+}
+
+/**
+ * TL;DR through the Summarizer API: a headline for the summary and key
+ * points for the takeaways. Resolves with `null` when the Summarizer can't
+ * take the page (missing, wrong language, over its input quota, or another
+ * backend selected), so the caller can prompt for BUILTIN_SCHEMAS.TLDR instead.
+ */
+async function summarizeWithSummarizer(context, requestContext = {}) {
+    const { signal } = requestContext;
+    const model = await getModelProvider();
+    if (model.id !== BACKEND_IDS.PROMPT_API || !context || !getTaskApi(self, 'summarizer')) return null;
+
+    const language = (await detectLanguage(context).catch(() => null))?.language;
+    const languageOptions = language ? { expectedInputLanguages: [language], outputLanguage: language } : {};
+    if ((await getTaskApiStatus(self, 'summarizer', { type: 'key-points', ...languageOptions })) === 'unavailable') return null;
+
+    const settings = await getSettings();
+    const instructions = settings.toolOverrides.TLDR?.instructions || undefined;
+
+    const summarize = async (type) => {
+        const summarizer = await createTaskApiSession('summarizer', {
+            type,
+            format: type === 'key-points' ? 'markdown' : 'plain-text',
+            length: 'medium',
+            ...languageOptions
+        }, requestContext);
+        try {
+            if (typeof summarizer.measureInputUsage === 'function'
+                && (await summarizer.measureInputUsage(context)) > summarizer.inputQuota) return null;
+            return await summarizer.summarize(context, { context: instructions, signal });
+        } catch (error) {
+            if (isQuotaError(error)) return null;
+            throw error;
+        } finally {
+            summarizer.destroy();
+        }
+    };
+
+    const keyPoints = await summarize('key-points');
+    if (keyPoints === null) return null;
+    const headline = await summarize('headline');
+    if (headline === null) return null;
+
+    return JSON.stringify(buildSummarizerTldr({ headline, keyPoints, readingTime: estimateReadingTime(context) }));
+}
+
+async function handleTldrRequest(payload, requestContext = {}) {
+    if (!payload.sources?.length) {
+        await rewindConversation(payload.tabId ?? await getActiveTabId(), payload);
+        try {
+            const summary = await summarizeWithSummarizer(String(payload.context || ''), requestContext);
+            if (summary !== null) return summary;
+        } catch (error) {
+            if (requestContext.signal?.aborted) throw error;
+            console.warn('[Aura] Summarizer failed, prompting the model instead:', error);
+        }
+    }
+    return handlePromptRequest(payload, requestContext);
+}
+
+async function createSessionWithFallback(params, options = {}, requestContext = {}) {
+    const settings = await getSettings();
+    const model = await requireModelProvider();
+    const sessionOptions = { ...resolveSessionParams(params, settings), ...options };
+    const availability = await model.availability(sessionOptions);
     
     if (availability === 'unavailable') throw new Error('AI Model Unavailable');
-    if (availability !== 'available') await handleModelDownload(sessionOptions, availability);
+    if (availability !== 'available') await handleModelDownload(model, sessionOptions, requestContext);
+    requestContext.signal?.throwIfAborted();
     
-    return await LanguageModel.create(sessionOptions);
+    return await model.create(sessionOptions);
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
 }
 
-async function streamResponse(session, prompt, sessionId, options = {}) {
+async function streamResponse(session, prompt, options = {}, requestContext = {}) {
+    const { signal, reporter } = requestContext;
     let fullResponse = '';
-    const stream = session.promptStreaming(prompt, options);
-    for await (const chunk of stream) {
-        if (sessionId && !activeSessions.has(sessionId)) break;
-        fullResponse += chunk;
-        await safeSendMessage({ action: 'streamingResponse', sessionId, fullResponse });
+    try {
+        const stream = session.promptStreaming(prompt, signal ? { ...options, signal } : options);
+        for await (const chunk of stream) {
+            if (signal?.aborted) break;
+            fullResponse += chunk;
+            reporter?.delta(chunk);
+        }
+    } catch (error) {
+        // Keep whatever was generated before the user pressed Stop
+        if (!isAbortError(error) && !signal?.aborted) throw error;
     }
     return fullResponse;
 }
 
-async function handleModelDownload(options, availability) {
-    const session = await LanguageModel.create({
+async function handleModelDownload(model, options, { signal, reporter } = {}) {
+    const session = await model.create({
         ...options,
+        ...(signal ? { signal } : {}),
         monitor(m) {
             m.addEventListener('downloadprogress', (e) => {
                 const progress = e.total ? Math.round((e.loaded / e.total) * 100) : 0;
-                safeSendMessage({ action: 'downloadProgress', progress });
+                // Only the port that triggered the download hears about it
+                reporter?.progress({ kind: 'download', progress });
             });
         }
     });
     session.destroy();
 }
 
-function safeSendMessage(message) {
-    return new Promise(resolve => {
-        chrome.runtime.sendMessage(message, () => {
-            chrome.runtime.lastError; // Clear error
-            resolve();
-        });
-    });
+// Limits for the options page, as plain data; falls back to the usual defaults when the backend is missing
+async function getModelLimits() {
+    const model = await getModelProvider();
+    const available = model.isSupported();
+    const params = available ? await model.params().catch(() => ({})) : {};
+    return { available, backend: { id: model.id, label: model.label }, limits: getParameterLimits(params) };
 }
 
 async function checkAPIAvailability() {
-    if (!("LanguageModel" in self)) return { available: false, message: 'Chrome 138+ required' };
-    const status = await LanguageModel.availability();
-    return { available: status === 'available', status };
+    const model = await getModelProvider();
+    const backend = { id: model.id, label: model.label };
+    if (!model.isSupported()) return { available: false, backend, message: model.unsupportedReason };
+    const status = await model.availability();
+    return { available: status === 'available', backend, status };
 }
 
 async function getFallbackPageInfo(tabId, excludeSuggestions = []) {
     const tab = await chrome.tabs.get(tabId).catch(() => ({}));
-    return { success: true, url: tab.url, title: tab.title, suggestions: getFallbackSuggestions(excludeSuggestions) };
+    const pageType = classifyPageSignals({ url: tab.url, title: tab.title });
+    return { success: true, tabId, url: tab.url, title: tab.title, pageType, suggestions: getFallbackSuggestions(excludeSuggestions, pageType.type) };
 }
 
 function simpleHash(str) {
@@ -348,7 +1408,191 @@ function simpleHash(str) {
     return hash.toString();
 }
 
+function safePostMessage(port, message) {
+    try {
+        port.postMessage(message);
+    } catch (e) {
+        // Port closed between the check and the post; the disconnect handler cleans up
+    }
+}
+
+function scheduleStreamCleanup(requestId) {
+    const entry = streamRequests.get(requestId);
+    if (!entry) return;
+
+    clearTimeout(entry.graceTimer);
+    if (entry.stream.attached && entry.stream.settled) {
+        streamRequests.delete(requestId);
+        return;
+    }
+    if (entry.stream.attached) return;
+
+    // Give a reconnecting side panel a chance to resume before giving up on the request
+    entry.graceTimer = setTimeout(() => {
+        entry.controller.abort();
+        streamRequests.delete(requestId);
+    }, STREAM_RESUME_GRACE_MS);
+}
+
+// Compare answers may only name the tabs that were actually picked
+async function resolveRequestSchema(payload) {
+    if (payload.feature === 'COMPARE' && payload.sources?.length) return buildCompareSchema(payload.sources.map(source => source.id));
+    return schemaRegistry.resolve(payload.feature);
+}
+
+function handlePromptRequest(payload, requestContext) {
+    return resolveRequestSchema(payload).then(schema => handlePromptAPI(payload.prompt, payload.context, requestContext, {
+        schema,
+        images: payload.images,
+        feature: payload.feature,
+        conversationId: payload.conversationId,
+        history: payload.history,
+        tabId: payload.tabId,
+        selection: payload.selection,
+        sources: payload.sources,
+        notebook: payload.notebook
+    }));
+}
+
+// Questions about images or several tabs always go to the model. So do questions about the notebook,
+// whose answers come from the user's notes and must not be cached under the tab's URL.
+function isCacheableRequest(payload) {
+    return CACHEABLE_FEATURES.has(payload.feature) && !payload.images?.length && !payload.sources?.length && !payload.notebook;
+}
+
+/**
+ * Cache key for a tool request. Everything that changes the answer besides
+ * the page goes into it, so new settings or another backend miss the cache.
+ */
+async function resolveResultCacheKey(payload) {
+    const settings = await getSettings();
+    const model = await requireModelProvider();
+    const params = await model.params().catch(() => ({}));
+    return buildCacheKey({
+        toolId: payload.feature,
+        content: String(payload.context || ''),
+        variant: {
+            prompt: payload.prompt,
+            selection: payload.selection || null,
+            longDocument: Boolean(payload.longDocument),
+            backend: model.id,
+            sessionParams: resolveSessionParams(params, settings, payload.feature),
+            systemPrompt: buildSystemPrompt(GROUNDING_SYSTEM_PROMPT, settings),
+            instructions: settings.toolOverrides?.[payload.feature]?.instructions || '',
+            schema: await resolveRequestSchema(payload)
+        }
+    });
+}
+
+/**
+ * Answers a tool request from the result cache unless the side panel asked
+ * to recompute, and caches fresh answers that ran to completion.
+ * Resolves with `{ response, cachedAt }`.
+ */
+async function withResultCache(payload, requestContext, compute) {
+    const tabId = payload.tabId ?? await getActiveTabId();
+    // Looked up before the model runs, in case the tab navigates away meanwhile
+    const tab = tabId === null ? null : await chrome.tabs.get(tabId).catch(() => null);
+    const cacheKey = await resolveResultCacheKey(payload).catch(() => null);
+
+    if (cacheKey && payload.cache !== 'refresh') {
+        const cached = await readCachedResult(cacheKey.key);
+        if (cached) {
+            // The conversation still has to be rewound as if the tool had run
+            await rewindConversation(tabId, payload);
+            return { response: cached.value, cachedAt: cached.createdAt };
+        }
+    }
+
+    const response = await compute();
+    if (cacheKey && !requestContext.signal?.aborted) {
+        await writeCachedResult(cacheKey.key, response, { toolId: payload.feature, scope: tab?.url || '', contentHash: cacheKey.contentHash });
+    }
+    return { response };
+}
+
+function startStreamRequest(port, message) {
+    const { requestId, payload = {} } = message;
+    if (!requestId || streamRequests.has(requestId)) {
+        safePostMessage(port, { type: MessageType.ERROR, requestId, error: 'Invalid or duplicate request id' });
+        return;
+    }
+
+    const controller = new AbortController();
+    const stream = createStreamRequest({ requestId });
+    streamRequests.set(requestId, { stream, controller, port, graceTimer: null });
+    stream.attach((msg) => safePostMessage(port, msg));
+
+    const requestContext = { signal: controller.signal, reporter: stream };
+    const compute = () => {
+        let handler;
+        if (payload.feature === 'TLDR' && payload.longDocument) handler = handleLongDocumentSummary(requestContext);
+        else if (payload.feature === 'TLDR') handler = handleTldrRequest(payload, requestContext);
+        else handler = handlePromptRequest(payload, requestContext);
+
+        return handler.then(response => (payload.feature === 'FACT_CHECK' && !controller.signal.aborted
+            ? withVerifiedQuotes(response, payload.context)
+            : response));
+    };
+
+    const handler = isCacheableRequest(payload)
+        ? withResultCache(payload, requestContext, compute)
+        : compute().then(response => ({ response }));
+
+    handler
+        .then(({ response, cachedAt }) => stream.finish({ response, interrupted: controller.signal.aborted, ...(cachedAt ? { cachedAt } : {}) }))
+        .catch(error => {
+            if (controller.signal.aborted) stream.finish({ response: stream.text, interrupted: true });
+            else stream.fail(error);
+        })
+        .finally(() => scheduleStreamCleanup(requestId));
+}
+
+function resumeStreamRequest(port, message) {
+    const entry = streamRequests.get(message.requestId);
+    if (!entry) {
+        safePostMessage(port, { type: MessageType.ERROR, requestId: message.requestId, error: 'The request is no longer available' });
+        return false;
+    }
+
+    clearTimeout(entry.graceTimer);
+    entry.port = port;
+    entry.stream.attach((msg) => safePostMessage(port, msg), message.offset || 0);
+    scheduleStreamCleanup(message.requestId);
+    return true;
+}
+
 chrome.runtime.onConnect.addListener((port) => {
-    activeConnections.add(port);
-    port.onDisconnect.addListener(() => activeConnections.delete(port));
+    if (port.name !== STREAM_PORT_NAME) return;
+
+    const ownedRequests = new Set();
+
+    port.onMessage.addListener((message) => {
+        if (message?.type === MessageType.PROMPT) {
+            ownedRequests.add(message.requestId);
+            startStreamRequest(port, message);
+        } else if (message?.type === MessageType.RESUME) {
+            if (resumeStreamRequest(port, message)) ownedRequests.add(message.requestId);
+        } else if (message?.type === MessageType.ACK) {
+            streamRequests.get(message.requestId)?.stream.ack(message.seq);
+        } else if (message?.type === MessageType.CANCEL) {
+            streamRequests.get(message.requestId)?.controller.abort();
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        for (const requestId of ownedRequests) {
+            const entry = streamRequests.get(requestId);
+            if (entry?.port !== port) continue;
+            entry.port = null;
+            entry.stream.detach();
+            scheduleStreamCleanup(requestId);
+        }
+    });
 });
+
+module.exports = {
+    handlePromptAPI,
+    setModelProviders,
+    startStreamRequest
+};
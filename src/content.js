@@ -21,12 +21,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   if (request.action === 'extractContent') {
     try {
-      const pageContent = extractPageContent();
+      const structured = extractStructuredDocument();
+      const { content, contentLength } = extractPageContent(structured);
       const leadImage = findLeadImage();
+      // The side panel now has this version of the page; later changes are measured against it
+      watchPageChanges();
 
       sendResponse({
         success: true,
-        content: pageContent,
+        content,
+        contentLength,
+        truncated: contentLength > content.length,
+        document: structured,
+        signals: collectPageSignals(structured),
         leadImage: leadImage,
         url: window.location.href,
         title: document.title
@@ -36,43 +43,344 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
     return true;
   }
+
+  if (request.action === 'highlightQuotes') {
+    try {
+      const found = highlightQuotes(request.quotes || []);
+      sendResponse({ success: true, found });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  }
+
+  if (request.action === 'collectImages') {
+    try {
+      sendResponse({ success: true, images: collectPageImages() });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  }
+
+  if (request.action === 'getSelection') {
+    sendResponse({ success: true, ...captureSelection(), url: window.location.href, title: document.title });
+    return true;
+  }
 });
 
-function extractPageContent() {
+const MAX_CONTEXT_CHARS = 3000;
+const NOISE_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, form, nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"], .ads, .sidebar';
+const POSITIVE_HINT = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_HINT = /comment|combx|disqus|foot|masthead|menu|meta|nav|promo|related|share|shoutbox|social|sponsor|widget|sidebar|banner|cookie|modal|subscribe/i;
+const BLOCK_TAGS = new Set(['P', 'UL', 'OL', 'TABLE', 'PRE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'FIGCAPTION', 'DL']);
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+const MAX_FRAME_DEPTH = 3;
+
+// Frames we can script: same-origin and already loaded. Cross-origin frames throw or return null.
+function getFrameDocument(frame) {
   try {
-    // Use the body if available, otherwise the document
-    const root = document.body || document.documentElement;
-    const clone = root.cloneNode(true);
-    
-    // Remove unwanted elements from the clone
-    clone.querySelectorAll('script, style, nav, header, footer, aside, .ads, .sidebar').forEach(el => el.remove());
+    const frameDocument = frame.contentDocument;
+    return frameDocument?.body ? frameDocument : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-    const contentSelectors = ['main', 'article', '[role="main"]', '.content', '.main-content', '.post-content', 'body'];
-    let content = '';
-    
-    for (const selector of contentSelectors) {
-      const element = clone.querySelector(selector) || (selector === 'body' ? clone : null);
-      if (element) {
-        // innerText is cleaner but depends on layout, textContent is more reliable
-        content = (element.innerText || element.textContent || '').trim();
-        if (content.length > 200) break;
-      }
+/**
+ * Clones the page as it renders rather than as its markup reads: open shadow
+ * roots replace their host's children (with slotted content put back in place)
+ * and readable iframes are inlined as <div>s. `cloneNode` alone sees neither.
+ */
+function cloneComposedTree(node, frameDepth = 0) {
+  if (node.nodeType === Node.TEXT_NODE) return node.cloneNode(false);
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+  if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+    const frameDocument = frameDepth < MAX_FRAME_DEPTH ? getFrameDocument(node) : null;
+    if (!frameDocument) return null;
+    const container = document.createElement('div');
+    container.setAttribute('data-aura-frame', '');
+    appendComposedChildren(container, frameDocument.body.childNodes, frameDepth + 1);
+    return container;
+  }
+
+  if (node.tagName === 'SLOT') {
+    const fragment = document.createDocumentFragment();
+    const assigned = node.assignedNodes({ flatten: true });
+    appendComposedChildren(fragment, assigned.length ? assigned : node.childNodes, frameDepth);
+    return fragment;
+  }
+
+  const clone = node.cloneNode(false);
+  // Only open shadow roots are visible to scripts; closed ones stay out of reach
+  appendComposedChildren(clone, (node.shadowRoot || node).childNodes, frameDepth);
+  return clone;
+}
+
+function appendComposedChildren(parent, children, frameDepth) {
+  children.forEach(child => {
+    const clone = cloneComposedTree(child, frameDepth);
+    if (clone) parent.appendChild(clone);
+  });
+}
+
+function cloneCleanDocument() {
+  // Use the body if available, otherwise the document
+  const root = document.body || document.documentElement;
+  const clone = cloneComposedTree(root);
+
+  // Remove unwanted elements from the clone
+  clone.querySelectorAll(NOISE_SELECTOR).forEach(el => el.remove());
+  return clone;
+}
+
+function getLinkDensity(element, textLength) {
+  if (!textLength) return 1;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((total, link) => total + normalizeText(link.textContent).length, 0);
+  return linkLength / textLength;
+}
+
+function scoreContentCandidate(element) {
+  const text = normalizeText(element.textContent);
+  if (text.length < 140) return 0;
+
+  const paragraphs = Array.from(element.querySelectorAll('p'))
+    .filter(p => normalizeText(p.textContent).length > 40);
+  const hints = `${element.className || ''} ${element.id || ''}`;
+
+  let score = paragraphs.length * 3;
+  score += Math.min(text.length / 100, 30);
+  score += (text.match(/,/g) || []).length * 0.25;
+  if (/^(ARTICLE|MAIN)$/.test(element.tagName) || element.getAttribute('role') === 'main') score += 25;
+  if (POSITIVE_HINT.test(hints)) score += 10;
+  if (NEGATIVE_HINT.test(hints)) score -= 25;
+
+  return score * (1 - getLinkDensity(element, text.length));
+}
+
+function findMainContentElement(clone) {
+  let best = clone;
+  let bestScore = scoreContentCandidate(clone) * 0.5;
+
+  // Score containers; parents must beat children clearly to win so we don't pick the whole body
+  clone.querySelectorAll('article, main, [role="main"], section, div').forEach(candidate => {
+    const score = scoreContentCandidate(candidate);
+    if (score > bestScore * (best.contains(candidate) ? 0.85 : 1)) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function extractTable(table) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .map(row => Array.from(row.querySelectorAll('th, td')).map(cell => normalizeText(cell.textContent)))
+    .filter(cells => cells.some(Boolean));
+  const hasHeader = Boolean(table.querySelector('thead th, tr:first-child th'));
+  return { type: 'table', header: hasHeader, rows, caption: normalizeText(table.querySelector('caption')?.textContent) };
+}
+
+function extractList(list) {
+  const items = Array.from(list.children)
+    .filter(child => child.tagName === 'LI')
+    .map(item => normalizeText(item.textContent))
+    .filter(Boolean);
+  return { type: 'list', ordered: list.tagName === 'OL', items };
+}
+
+function extractCode(pre) {
+  const code = pre.querySelector('code') || pre;
+  const languageMatch = `${code.className || ''} ${pre.className || ''}`.match(/(?:language|lang)-([\w+#-]+)/);
+  return { type: 'code', language: languageMatch ? languageMatch[1] : '', text: (code.textContent || '').replace(/\n{3,}/g, '\n\n').trim() };
+}
+
+function extractBlock(element) {
+  const tag = element.tagName;
+  if (/^H[1-6]$/.test(tag)) return { type: 'heading', level: Number(tag[1]), text: normalizeText(element.textContent) };
+  if (tag === 'UL' || tag === 'OL') return extractList(element);
+  if (tag === 'TABLE') return extractTable(element);
+  if (tag === 'PRE') return extractCode(element);
+  if (tag === 'BLOCKQUOTE') return { type: 'quote', text: normalizeText(element.textContent) };
+  if (tag === 'DL') {
+    const items = Array.from(element.querySelectorAll('dt')).map(term => {
+      const definition = term.nextElementSibling?.tagName === 'DD' ? normalizeText(term.nextElementSibling.textContent) : '';
+      return definition ? `${normalizeText(term.textContent)}: ${definition}` : normalizeText(term.textContent);
+    });
+    return { type: 'list', ordered: false, items };
+  }
+  return { type: 'paragraph', text: normalizeText(element.textContent) };
+}
+
+function collectBlocks(root, blocks = []) {
+  let looseText = '';
+  const flushLooseText = () => {
+    const text = normalizeText(looseText);
+    if (text.length > 1) blocks.push({ type: 'paragraph', text });
+    looseText = '';
+  };
+
+  root.childNodes.forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      looseText += node.textContent;
+      return;
     }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
 
-    if (!content) {
-      content = clone.textContent.trim();
+    if (node.tagName === 'BR') {
+      looseText += '\n';
+    } else if (BLOCK_TAGS.has(node.tagName)) {
+      flushLooseText();
+      const block = extractBlock(node);
+      if (block.text || block.items?.length || block.rows?.length) blocks.push(block);
+    } else if (node.querySelector(Array.from(BLOCK_TAGS).join(','))) {
+      flushLooseText();
+      collectBlocks(node, blocks);
+    } else {
+      // Inline elements continue the surrounding text as-is (e.g. "<b>Pre</b>fix"); leaf containers
+      // such as <div>text</div> are paragraphs of their own
+      const display = /^(DIV|SECTION|ARTICLE|FIGURE|LI)$/.test(node.tagName);
+      if (display) flushLooseText();
+      looseText += node.textContent;
+      if (display) flushLooseText();
     }
+  });
+  flushLooseText();
+  return blocks;
+}
 
-    // Clean up whitespace and limit length
-    content = content.replace(/\s+/g, ' ').substring(0, 3000);
+function parseJsonLd() {
+  const entries = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+      entries.push(...items.filter(item => item && typeof item === 'object'));
+    } catch (e) {}
+  });
+  return entries;
+}
+
+function getMetaContent(selector) {
+  return normalizeText(document.querySelector(selector)?.getAttribute('content'));
+}
+
+function getOpenGraph() {
+  const openGraph = {};
+  document.querySelectorAll('meta[property^="og:"], meta[property^="article:"]').forEach(meta => {
+    const key = meta.getAttribute('property');
+    if (key && !openGraph[key]) openGraph[key] = normalizeText(meta.getAttribute('content'));
+  });
+  return openGraph;
+}
+
+function getJsonLdAuthor(jsonLd) {
+  for (const entry of jsonLd) {
+    const author = Array.isArray(entry.author) ? entry.author[0] : entry.author;
+    const name = typeof author === 'string' ? author : author?.name;
+    if (name) return normalizeText(name);
+  }
+  return '';
+}
+
+function extractDocumentMetadata() {
+  const jsonLd = parseJsonLd();
+  const openGraph = getOpenGraph();
+  const jsonLdDate = jsonLd.find(entry => entry.datePublished)?.datePublished;
+
+  return {
+    title: openGraph['og:title'] || normalizeText(document.querySelector('h1')?.textContent) || document.title,
+    byline: getMetaContent('meta[name="author"]')
+      || getJsonLdAuthor(jsonLd)
+      || normalizeText(document.querySelector('[rel="author"], [itemprop="author"], .byline, .author')?.textContent),
+    publishedAt: openGraph['article:published_time']
+      || jsonLdDate
+      || document.querySelector('time[datetime]')?.getAttribute('datetime')
+      || '',
+    language: document.documentElement.lang || openGraph['og:locale'] || '',
+    siteName: openGraph['og:site_name'] || '',
+    description: openGraph['og:description'] || getMetaContent('meta[name="description"]'),
+    jsonLdTypes: [...new Set(jsonLd.flatMap(entry => [].concat(entry['@type'] || [])))],
+    openGraph
+  };
+}
+
+/**
+ * Builds a structured, readability-style view of the page: metadata, a heading
+ * outline and typed content blocks from the highest-scoring content node.
+ */
+function extractStructuredDocument() {
+  const main = findMainContentElement(cloneCleanDocument());
+  const blocks = collectBlocks(main);
+  const outline = blocks
+    .filter(block => block.type === 'heading')
+    .map(({ level, text }) => ({ level, text }));
+
+  return {
+    ...extractDocumentMetadata(),
+    url: window.location.href,
+    outline,
+    blocks
+  };
+}
+
+function extractPageContent(structured) {
+  try {
+    const fullText = structured.blocks
+      .map(block => block.text || (block.items || []).join(' ') || (block.rows || []).map(row => row.join(' ')).join(' '))
+      .join(' ');
+    // Plain-text fallback for callers that don't render the structured document
+    const content = normalizeText(fullText).substring(0, MAX_CONTEXT_CHARS);
     console.log(`[Aura] Extracted ${content.length} characters of content.`);
-    return content;
+    return { content, contentLength: normalizeText(fullText).length };
   } catch (e) {
     console.error('[Aura] Extraction error:', e);
-    return '';
+    return { content: '', contentLength: 0 };
   }
 }
 
+const PAGE_SIGNAL_SCAN_LIMIT = 400;
+
+function countMatching(selector, test) {
+  return Array.from(document.querySelectorAll(selector))
+    .slice(0, PAGE_SIGNAL_SCAN_LIMIT)
+    .filter(element => test(normalizeText(element.textContent)))
+    .length;
+}
+
+// Raw hints for utils/pageType.js; the background turns them into a page type
+function collectPageSignals(structured) {
+  const headings = structured.outline.map(entry => entry.text);
+  return {
+    url: window.location.href,
+    title: structured.title,
+    jsonLdTypes: structured.jsonLdTypes,
+    ogType: (structured.openGraph['og:type'] || '').toLowerCase(),
+    publishedTime: Boolean(structured.publishedAt),
+    articleElement: Boolean(document.querySelector('article')),
+    citationMeta: Boolean(document.querySelector('meta[name^="citation_"], meta[name="dc.identifier"], meta[name="DC.identifier"]')),
+    hasAbstract: headings.some(text => /^abstract$/i.test(text)) || Boolean(document.querySelector('.abstract, #abstract, [class*="abstract" i]')),
+    hasReferences: headings.some(text => /^(references|bibliography|works cited)$/i.test(text)),
+    ingredientMarkers: document.querySelectorAll('[itemprop="recipeIngredient"], [itemprop="ingredients"], [class*="ingredient" i]').length
+      + headings.filter(text => /^ingredients\b/i.test(text)).length,
+    priceMarkers: document.querySelectorAll('[itemprop="price"], meta[property="product:price:amount"], meta[property="og:price:amount"]').length
+      + countMatching('[class*="price" i]', text => /[$€£¥₹]\s?\d|\d[.,]\d{2}\s?(usd|eur|gbp)/i.test(text)),
+    cartButtons: countMatching('button, input[type="submit"], a[role="button"]', text => /add to (cart|basket|bag)|buy now|in den warenkorb/i.test(text)),
+    stepHeadings: headings.filter(text => /^(step\s*\d+|\d+[.)]\s)/i.test(text)).length,
+    codeBlocks: structured.blocks.filter(block => block.type === 'code').length,
+    orderedListItems: structured.blocks
+      .filter(block => block.type === 'list' && block.ordered)
+      .reduce((total, block) => total + block.items.length, 0),
+    wordCount: structured.blocks.reduce((total, block) => total + (block.text || (block.items || []).join(' ')).split(/\s+/).filter(Boolean).length, 0)
+  };
+}
+
 function findLeadImage() {
   // 1. Check OpenGraph image
   const ogImage = document.querySelector('meta[property="og:image"]')?.content;
@@ -95,6 +403,289 @@ function findLeadImage() {
   return null;
 }
 
+const MIN_IMAGE_SIDE = 150;
+const MAX_GALLERY_IMAGES = 24;
+const MAX_BACKGROUND_SCAN = 1500;
+const IMAGE_NOISE_HINT = /avatar|badge|icon|logo|pixel|sprite|spacer|tracking/i;
+
+// Picks the widest srcset candidate; `x` descriptors are compared as-is
+// Parsed like the browser does: a URL runs to the next whitespace and its descriptor to the next comma,
+// so both "a.jpg 1x,b.jpg 2x" and CDN URLs with commas in them come out whole
+function parseSrcset(srcset) {
+  const candidates = [];
+  let rest = srcset || '';
+  while ((rest = rest.replace(/^[\s,]+/, ''))) {
+    const url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+    let descriptor = '';
+    if (!url.endsWith(',')) {
+      descriptor = rest.match(/^[^,]*/)[0];
+      rest = rest.slice(descriptor.length);
+    }
+    candidates.push({ url: url.replace(/,+$/, ''), size: parseFloat(descriptor.trim()) || 1 });
+  }
+  return candidates;
+}
+
+function pickSrcsetCandidate(srcset) {
+  const candidates = parseSrcset(srcset).filter(candidate => candidate.url);
+  candidates.sort((a, b) => b.size - a.size);
+  return candidates[0]?.url || '';
+}
+
+function absoluteImageUrl(url) {
+  if (!url || url.startsWith('data:')) return '';
+  try {
+    const absolute = new URL(url, document.baseURI);
+    return /^https?:$/.test(absolute.protocol) ? absolute.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Every image on the page worth analyzing: meta images, <img>/<picture>
+ * sources (largest srcset candidate) and large CSS backgrounds. Icons,
+ * tracking pixels and hidden images are skipped.
+ */
+function collectPageImages() {
+  const images = new Map();
+  const add = (url, width, height, alt, origin) => {
+    const absolute = absoluteImageUrl(url);
+    if (!absolute || images.has(absolute)) return;
+    images.set(absolute, { url: absolute, width: Math.round(width), height: Math.round(height), alt: normalizeText(alt), origin });
+  };
+
+  const ogImage = document.querySelector('meta[property="og:image"]')?.content;
+  if (ogImage) add(ogImage, 0, 0, 'Preview image', 'meta');
+  const twitterImage = document.querySelector('meta[name="twitter:image"]')?.content;
+  if (twitterImage) add(twitterImage, 0, 0, 'Preview image', 'meta');
+
+  document.querySelectorAll('img').forEach(img => {
+    const rect = img.getBoundingClientRect();
+    const width = Math.max(img.naturalWidth, rect.width);
+    const height = Math.max(img.naturalHeight, rect.height);
+    if (width < MIN_IMAGE_SIDE || height < MIN_IMAGE_SIDE) return;
+    if (rect.width === 0 || IMAGE_NOISE_HINT.test(`${img.className} ${img.id} ${img.alt}`)) return;
+
+    const sourceSet = img.parentElement?.tagName === 'PICTURE'
+      ? Array.from(img.parentElement.querySelectorAll('source')).map(source => source.srcset).join(', ')
+      : '';
+    const url = pickSrcsetCandidate([img.srcset, sourceSet].filter(Boolean).join(', ')) || img.currentSrc || img.src;
+    add(url, width, height, img.alt || img.title, 'img');
+  });
+
+  const root = document.querySelector('main, article, [role="main"]') || document.body;
+  Array.from(root.querySelectorAll('div, section, figure, header, a, span')).slice(0, MAX_BACKGROUND_SCAN).forEach(element => {
+    const rect = element.getBoundingClientRect();
+    if (rect.width < MIN_IMAGE_SIDE || rect.height < MIN_IMAGE_SIDE) return;
+    const match = getComputedStyle(element).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+    if (match) add(match[1], rect.width, rect.height, element.getAttribute('aria-label') || '', 'background');
+  });
+
+  // Meta images have no size; keep them first since they are picked by the publisher
+  return Array.from(images.values())
+    .sort((a, b) => (a.origin === 'meta' ? -1 : 0) - (b.origin === 'meta' ? -1 : 0) || (b.width * b.height) - (a.width * a.height))
+    .slice(0, MAX_GALLERY_IMAGES);
+}
+
+const SELECTION_CONTEXT_SELECTOR = 'p, li, td, th, blockquote, pre, dd, figcaption, h1, h2, h3, h4, h5, h6, article, section';
+
+// The selected text plus the block it sits in, so short selections keep their meaning
+function captureSelection() {
+  const selection = window.getSelection();
+  const text = selection ? selection.toString().trim() : '';
+  if (!text || selection.rangeCount === 0) return { text: '', surrounding: '' };
+
+  let node = selection.getRangeAt(0).commonAncestorContainer;
+  if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+  const block = node?.closest(SELECTION_CONTEXT_SELECTOR);
+  return { text, surrounding: block ? normalizeText(block.textContent) : '' };
+}
+
+const QUOTE_HIGHLIGHT_NAME = 'aura-quote';
+const QUOTE_SKIP_SELECTOR = 'script, style, noscript, template, textarea, [aria-hidden="true"]';
+const QUOTE_ELLIPSIS_PATTERN = /\s*(?:\.{3,}|…)\s*/;
+const QUOTE_MIN_WORDS = 3;
+
+// Same folding as utils/factCheck.js: one character in, at most one character out
+function foldQuoteChar(ch) {
+  if (/['"‘’‚‛′″`“”„‟«»]/.test(ch)) return '';
+  if (/[‐-―−]/.test(ch)) return '-';
+  if (/\s/.test(ch)) return ' ';
+  const lower = ch.toLowerCase();
+  return lower.length === 1 ? lower : ch;
+}
+
+function normalizeQuote(text) {
+  return Array.from(text || '', foldQuoteChar).join('').replace(/ {2,}/g, ' ').trim();
+}
+
+// Flattens visible page text into one normalized string plus a map back to text node offsets
+function buildPageTextIndex() {
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement?.closest(QUOTE_SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  let text = '';
+  const positions = [];
+  let lastWasSpace = true;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    for (let offset = 0; offset < node.data.length; offset++) {
+      const ch = foldQuoteChar(node.data[offset]);
+      if (!ch || (ch === ' ' && lastWasSpace)) continue;
+      lastWasSpace = ch === ' ';
+      text += ch;
+      positions.push({ node, offset });
+    }
+    // Adjacent elements often have no whitespace between them in the DOM
+    if (!lastWasSpace) {
+      text += ' ';
+      positions.push({ node, offset: node.data.length });
+      lastWasSpace = true;
+    }
+  }
+  return { text, positions };
+}
+
+// Same rule as findQuote in utils/factCheck.js: every fragment of an elided quote ("a ... b") must
+// appear in order. The highlight runs from the first fragment to the end of the last.
+function findQuoteRange(index, quote) {
+  const fragments = String(quote).split(QUOTE_ELLIPSIS_PATTERN).map(normalizeQuote).filter(Boolean);
+  if (fragments.join(' ').split(' ').filter(Boolean).length < QUOTE_MIN_WORDS) return null;
+
+  let start = -1;
+  let end = 0;
+  for (const fragment of fragments) {
+    const position = index.text.indexOf(fragment, end);
+    if (position === -1) return null;
+    if (start === -1) start = position;
+    end = position + fragment.length;
+  }
+
+  const first = index.positions[start];
+  const last = index.positions[end - 1];
+  const range = document.createRange();
+  range.setStart(first.node, first.offset);
+  range.setEnd(last.node, Math.min(last.offset + 1, last.node.data.length));
+  return range;
+}
+
+function ensureQuoteHighlightStyle() {
+  if (document.getElementById('aura-quote-highlight-style')) return;
+  const style = document.createElement('style');
+  style.id = 'aura-quote-highlight-style';
+  style.textContent = `::highlight(${QUOTE_HIGHLIGHT_NAME}) { background-color: #fde68a; color: inherit; }`;
+  document.head.appendChild(style);
+}
+
+/**
+ * Highlights every quote found on the page and scrolls to the first one.
+ * Returns one boolean per quote so the side panel can flag the missing ones.
+ */
+function highlightQuotes(quotes) {
+  const index = buildPageTextIndex();
+  const ranges = quotes.map(quote => findQuoteRange(index, quote));
+  const found = ranges.filter(Boolean);
+
+  if (window.CSS?.highlights && typeof Highlight === 'function') {
+    CSS.highlights.delete(QUOTE_HIGHLIGHT_NAME);
+    if (found.length > 0) {
+      ensureQuoteHighlightStyle();
+      CSS.highlights.set(QUOTE_HIGHLIGHT_NAME, new Highlight(...found));
+    }
+  } else if (found.length > 0) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(found[0]);
+  }
+
+  found[0]?.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return ranges.map(Boolean);
+}
+
+const CHANGE_SETTLE_MS = 1000;
+const CHANGE_MAX_WAIT_MS = 5000;
+const CHANGE_MIN_INTERVAL_MS = 10000;
+const CHANGE_MIN_CHARS = 1500;
+const CHANGE_MIN_RATIO = 0.3;
+
+let reportedUrl = '';
+let reportedLength = 0;
+let lastReportAt = 0;
+let changeTimer = null;
+let changePendingSince = 0;
+
+function pageUrlWithoutHash() {
+  return window.location.href.split('#')[0];
+}
+
+// textContent is cheap and good enough to tell a new route or a page of new items from small updates
+function measurePageText() {
+  return document.body ? document.body.textContent.length : 0;
+}
+
+function markPageReported() {
+  reportedUrl = pageUrlWithoutHash();
+  reportedLength = measurePageText();
+  lastReportAt = Date.now();
+}
+
+function checkForPageChange() {
+  changeTimer = null;
+  changePendingSince = 0;
+
+  const url = pageUrlWithoutHash();
+  const length = measurePageText();
+  const routeChanged = url !== reportedUrl;
+  const delta = Math.abs(length - reportedLength);
+  const bigChange = delta >= CHANGE_MIN_CHARS && delta >= reportedLength * CHANGE_MIN_RATIO;
+  if (!routeChanged && !bigChange) return;
+
+  // Infinite scroll keeps growing the page; report it at most every few seconds
+  const wait = lastReportAt + CHANGE_MIN_INTERVAL_MS - Date.now();
+  if (!routeChanged && wait > 0) {
+    changeTimer = setTimeout(checkForPageChange, wait);
+    return;
+  }
+
+  markPageReported();
+  try {
+    chrome.runtime.sendMessage({
+      action: 'pageContentChanged',
+      reason: routeChanged ? 'route' : 'content',
+      url: window.location.href,
+      title: document.title
+    }).catch(() => {});
+  } catch (e) {}
+}
+
+// Waits for the DOM to settle so a new SPA route is reported once it has rendered, not when the URL flips
+function scheduleChangeCheck() {
+  const now = Date.now();
+  if (!changePendingSince) changePendingSince = now;
+  clearTimeout(changeTimer);
+  const delay = now - changePendingSince >= CHANGE_MAX_WAIT_MS ? 0 : CHANGE_SETTLE_MS;
+  changeTimer = setTimeout(checkForPageChange, delay);
+}
+
+let watchingPageChanges = false;
+
+// Starts once the side panel first reads the page, so tabs it never looks at don't run an observer
+function watchPageChanges() {
+  markPageReported();
+  if (watchingPageChanges) return;
+  watchingPageChanges = true;
+  new MutationObserver(scheduleChangeCheck).observe(document.body || document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+  // pushState/replaceState are patched in the page's own world by historyHook.js, which forwards them as this event
+  window.addEventListener('aura:locationchange', scheduleChangeCheck);
+  window.addEventListener('popstate', scheduleChangeCheck);
+}
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeContentScript);
 } else {
@@ -0,0 +1,14 @@
+// Runs in the page's own JavaScript world, where single-page apps call the history API.
+// The content script lives in an isolated world and can't see those calls, so each one
+// is forwarded as a DOM event that both worlds share.
+
+(() => {
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('aura:locationchange'));
+      return result;
+    };
+  });
+})();
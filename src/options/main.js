@@ -0,0 +1,6 @@
+import { createApp } from 'vue'
+import App from './App.vue'
+import '../sidepanel/style.css'
+
+// The options page shares the side panel's Tailwind setup
+createApp(App).mount('#app')
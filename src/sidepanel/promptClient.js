@@ -0,0 +1,100 @@
+import { MessageType, STREAM_PORT_NAME } from '../utils/streamProtocol'
+
+const MAX_RECONNECT_ATTEMPTS = 3
+
+/**
+ * Side panel end of the streaming port. Each request streams text deltas and
+ * progress events back to its own handlers and resolves once with
+ * `{ response, interrupted, cachedAt }`, where `cachedAt` is set for answers
+ * served from the result cache. If the port drops mid-stream (for example when
+ * the service worker restarts), the client reconnects and resumes from the
+ * text it has already received.
+ */
+export function createPromptClient() {
+  const pending = new Map()
+  let port = null
+  let reconnectAttempts = 0
+
+  const post = (message) => {
+    try {
+      ensurePort().postMessage(message)
+    } catch (e) {
+      // The disconnect handler reconnects or fails the pending requests
+    }
+  }
+
+  const settle = (requestId, outcome) => {
+    const request = pending.get(requestId)
+    if (!request) return
+    pending.delete(requestId)
+    if (outcome.error) request.reject(Object.assign(new Error(outcome.error), { code: outcome.code, details: outcome.details }))
+    else request.resolve(outcome)
+  }
+
+  const handleMessage = (message) => {
+    const request = pending.get(message?.requestId)
+    if (!request) return
+    reconnectAttempts = 0
+
+    switch (message.type) {
+      case MessageType.DELTA:
+        request.received += message.text
+        request.onDelta?.(message.text, request.received)
+        post({ type: MessageType.ACK, requestId: message.requestId, seq: message.seq })
+        break
+      case MessageType.PROGRESS:
+        request.onProgress?.(message)
+        break
+      case MessageType.DONE:
+        settle(message.requestId, {
+          response: message.response ?? request.received,
+          interrupted: Boolean(message.interrupted),
+          cachedAt: message.cachedAt ?? null
+        })
+        break
+      case MessageType.ERROR:
+        settle(message.requestId, { error: message.error, code: message.code, details: message.details })
+        break
+    }
+  }
+
+  const handleDisconnect = () => {
+    port = null
+    if (pending.size === 0) return
+
+    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      for (const requestId of [...pending.keys()]) settle(requestId, { error: 'Lost connection to the background service' })
+      return
+    }
+    reconnectAttempts++
+    for (const [requestId, request] of pending) {
+      post({ type: MessageType.RESUME, requestId, offset: request.received.length })
+    }
+  }
+
+  function ensurePort() {
+    if (port) return port
+    port = chrome.runtime.connect({ name: STREAM_PORT_NAME })
+    port.onMessage.addListener(handleMessage)
+    port.onDisconnect.addListener(handleDisconnect)
+    return port
+  }
+
+  return {
+    send(requestId, payload, { onDelta, onProgress } = {}) {
+      return new Promise((resolve, reject) => {
+        pending.set(requestId, { resolve, reject, onDelta, onProgress, received: '' })
+        post({ type: MessageType.PROMPT, requestId, payload })
+      })
+    },
+    cancel(requestId) {
+      if (pending.has(requestId)) post({ type: MessageType.CANCEL, requestId })
+    },
+    disconnect() {
+      // Nothing will answer these once the port is gone
+      for (const requestId of [...pending.keys()]) settle(requestId, { error: 'The request was interrupted because the connection was closed' })
+      port?.disconnect()
+      port = null
+    }
+  }
+}
@@ -0,0 +1,12 @@
+import { BookOpen, CheckCircle, Columns, FileText, HelpCircle, Image, Lightbulb, LayoutDashboard, ListChecks, ListTree, Quote, Scale, Sparkles, Tag, Wrench } from 'lucide-vue-next'
+
+// Icons a tool definition can reference by name; anything else falls back to Wrench
+export const TOOL_ICONS = {
+  BookOpen, CheckCircle, Columns, FileText, HelpCircle, Image, Lightbulb, LayoutDashboard, ListChecks, ListTree, Quote, Scale, Sparkles, Tag, Wrench
+}
+
+export const TOOL_ICON_NAMES = Object.keys(TOOL_ICONS)
+
+export function resolveToolIcon(name) {
+  return TOOL_ICONS[name] || Wrench
+}
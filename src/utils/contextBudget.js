@@ -0,0 +1,134 @@
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_OUTPUT_RESERVE = 512;
+const DEFAULT_KEEP_RECENT_MESSAGES = 4;
+const SUMMARY_CHUNK_CHARS = 4000;
+const HISTORY_SUMMARY_PREFIX = 'Summary of the earlier conversation:';
+
+function estimateTokens(text = '') {
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+async function measurePromptUsage(session, input) {
+    if (typeof session?.measureInputUsage === 'function') {
+        try {
+            return await session.measureInputUsage(input);
+        } catch (error) {
+            console.error('measureInputUsage failed, estimating instead:', error);
+        }
+    }
+    return estimateTokens(typeof input === 'string' ? input : JSON.stringify(input));
+}
+
+function getUsageSnapshot(session) {
+    const used = Number(session?.inputUsage) || 0;
+    const quota = Number(session?.inputQuota) || 0;
+
+    return {
+        used,
+        quota,
+        ratio: quota > 0 ? Math.min(1, used / quota) : 0
+    };
+}
+
+function fitsBudget(snapshot, needed, reserve = DEFAULT_OUTPUT_RESERVE) {
+    if (!snapshot?.quota) return true;
+    return snapshot.used + needed + reserve <= snapshot.quota;
+}
+
+function chunkText(text = '', maxChars = SUMMARY_CHUNK_CHARS) {
+    const chunks = [];
+    let remaining = String(text).trim();
+
+    while (remaining.length > maxChars) {
+        // Prefer to break on a paragraph or sentence boundary inside the window
+        const window = remaining.slice(0, maxChars);
+        const breakAt = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '));
+        const end = breakAt > maxChars / 2 ? breakAt + 1 : maxChars;
+        chunks.push(remaining.slice(0, end).trim());
+        remaining = remaining.slice(end).trim();
+    }
+    if (remaining) chunks.push(remaining);
+
+    return chunks;
+}
+
+function buildRollingSummaryPrompt(previousSummary, chunk, subject = 'text') {
+    const previousBlock = previousSummary
+        ? `Summary so far:\n${previousSummary}\n\n`
+        : '';
+
+    return `${previousBlock}Update the summary so it also covers the following ${subject}. Keep names, numbers, decisions and open questions. Reply with the updated summary only, in under 200 words.
+
+${chunk}`;
+}
+
+/**
+ * Summarizes text that may not fit in one prompt by folding it chunk by
+ * chunk into a running summary.
+ */
+async function rollingSummarize(text, summarize, { previousSummary = '', subject, maxChars = SUMMARY_CHUNK_CHARS } = {}) {
+    let summary = previousSummary;
+    for (const chunk of chunkText(text, maxChars)) {
+        summary = String(await summarize(buildRollingSummaryPrompt(summary, chunk, subject))).trim();
+    }
+    return summary;
+}
+
+function formatTranscript(messages = []) {
+    return messages
+        .map((message) => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+        .join('\n');
+}
+
+function isHistorySummary(message) {
+    return message?.role === 'user' && String(message.content || '').startsWith(HISTORY_SUMMARY_PREFIX);
+}
+
+function splitHistoryForCompaction(history = [], keepRecent = DEFAULT_KEEP_RECENT_MESSAGES) {
+    let previousSummary = '';
+    let turns = history;
+
+    if (isHistorySummary(history[0])) {
+        previousSummary = history[0].content.slice(HISTORY_SUMMARY_PREFIX.length).trim();
+        turns = history.slice(history[1]?.role === 'assistant' ? 2 : 1);
+    }
+
+    const splitAt = Math.max(0, turns.length - keepRecent);
+    return {
+        previousSummary,
+        older: turns.slice(0, splitAt),
+        recent: turns.slice(splitAt)
+    };
+}
+
+/**
+ * Replaces all but the most recent turns with a rolling summary. Returns the
+ * original history when there is nothing old enough to compact.
+ */
+async function compactHistory(history, summarize, { keepRecent = DEFAULT_KEEP_RECENT_MESSAGES } = {}) {
+    const { previousSummary, older, recent } = splitHistoryForCompaction(history, keepRecent);
+    if (older.length === 0) return history;
+
+    const summary = await rollingSummarize(formatTranscript(older), summarize, {
+        previousSummary,
+        subject: 'conversation'
+    });
+
+    return [
+        { role: 'user', content: `${HISTORY_SUMMARY_PREFIX}\n${summary}` },
+        { role: 'assistant', content: 'Understood. I will keep that in mind.' },
+        ...recent
+    ];
+}
+
+module.exports = {
+    DEFAULT_OUTPUT_RESERVE,
+    chunkText,
+    compactHistory,
+    estimateTokens,
+    fitsBudget,
+    getUsageSnapshot,
+    measurePromptUsage,
+    rollingSummarize,
+    splitHistoryForCompaction
+};
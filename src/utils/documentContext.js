@@ -0,0 +1,132 @@
+const DEFAULT_CONTEXT_CHARS = 3000;
+const MAX_TABLE_ROWS = 12;
+const MAX_CODE_CHARS = 600;
+// Half a table or code sample misleads more than leaving it out
+const UNCUTTABLE_BLOCK_TYPES = new Set(['table', 'code']);
+
+function escapeCell(value = '') {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+function renderTable(block) {
+    const rows = (block.rows || []).slice(0, MAX_TABLE_ROWS + 1);
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map((row) => row.length));
+    const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+    const line = (row) => `| ${pad(row).map(escapeCell).join(' | ')} |`;
+
+    const [first, ...rest] = rows;
+    const header = block.header ? first : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    const body = block.header ? rest : rows;
+    const lines = [line(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(line)];
+
+    if ((block.rows || []).length > rows.length) lines.push(`(${block.rows.length - rows.length} more rows)`);
+    if (block.caption) lines.unshift(`Table: ${block.caption}`);
+    return lines.join('\n');
+}
+
+function renderBlock(block) {
+    switch (block?.type) {
+        case 'heading':
+            return `${'#'.repeat(Math.min(Math.max(block.level || 2, 1), 6))} ${block.text}`;
+        case 'list':
+            return (block.items || [])
+                .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item}`)
+                .join('\n');
+        case 'table':
+            return renderTable(block);
+        case 'code': {
+            const text = String(block.text || '');
+            const code = text.length > MAX_CODE_CHARS ? `${text.slice(0, MAX_CODE_CHARS)}\n...` : text;
+            return `\`\`\`${block.language || ''}\n${code}\n\`\`\``;
+        }
+        case 'quote':
+            return `> ${block.text}`;
+        case 'paragraph':
+            return String(block.text || '');
+        default:
+            return '';
+    }
+}
+
+function renderMetadata(doc = {}) {
+    const lines = [];
+    if (doc.title) lines.push(`Title: ${doc.title}`);
+    if (doc.byline) lines.push(`By: ${doc.byline}`);
+    if (doc.publishedAt) lines.push(`Published: ${doc.publishedAt}`);
+    if (doc.siteName) lines.push(`Site: ${doc.siteName}`);
+    if (doc.language) lines.push(`Language: ${doc.language}`);
+    if (doc.jsonLdTypes?.length) lines.push(`Type: ${doc.jsonLdTypes.join(', ')}`);
+    if (doc.description) lines.push(`Description: ${doc.description}`);
+    return lines.join('\n');
+}
+
+function renderOutline(outline = []) {
+    if (outline.length < 2) return '';
+    const entries = outline.map((entry) => `${'  '.repeat(Math.max(0, (entry.level || 1) - 1))}- ${entry.text}`);
+    return `Outline:\n${entries.join('\n')}`;
+}
+
+/**
+ * Turns the structured document from the content script into a compact,
+ * markdown-like context for the model, stopping at `maxChars`.
+ */
+function renderDocumentContext(doc = {}, { maxChars = DEFAULT_CONTEXT_CHARS } = {}) {
+    const header = [renderMetadata(doc), renderOutline(doc.outline)].filter(Boolean).join('\n\n');
+    const rendered = (doc.blocks || [])
+        .map((block) => ({ type: block?.type, text: renderBlock(block) }))
+        .filter((entry) => entry.text);
+    const totalChars = rendered.reduce((total, entry) => total + entry.text.length + 2, 0);
+
+    const parts = header ? [header, '---'] : [];
+    let length = parts.join('\n\n').length;
+    let truncated = false;
+
+    for (const { type, text } of rendered) {
+        if (length + text.length + 2 > maxChars) {
+            const room = maxChars - length - 2;
+            // Keep a partial paragraph, but never cut through tables (captions included) or code
+            if (room > 200 && !UNCUTTABLE_BLOCK_TYPES.has(type)) parts.push(`${text.slice(0, room)}...`);
+            truncated = true;
+            break;
+        }
+        parts.push(text);
+        length += text.length + 2;
+    }
+
+    return {
+        text: parts.join('\n\n'),
+        truncated,
+        totalChars
+    };
+}
+
+/**
+ * Groups blocks under their nearest heading, rendering each section's body as
+ * markdown. Used to chunk long documents.
+ */
+function documentToSections(doc = {}) {
+    const sections = [];
+    let current = { heading: '', text: '' };
+
+    for (const block of doc.blocks || []) {
+        if (block.type === 'heading') {
+            if (current.text) sections.push(current);
+            current = { heading: block.text, text: '' };
+            continue;
+        }
+        const text = renderBlock(block);
+        if (text) current.text += (current.text ? '\n' : '') + text;
+    }
+    if (current.text) sections.push(current);
+
+    return sections;
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_CHARS,
+    documentToSections,
+    renderBlock,
+    renderDocumentContext
+};
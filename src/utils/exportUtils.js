@@ -0,0 +1,319 @@
+const { normalizeFactCheck } = require('./factCheck');
+const { escapeHtml, markdownToPlainText, renderMarkdown } = require('./markdownRenderer');
+
+const FEATURE_LABELS = {
+    FACT_CHECK: 'Fact Check',
+    TLDR: 'Article Dashboard',
+    ENTITIES: 'Entities',
+    COMPARE: 'Comparison'
+};
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+function isSafeUrl(url = '') {
+    return /^(https?:|data:image\/)/i.test(String(url));
+}
+
+function escapeTableCell(value = '') {
+    return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatTimestamp(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function formatConfidence(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? `${Math.round(number * 100)}%` : 'n/a';
+}
+
+function formatFieldValue(value) {
+    if (Array.isArray(value)) return value.map(formatFieldValue).join(', ') || '-';
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function formatEvidence(item) {
+    const stance = item.stance === 'contradicts' ? 'Contradicts' : 'Supports';
+    return `${stance}: “${item.quote}”${item.verified === false ? ' (not found in page text)' : ''}`;
+}
+
+function sourceLabel(id, sources = []) {
+    const source = sources.find((item) => item.id === id);
+    return source ? `${id} (${source.title})` : id;
+}
+
+function featureLabel(message) {
+    return FEATURE_LABELS[message.feature] || message.tool?.label || message.feature;
+}
+
+function messageTimestamp(message) {
+    return message.createdAt ?? message.id;
+}
+
+// Turns with several images keep downscaled thumbnails, which are data URLs
+function attachedImages(message) {
+    return (message.images || []).filter((image) => image?.thumbnail && isSafeUrl(image.thumbnail));
+}
+
+function roleLabel(message) {
+    return message.type === 'user' ? 'You' : 'Aura';
+}
+
+/**
+ * Turns a structured tool payload into table rows (`[label, value]` unless
+ * `columns` says otherwise), text and lists so every export format renders
+ * the same fields.
+ */
+function describeStructuredData(feature, data = {}, sources = []) {
+    if (feature === 'FACT_CHECK') {
+        const { claims } = normalizeFactCheck(data);
+        return {
+            columns: ['Claim', 'Verdict', 'Confidence'],
+            table: claims.map((claim) => [claim.claim, claim.verdict, formatConfidence(claim.confidence)]),
+            text: '',
+            lists: claims.map((claim, index) => ({
+                title: `Claim ${index + 1}: ${claim.claim}`,
+                items: [claim.explanation, ...claim.evidence.map(formatEvidence)].filter(Boolean)
+            }))
+        };
+    }
+    if (feature === 'TLDR') {
+        const lists = [{ title: 'Takeaways', items: data.takeaways || [] }];
+        if (data.coverage?.sections?.length) lists.push({ title: 'Sections covered', items: data.coverage.sections });
+        return {
+            table: [
+                ['Reading time', data.reading_time],
+                ['Sentiment', data.sentiment]
+            ],
+            text: data.summary,
+            lists
+        };
+    }
+    if (feature === 'COMPARE') {
+        const label = (id) => sourceLabel(id, sources);
+        return {
+            columns: ['Source', 'Position'],
+            table: (data.positions || []).map((item) => [label(item.source), item.position]),
+            text: data.topic || '',
+            lists: [
+                {
+                    title: 'Agreements',
+                    items: (data.agreements || []).map((item) => `${item.point} (${(item.sources || []).join(', ')})`)
+                },
+                {
+                    title: 'Contradictions',
+                    items: (data.contradictions || []).map((item) => `${item.point}: ${(item.sides || []).map((side) => `${side.source} says ${side.claim}`).join('; ')}`)
+                }
+            ]
+        };
+    }
+    if (feature === 'ENTITIES') {
+        return {
+            table: Object.entries(data).map(([type, items]) => [type, (items || []).join(', ') || '-']),
+            text: '',
+            lists: []
+        };
+    }
+    // Custom tools: one row per top-level field
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return {
+            table: Object.entries(data).map(([key, value]) => [key.replace(/_/g, ' '), formatFieldValue(value)]),
+            text: '',
+            lists: []
+        };
+    }
+    return null;
+}
+
+function structuredToMarkdown(message) {
+    const described = describeStructuredData(message.feature, message.data, message.sources);
+    if (!described) return '';
+
+    const columns = described.columns || ['Field', 'Value'];
+    const lines = [`#### ${featureLabel(message)}`, ''];
+    lines.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+    described.table.forEach((row) => lines.push(`| ${row.map((cell) => escapeTableCell(cell ?? '')).join(' | ')} |`));
+    if (described.text) lines.push('', described.text);
+    described.lists.forEach(({ title, items }) => {
+        if (items.length === 0) return;
+        lines.push('', `**${title}**`, ...items.map((item) => `- ${item}`));
+    });
+    return lines.join('\n');
+}
+
+function messageBodyToMarkdown(message) {
+    return message.feature && message.data
+        ? structuredToMarkdown(message)
+        : String(message.content || '').trim();
+}
+
+function messageToMarkdown(message) {
+    const timestamp = formatTimestamp(messageTimestamp(message));
+    const heading = `### ${roleLabel(message)}${timestamp ? ` · ${timestamp}` : ''}`;
+    const body = messageBodyToMarkdown(message);
+    const notes = [];
+    if (message.selection?.text) notes.push(`Selected text:\n\n${message.selection.text.split('\n').map((line) => `> ${line}`).join('\n')}`);
+    if (message.image && isSafeUrl(message.image)) notes.push(`![Attached image](${message.image})`);
+    attachedImages(message).forEach((image) => notes.push(`![${(image.label || 'Attached image').replace(/[[\]]/g, '')}](${image.thumbnail})`));
+    if (message.interrupted) notes.push('_Stopped before the answer was finished._');
+    if (message.type !== 'user' && message.sources?.length) {
+        notes.push(`Sources:\n\n${message.sources.map((source) => `- [${source.id}] ${source.title}${source.url ? ` <${source.url}>` : ''}`).join('\n')}`);
+    }
+
+    return [heading, '', body, ...notes.map((note) => `\n${note}`)].join('\n').trim();
+}
+
+/**
+ * One message for the clipboard: just its body, as markdown or plain text.
+ */
+function messageToClipboardText(message, format = 'markdown') {
+    const body = messageBodyToMarkdown(message);
+    return format === 'text' ? markdownToPlainText(body) : body;
+}
+
+function buildSourceHeader({ title = '', url = '', exportedAt = Date.now() } = {}) {
+    return {
+        title: title || 'Untitled page',
+        url,
+        exportedAt: formatTimestamp(exportedAt)
+    };
+}
+
+function threadToMarkdown({ messages = [], ...source }) {
+    const header = buildSourceHeader(source);
+    const lines = [
+        `# ${header.title}`,
+        '',
+        `- Source: ${header.url || 'n/a'}`,
+        `- Exported: ${header.exportedAt}`,
+        ''
+    ];
+    messages.forEach((message) => lines.push(messageToMarkdown(message), ''));
+    return lines.join('\n').trim() + '\n';
+}
+
+function threadToJson({ messages = [], ...source }) {
+    const header = buildSourceHeader(source);
+    return JSON.stringify({
+        source: { title: header.title, url: header.url },
+        exportedAt: header.exportedAt,
+        messages: messages.map((message) => ({
+            role: message.type === 'user' ? 'user' : 'assistant',
+            timestamp: formatTimestamp(messageTimestamp(message)),
+            content: message.content || '',
+            ...(message.feature ? { feature: message.feature } : {}),
+            ...(message.tool ? { tool: message.tool } : {}),
+            ...(message.data ? { data: message.data } : {}),
+            ...(message.image ? { image: message.image } : {}),
+            ...(message.images?.length ? { images: message.images } : {}),
+            ...(message.sources?.length ? { sources: message.sources } : {}),
+            ...(message.interrupted ? { interrupted: true } : {})
+        }))
+    }, null, 2);
+}
+
+function structuredToHtml(message) {
+    const described = describeStructuredData(message.feature, message.data, message.sources);
+    if (!described) return '';
+
+    const head = described.columns
+        ? `<thead><tr>${described.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>`
+        : '';
+    const rows = described.table
+        .map((row) => (described.columns
+            ? `<tr>${row.map((cell) => `<td>${escapeHtml(cell ?? '')}</td>`).join('')}</tr>`
+            : `<tr><th>${escapeHtml(row[0])}</th><td>${escapeHtml(row[1] ?? '')}</td></tr>`))
+        .join('');
+    const lists = described.lists
+        .filter(({ items }) => items.length > 0)
+        .map(({ title, items }) => `<h4>${escapeHtml(title)}</h4><ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`)
+        .join('');
+
+    return `<section class="card"><h3>${escapeHtml(featureLabel(message))}</h3><table>${head}${rows}</table>${described.text ? `<p>${escapeHtml(described.text)}</p>` : ''}${lists}</section>`;
+}
+
+function messageToHtml(message) {
+    const body = message.feature && message.data
+        ? structuredToHtml(message)
+        : renderMarkdown(String(message.content || '').trim(), { copyButtons: false });
+    const image = [
+        message.image && isSafeUrl(message.image) ? `<img src="${escapeHtml(message.image)}" alt="Attached image">` : '',
+        ...attachedImages(message).map((item) => `<img src="${escapeHtml(item.thumbnail)}" alt="${escapeHtml(item.label || 'Attached image')}">`)
+    ].join('');
+    const note = message.interrupted ? '<p class="note">Stopped before the answer was finished.</p>' : '';
+    const sources = message.type !== 'user' && message.sources?.length
+        ? `<ol class="sources">${message.sources.map((source) => `<li>[${escapeHtml(source.id)}] ${isSafeUrl(source.url) ? `<a href="${escapeHtml(source.url)}">${escapeHtml(source.title)}</a>` : escapeHtml(source.title)}</li>`).join('')}</ol>`
+        : '';
+
+    return `<article class="message message--${message.type === 'user' ? 'user' : 'assistant'}"><header>${roleLabel(message)} <time>${escapeHtml(formatTimestamp(messageTimestamp(message)))}</time></header>${image}${body}${sources}${note}</article>`;
+}
+
+function threadToHtml({ messages = [], ...source }) {
+    const header = buildSourceHeader(source);
+    const link = header.url && isSafeUrl(header.url) ? `<a href="${escapeHtml(header.url)}">${escapeHtml(header.url)}</a>` : 'n/a';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(header.title)} · Aura export</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; color: #171717; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.4rem; margin-bottom: .25rem; }
+.source { color: #525252; font-size: .85rem; margin-bottom: 2rem; }
+.message { border: 1px solid #e5e5e5; border-radius: 12px; padding: .75rem 1rem; margin-bottom: 1rem; break-inside: avoid; }
+.message--user { background: #eff6ff; }
+.message header { font-size: .75rem; font-weight: 700; text-transform: uppercase; color: #737373; }
+.message time { font-weight: 400; margin-left: .5rem; }
+.card table { border-collapse: collapse; width: 100%; margin: .5rem 0; }
+.card th, .card td { border: 1px solid #e5e5e5; padding: .25rem .5rem; text-align: left; vertical-align: top; }
+.card th { width: 30%; background: #fafafa; }
+.note { color: #a3a3a3; font-size: .75rem; }
+.sources { color: #525252; font-size: .8rem; list-style: none; padding: 0; }
+blockquote { border-left: 3px solid #d4d4d4; margin: .5rem 0; padding-left: .75rem; color: #525252; }
+pre { background: #fafafa; border: 1px solid #e5e5e5; border-radius: 8px; padding: .5rem; overflow-x: auto; }
+.md-table table { border-collapse: collapse; }
+.md-table th, .md-table td { border: 1px solid #e5e5e5; padding: .25rem .5rem; }
+img { max-width: 100%; border-radius: 8px; }
+@media print { body { margin: 0; } a { color: inherit; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(header.title)}</h1>
+<p class="source">Source: ${link}<br>Exported: ${escapeHtml(header.exportedAt)}</p>
+${messages.map(messageToHtml).join('\n')}
+</body>
+</html>
+`;
+}
+
+function buildExportFilename(title = '', format = 'markdown', exportedAt = Date.now()) {
+    const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'aura-export';
+    const date = formatTimestamp(exportedAt).slice(0, 10);
+    return `${slug}-${date}.${EXPORT_FORMATS[format]?.extension || 'txt'}`;
+}
+
+function exportThread(format, thread) {
+    if (format === 'json') return threadToJson(thread);
+    if (format === 'html') return threadToHtml(thread);
+    return threadToMarkdown(thread);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildExportFilename,
+    escapeHtml,
+    exportThread,
+    messageToClipboardText,
+    messageToMarkdown,
+    threadToHtml,
+    threadToJson,
+    threadToMarkdown
+};
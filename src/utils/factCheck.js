@@ -0,0 +1,85 @@
+const MIN_QUOTE_WORDS = 3;
+const ELLIPSIS_PATTERN = /\s*(?:\.{3,}|…)\s*/;
+
+/**
+ * Folds one character for quote matching into at most one character, so the
+ * content script can map matches back onto DOM text offsets. Quotation marks
+ * are dropped because models rarely reproduce them faithfully.
+ */
+function foldChar(ch) {
+    if (/['"‘’‚‛′″`“”„‟«»]/.test(ch)) return '';
+    if (/[‐-―−]/.test(ch)) return '-';
+    if (/\s/.test(ch)) return ' ';
+    const lower = ch.toLowerCase();
+    return lower.length === 1 ? lower : ch;
+}
+
+function normalizeForMatch(text = '') {
+    return Array.from(String(text), foldChar).join('').replace(/ {2,}/g, ' ').trim();
+}
+
+/**
+ * Looks for a model-supplied quote in the source text. Quotes may elide text
+ * with an ellipsis, in which case every fragment must appear in order.
+ * Quotes shorter than MIN_QUOTE_WORDS are never treated as verified.
+ */
+function findQuote(source = '', quote = '') {
+    const fragments = String(quote).split(ELLIPSIS_PATTERN).map(normalizeForMatch).filter(Boolean);
+    const wordCount = fragments.join(' ').split(' ').filter(Boolean).length;
+    if (fragments.length === 0 || wordCount < MIN_QUOTE_WORDS) return { found: false, index: -1 };
+
+    const haystack = normalizeForMatch(source);
+    let from = 0;
+    let index = -1;
+    for (const fragment of fragments) {
+        const position = haystack.indexOf(fragment, from);
+        if (position === -1) return { found: false, index: -1 };
+        if (index === -1) index = position;
+        from = position + fragment.length;
+    }
+    return { found: true, index };
+}
+
+/**
+ * Accepts both the multi-claim shape and the single-claim payloads saved by
+ * older versions, and always returns `{ claims: [...] }`.
+ */
+function normalizeFactCheck(data) {
+    if (!data || typeof data !== 'object') return { claims: [] };
+    if (Array.isArray(data.claims)) {
+        return {
+            ...data,
+            claims: data.claims
+                .filter((claim) => claim && typeof claim === 'object')
+                .map((claim) => ({ ...claim, evidence: Array.isArray(claim.evidence) ? claim.evidence : [] }))
+        };
+    }
+    if (data.claim) return { claims: [{ ...data, evidence: [] }] };
+    return { claims: [] };
+}
+
+/**
+ * Marks every evidence quote with `verified` depending on whether it appears
+ * in the text the model was grounded on, so made-up quotes can be flagged.
+ */
+function verifyFactCheckQuotes(data, sourceText = '') {
+    const normalized = normalizeFactCheck(data);
+    return {
+        ...normalized,
+        claims: normalized.claims.map((claim) => ({
+            ...claim,
+            evidence: claim.evidence.map((item) => ({
+                ...item,
+                verified: findQuote(sourceText, item?.quote).found
+            }))
+        }))
+    };
+}
+
+module.exports = {
+    findQuote,
+    foldChar,
+    normalizeFactCheck,
+    normalizeForMatch,
+    verifyFactCheckQuotes
+};
@@ -0,0 +1,78 @@
+const MAX_IMAGE_DIMENSION = 1024;
+const THUMBNAIL_DIMENSION = 240;
+const MAX_TURN_IMAGES = 4;
+const MIN_CROP_SIDE = 16;
+const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp', 'image/avif'];
+
+function isAcceptedImageType(type = '') {
+    return ACCEPTED_IMAGE_TYPES.includes(String(type).toLowerCase());
+}
+
+/**
+ * Scales `width` x `height` down (never up) so neither side exceeds
+ * `maxDimension`, keeping the aspect ratio.
+ */
+function fitWithin(width, height, maxDimension = MAX_IMAGE_DIMENSION) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height, 1));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        scale
+    };
+}
+
+/**
+ * Clamps a crop rectangle (in image pixels) to the image bounds. Returns
+ * `null` when the crop is missing or too small to be intentional, in which
+ * case the whole image is used.
+ */
+function normalizeCropRect(rect, image) {
+    if (!rect || !image) return null;
+
+    const left = Math.max(0, Math.min(rect.x, rect.x + rect.width));
+    const top = Math.max(0, Math.min(rect.y, rect.y + rect.height));
+    const right = Math.min(image.width, Math.max(rect.x, rect.x + rect.width));
+    const bottom = Math.min(image.height, Math.max(rect.y, rect.y + rect.height));
+
+    const width = Math.round(right - left);
+    const height = Math.round(bottom - top);
+    if (!(width >= MIN_CROP_SIDE && height >= MIN_CROP_SIDE)) return null;
+    return { x: Math.round(left), y: Math.round(top), width, height };
+}
+
+/**
+ * Splits a `data:` URL into the `{ base64, type }` shape the prompt payload
+ * uses. Returns `null` for anything that isn't a base64 image.
+ */
+function parseImageDataUrl(dataUrl = '') {
+    const match = String(dataUrl).match(/^data:(image\/[\w.+-]+);base64,(.+)$/);
+    if (!match) return null;
+    return { type: match[1], base64: match[2] };
+}
+
+// Encodes in chunks, since spreading a whole image into fromCharCode overflows the call stack
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function toImageDataUrl({ base64, type } = {}) {
+    return base64 && type ? `data:${type};base64,${base64}` : '';
+}
+
+module.exports = {
+    ACCEPTED_IMAGE_TYPES,
+    MAX_IMAGE_DIMENSION,
+    MAX_TURN_IMAGES,
+    THUMBNAIL_DIMENSION,
+    blobToBase64,
+    fitWithin,
+    isAcceptedImageType,
+    normalizeCropRect,
+    parseImageDataUrl,
+    toImageDataUrl
+};
@@ -0,0 +1,123 @@
+const { chunkText } = require('./contextBudget');
+
+const DEFAULT_CHUNK_CHARS = 3000;
+const DEFAULT_REDUCE_CHARS = 4000;
+const WORDS_PER_MINUTE = 230;
+
+const CHUNK_SUMMARY_SCHEMA = {
+    type: "object",
+    properties: {
+        summary: { type: "string" },
+        key_points: { type: "array", items: { type: "string" }, maxItems: 4 },
+        sentiment: { type: "string" }
+    },
+    required: ["summary", "key_points", "sentiment"],
+    additionalProperties: false
+};
+
+/**
+ * Packs extracted `{ heading, text }` sections into prompt-sized chunks,
+ * keeping track of which headings each chunk covers. Oversized sections are
+ * split across several chunks.
+ */
+function chunkSections(sections = [], maxChars = DEFAULT_CHUNK_CHARS) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+        if (current?.text) chunks.push(current);
+        current = null;
+    };
+
+    for (const section of sections) {
+        const heading = String(section?.heading || '').trim();
+        const body = String(section?.text || '').trim();
+        if (!body) continue;
+
+        for (const part of chunkText(body, maxChars)) {
+            const block = heading ? `## ${heading}\n${part}` : part;
+
+            if (current && current.text.length + block.length + 2 > maxChars) flush();
+            if (!current) current = { index: chunks.length, headings: [], text: '' };
+
+            current.text += (current.text ? '\n\n' : '') + block;
+            if (heading && !current.headings.includes(heading)) current.headings.push(heading);
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+function buildChunkSummaryPrompt(chunk, { title = '', total = 1 } = {}) {
+    return `You are summarizing part ${chunk.index + 1} of ${total} of the page "${title}".
+Summarize only this part. List up to 4 key points and describe its tone in one or two words.
+
+${chunk.text}`;
+}
+
+function formatPartialSummaries(partials = []) {
+    return partials.map((partial) => {
+        const label = partial.headings?.length ? ` (${partial.headings.join(', ')})` : '';
+        const points = (partial.key_points || []).map((point) => `- ${point}`).join('\n');
+        return `Part ${partial.index + 1}${label}: ${partial.summary}\n${points}`.trim();
+    });
+}
+
+/**
+ * Groups partial summaries so each reduce prompt stays under `maxChars`.
+ * Returns one group when everything fits in a single prompt. Groups hold at
+ * least two entries so repeated reduce rounds always converge.
+ */
+function groupForReduce(formatted = [], maxChars = DEFAULT_REDUCE_CHARS) {
+    const groups = [];
+    let current = [];
+    let size = 0;
+
+    for (const entry of formatted) {
+        if (current.length > 1 && size + entry.length > maxChars) {
+            groups.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(entry);
+        size += entry.length + 2;
+    }
+    if (current.length > 0) groups.push(current);
+
+    return groups;
+}
+
+function buildReducePrompt(formattedPartials, { title = '' } = {}) {
+    return `The following are summaries of consecutive parts of the page "${title}".
+Merge them into one overall summary of the whole page with up to 5 takeaways that span the entire document, not just the beginning.
+
+${formattedPartials.join('\n\n')}`;
+}
+
+function estimateReadingTime(text = '') {
+    const words = String(text).trim().split(/\s+/).filter(Boolean).length;
+    const minutes = Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+    return `${minutes} min`;
+}
+
+function buildCoverage(chunks = [], summarizedIndexes = chunks.map((chunk) => chunk.index)) {
+    const summarized = new Set(summarizedIndexes);
+    const covered = chunks.filter((chunk) => summarized.has(chunk.index));
+    return {
+        chunks: covered.length,
+        totalChunks: chunks.length,
+        sections: [...new Set(covered.flatMap((chunk) => chunk.headings))]
+    };
+}
+
+module.exports = {
+    CHUNK_SUMMARY_SCHEMA,
+    buildChunkSummaryPrompt,
+    buildCoverage,
+    buildReducePrompt,
+    chunkSections,
+    estimateReadingTime,
+    formatPartialSummaries,
+    groupForReduce
+};
@@ -0,0 +1,315 @@
+const BLOCK_CACHE_LIMIT = 500;
+const PLACEHOLDER = '\u0000';
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+#.-]*)/;
+const HR_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+// [label](url), where the URL may contain balanced parentheses like "wiki/Foo_(bar)" or "javascript:void(0)"
+const MARKDOWN_LINK_PATTERN = /\[([^\]\n]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)\s*\)/g;
+
+// Rendered blocks keyed by their source, so a streaming message only re-renders its last block
+const blockCache = new Map();
+
+function escapeHtml(value = '') {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Only absolute http(s) links survive; anything else (javascript:, data:,
+ * relative paths into the extension) is rendered as plain text.
+ */
+function sanitizeLinkUrl(url = '') {
+    const value = String(url).trim();
+    return /^https?:\/\/[^\s]+$/i.test(value) ? value : null;
+}
+
+function renderLink(label, escapedUrl) {
+    // The URL is already HTML-escaped; undo the escaping only to check the scheme
+    const raw = escapedUrl.replace(/&amp;/g, '&');
+    if (!sanitizeLinkUrl(raw)) return null;
+    return `<a href="${escapedUrl}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?=[^\w]|$)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?=[^\w]|$)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Inline markdown on top of escaped text. Code spans and links are swapped
+ * for placeholders first so emphasis markers inside them are left alone.
+ */
+function renderInline(text = '') {
+    const stash = [];
+    const hold = (html) => `${PLACEHOLDER}${stash.push(html) - 1}${PLACEHOLDER}`;
+
+    let html = escapeHtml(String(text).replace(/\u0000/g, ''))
+        .replace(/`([^`\n]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+        .replace(MARKDOWN_LINK_PATTERN, (match, label, url) => {
+            const link = renderLink(renderEmphasis(label), url);
+            return link ? hold(link) : label;
+        })
+        .replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g, (match, lead, url) => {
+            const link = renderLink(url, url);
+            return link ? lead + hold(link) : match;
+        });
+
+    html = renderEmphasis(html);
+    return html.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => stash[Number(index)]);
+}
+
+function renderCodeBlock(lines, language = '', { copyButtons = true } = {}) {
+    const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    const toolbar = copyButtons
+        ? `<div class="md-code__bar"><span>${escapeHtml(language)}</span><button type="button" class="md-copy" title="Copy code">Copy</button></div>`
+        : '';
+    return `<div class="md-code">${toolbar}<pre><code${languageClass}>${escapeHtml(lines.join('\n'))}</code></pre></div>`;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+}
+
+function renderTable(lines) {
+    const header = splitTableRow(lines[0]);
+    const alignments = splitTableRow(lines[1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+    const cell = (tag, value, index) => {
+        const align = alignments[index] ? ` style="text-align:${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInline(value)}</${tag}>`;
+    };
+
+    const head = `<tr>${header.map((value, index) => cell('th', value, index)).join('')}</tr>`;
+    const body = lines.slice(2).map((line) => {
+        const cells = splitTableRow(line);
+        return `<tr>${header.map((_, index) => cell('td', cells[index] || '', index)).join('')}</tr>`;
+    }).join('');
+
+    return `<div class="md-table"><table><thead>${head}</thead><tbody>${body}</tbody></table></div>`;
+}
+
+/**
+ * Builds nested lists from indentation: deeper items open a child list
+ * inside the current item, shallower ones close lists until the indent fits.
+ */
+function renderList(lines) {
+    const stack = [];
+    let html = '';
+
+    const close = () => {
+        html += `</li></${stack.pop().tag}>`;
+    };
+
+    for (const line of lines) {
+        const match = line.match(LIST_ITEM_PATTERN);
+        if (!match) {
+            // Lazy continuation of the previous item
+            html += ` ${renderInline(line.trim())}`;
+            continue;
+        }
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        const ordered = /\d/.test(match[2]);
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) close();
+
+        const top = stack[stack.length - 1];
+        if (!top || indent > top.indent) {
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && parseInt(match[2], 10) !== 1 ? ` start="${parseInt(match[2], 10)}"` : '';
+            stack.push({ indent, tag });
+            html += `<${tag}${start}><li>`;
+        } else {
+            html += '</li><li>';
+        }
+        html += renderInline(match[3]);
+    }
+
+    while (stack.length > 0) close();
+    return html;
+}
+
+function isBlockStart(lines, index) {
+    const line = lines[index];
+    return HEADING_PATTERN.test(line) || HR_PATTERN.test(line) || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) || isTableStart(lines, index);
+}
+
+/**
+ * Renders one blank-line separated block, which may still mix headings,
+ * lists, quotes, tables and paragraphs written without blank lines between.
+ */
+function renderBlock(source, options = {}) {
+    const fence = source.match(FENCE_PATTERN);
+    if (fence) {
+        const lines = source.split('\n').slice(1);
+        const closing = lines.length > 0 && lines[lines.length - 1].trim().startsWith(fence[1]);
+        return renderCodeBlock(closing ? lines.slice(0, -1) : lines, fence[2], options);
+    }
+
+    const lines = source.split('\n');
+    const html = [];
+    let i = 0;
+
+    const collect = (test) => {
+        const run = [];
+        while (i < lines.length && test(lines[i], i)) run.push(lines[i++]);
+        return run;
+    };
+
+    while (i < lines.length) {
+        const start = i;
+        const line = lines[i];
+        const heading = line.match(HEADING_PATTERN);
+
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+        } else if (HR_PATTERN.test(line)) {
+            html.push('<hr>');
+            i++;
+        } else if (isTableStart(lines, i)) {
+            html.push(renderTable(collect((row, index) => index < start + 2 || row.includes('|'))));
+        } else if (QUOTE_PATTERN.test(line)) {
+            const quoted = collect((row) => QUOTE_PATTERN.test(row)).map((row) => row.match(QUOTE_PATTERN)[1]);
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`);
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            html.push(renderList(collect((row, index) => LIST_ITEM_PATTERN.test(row) || (!isBlockStart(lines, index) && /^\s+\S/.test(row)))));
+        } else {
+            const paragraph = collect((row, index) => index === start || !isBlockStart(lines, index));
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        }
+    }
+
+    return html.join('');
+}
+
+/**
+ * Splits markdown into top-level blocks on blank lines, keeping fenced code
+ * (including an unterminated fence at the end of a stream) in one block.
+ */
+function splitBlocks(text = '') {
+    const blocks = [];
+    let current = [];
+    let fence = null;
+
+    const flush = () => {
+        if (current.length > 0) blocks.push(current.join('\n'));
+        current = [];
+    };
+
+    for (const line of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+        if (fence) {
+            current.push(line);
+            if (line.trim().startsWith(fence)) {
+                fence = null;
+                flush();
+            }
+            continue;
+        }
+
+        const opening = line.match(FENCE_PATTERN);
+        if (opening) {
+            flush();
+            fence = opening[1];
+            current.push(line);
+        } else if (line.trim() === '') {
+            flush();
+        } else {
+            current.push(line);
+        }
+    }
+    flush();
+
+    return blocks;
+}
+
+function renderCachedBlock(source, options) {
+    const key = `${options.copyButtons === false ? 0 : 1}${source}`;
+    if (blockCache.has(key)) return blockCache.get(key);
+
+    const html = renderBlock(source, options);
+    blockCache.set(key, html);
+    if (blockCache.size > BLOCK_CACHE_LIMIT) blockCache.delete(blockCache.keys().next().value);
+    return html;
+}
+
+/**
+ * Renders markdown to HTML that is safe for `v-html`: all source text is
+ * escaped before any markup is added, and links are limited to http(s).
+ * Pass `{ copyButtons: false }` for output that is not shown in the panel.
+ */
+function renderMarkdown(text = '', options = {}) {
+    if (!text || typeof text !== 'string') return '';
+    return splitBlocks(text).map((block) => renderCachedBlock(block, options)).join('');
+}
+
+function stripInline(text = '') {
+    return String(text)
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(MARKDOWN_LINK_PATTERN, (match, label, url) => (sanitizeLinkUrl(url) ? `${label} (${url})` : label))
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '$1')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?=[^\w]|$)/g, '$1$2')
+        .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '$1')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?=[^\w]|$)/g, '$1$2')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+}
+
+/**
+ * Drops markdown syntax but keeps the text and its line structure, for
+ * pasting answers into places that don't render markdown.
+ */
+function markdownToPlainText(text = '') {
+    let inFence = false;
+    const lines = [];
+
+    String(text).split('\n').forEach((line) => {
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+            return;
+        }
+        if (inFence) {
+            lines.push(line);
+            return;
+        }
+        if (HR_PATTERN.test(line) || TABLE_SEPARATOR_PATTERN.test(line)) return;
+
+        const heading = line.match(HEADING_PATTERN);
+        const quote = line.match(QUOTE_PATTERN);
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (heading) lines.push(stripInline(heading[2]));
+        else if (quote) lines.push(stripInline(quote[1]));
+        else if (item) lines.push(`${item[1]}${/\d/.test(item[2]) ? item[2] : '•'} ${stripInline(item[3])}`);
+        else if (line.trim().startsWith('|')) lines.push(splitTableRow(line).map(stripInline).join('\t'));
+        else lines.push(stripInline(line));
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = {
+    escapeHtml,
+    markdownToPlainText,
+    renderInline,
+    renderMarkdown,
+    sanitizeLinkUrl,
+    splitBlocks
+};
@@ -0,0 +1,145 @@
+const ROOT_ID = 'root';
+
+function toNodeId(id) {
+    return id === ROOT_ID || id === null || id === undefined ? ROOT_ID : String(id);
+}
+
+function createNode(id, parentId) {
+    return { id, parentId, childIds: [], activeChildId: null };
+}
+
+/**
+ * Adds a message under `parentId` and makes it the active branch there.
+ * Returns the new node id.
+ */
+function addMessage(tree, parentId, message) {
+    const id = toNodeId(message.id);
+    const parent = tree.nodes[toNodeId(parentId)] || tree.nodes[ROOT_ID];
+    tree.nodes[id] = createNode(id, parent.id);
+    tree.messages[id] = message;
+    parent.childIds.push(id);
+    parent.activeChildId = id;
+    return id;
+}
+
+/**
+ * A conversation as a tree: regenerated answers and edited questions become
+ * siblings of the message they replace, and each node remembers which child
+ * was shown last so switching back restores the whole branch below it.
+ */
+function createMessageTree(messages = []) {
+    const tree = { nodes: { [ROOT_ID]: createNode(ROOT_ID, null) }, messages: {} };
+    messages.reduce((parentId, message) => addMessage(tree, parentId, message), ROOT_ID);
+    return tree;
+}
+
+function getActivePath(tree) {
+    const path = [];
+    let node = tree.nodes[ROOT_ID];
+    while (node?.activeChildId && tree.nodes[node.activeChildId]) {
+        node = tree.nodes[node.activeChildId];
+        path.push(tree.messages[node.id]);
+    }
+    return path;
+}
+
+function getLeafId(tree) {
+    const path = getActivePath(tree);
+    return path.length > 0 ? toNodeId(path[path.length - 1].id) : ROOT_ID;
+}
+
+function getParentId(tree, messageId) {
+    return tree.nodes[toNodeId(messageId)]?.parentId ?? ROOT_ID;
+}
+
+/**
+ * Messages from the start of the conversation down to `nodeId`, inclusive.
+ */
+function getPathTo(tree, nodeId) {
+    const path = [];
+    let node = tree.nodes[toNodeId(nodeId)];
+    while (node && node.id !== ROOT_ID) {
+        path.unshift(tree.messages[node.id]);
+        node = tree.nodes[node.parentId];
+    }
+    return path;
+}
+
+/**
+ * Position of a message among its siblings as `{ index, count }`, 1-based.
+ */
+function getSiblingInfo(tree, messageId) {
+    const id = toNodeId(messageId);
+    const siblings = tree.nodes[getParentId(tree, id)]?.childIds || [id];
+    return { index: siblings.indexOf(id) + 1, count: siblings.length };
+}
+
+/**
+ * Shows the previous (`step` -1) or next (`step` 1) sibling of a message.
+ * Returns whether the active path changed.
+ */
+function switchSibling(tree, messageId, step) {
+    const parent = tree.nodes[getParentId(tree, messageId)];
+    if (!parent) return false;
+    const index = parent.childIds.indexOf(toNodeId(messageId)) + step;
+    if (index < 0 || index >= parent.childIds.length) return false;
+    parent.activeChildId = parent.childIds[index];
+    return true;
+}
+
+/**
+ * Stored alongside the thread's `messages` (the active path), so only the
+ * messages on other branches are kept here. Unsettled messages are left out.
+ */
+function serializeMessageTree(tree, isSettled = () => true) {
+    const onPath = new Set(getActivePath(tree).map((message) => toNodeId(message.id)));
+    return {
+        nodes: tree.nodes,
+        offPath: Object.entries(tree.messages)
+            .filter(([id, message]) => !onPath.has(id) && isSettled(message))
+            .map(([, message]) => message)
+    };
+}
+
+/**
+ * Rebuilds a tree from a stored thread. Nodes whose message wasn't stored
+ * are dropped with their branches; threads saved before branching existed,
+ * or whose tree doesn't match the stored path, become a single branch.
+ */
+function restoreMessageTree(messages = [], saved = null) {
+    if (!saved?.nodes?.[ROOT_ID]) return createMessageTree(messages);
+
+    const stored = new Map([...(saved.offPath || []), ...messages].map((message) => [toNodeId(message.id), message]));
+    const tree = createMessageTree();
+
+    const copyChildren = (fromId) => {
+        const source = saved.nodes[fromId];
+        (source?.childIds || []).forEach((childId) => {
+            const message = stored.get(childId);
+            if (!message || tree.nodes[childId]) return;
+            addMessage(tree, fromId, message);
+            copyChildren(childId);
+        });
+        const target = tree.nodes[fromId];
+        if (target && source && target.childIds.includes(source.activeChildId)) target.activeChildId = source.activeChildId;
+    };
+    copyChildren(ROOT_ID);
+
+    const path = getActivePath(tree).map((message) => toNodeId(message.id));
+    const expected = messages.map((message) => toNodeId(message.id));
+    return path.join() === expected.join() ? tree : createMessageTree(messages);
+}
+
+module.exports = {
+    ROOT_ID,
+    addMessage,
+    createMessageTree,
+    getActivePath,
+    getLeafId,
+    getParentId,
+    getPathTo,
+    getSiblingInfo,
+    restoreMessageTree,
+    serializeMessageTree,
+    switchSibling
+};
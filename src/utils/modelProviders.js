@@ -0,0 +1,358 @@
+const { estimateTokens } = require('./contextBudget');
+const { blobToBase64, toImageDataUrl } = require('./imageInput');
+
+const BACKEND_IDS = {
+    AUTO: 'auto',
+    PROMPT_API: 'prompt-api',
+    OPENAI_COMPATIBLE: 'openai-compatible',
+    MOCK: 'mock'
+};
+
+const DEFAULT_ENDPOINT_URL = 'http://localhost:11434/v1';
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const IMAGE_TOKEN_ESTIMATE = 256;
+const ENDPOINT_PROBE_TIMEOUT_MS = 3000;
+
+// llama.cpp and Ollama defaults; the HTTP API has no way to ask for them
+const OPENAI_COMPATIBLE_PARAMS = {
+    defaultTemperature: 0.8,
+    maxTemperature: 2,
+    defaultTopK: 40,
+    maxTopK: 100
+};
+
+/**
+ * Chrome's built-in model. The global is looked up on every call because
+ * it can be missing on older browsers.
+ */
+function createPromptApiProvider(scope = globalThis) {
+    return {
+        id: BACKEND_IDS.PROMPT_API,
+        label: 'Chrome built-in AI',
+        unsupportedReason: 'Chrome 138+ required',
+        isSupported: () => 'LanguageModel' in scope,
+        availability: (options) => scope.LanguageModel.availability(options),
+        params: () => scope.LanguageModel.params(),
+        create: (options) => scope.LanguageModel.create(options)
+    };
+}
+
+function toMessages(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+    if (Array.isArray(input)) return input;
+    return input ? [input] : [];
+}
+
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    return (content || []).map((part) => (part.type === 'text' ? part.value : '')).join('\n');
+}
+
+function estimateMessageTokens(messages = []) {
+    return messages.reduce((total, message) => {
+        const images = Array.isArray(message.content) ? message.content.filter((part) => part.type === 'image').length : 0;
+        return total + estimateTokens(contentText(message.content)) + images * IMAGE_TOKEN_ESTIMATE;
+    }, 0);
+}
+
+function createQuotaError() {
+    const error = new Error('The input is too large for the model context window');
+    error.name = 'QuotaExceededError';
+    return error;
+}
+
+/**
+ * A session over a stateless completion function, shaped like a Prompt API
+ * session: it keeps the conversation, so `prompt`, `append` and `clone`
+ * behave the same whichever backend produced the text. `complete` is called
+ * with the whole conversation and yields the reply in pieces.
+ */
+function createChatSession({ complete, initialPrompts = [], inputQuota = DEFAULT_CONTEXT_WINDOW }) {
+    const history = [...initialPrompts];
+    let destroyed = false;
+
+    const session = {
+        inputQuota,
+        get inputUsage() {
+            return estimateMessageTokens(history);
+        },
+        async measureInputUsage(input) {
+            return estimateMessageTokens(toMessages(input));
+        },
+        async append(messages) {
+            history.push(...toMessages(messages));
+        },
+        async clone() {
+            return createChatSession({ complete, initialPrompts: history, inputQuota });
+        },
+        destroy() {
+            destroyed = true;
+        },
+        promptStreaming(input, options = {}) {
+            return (async function* stream() {
+                if (destroyed) throw new Error('The session has been destroyed');
+                options.signal?.throwIfAborted();
+
+                const turn = toMessages(input);
+                if (estimateMessageTokens([...history, ...turn]) > inputQuota) throw createQuotaError();
+
+                let reply = '';
+                for await (const chunk of complete([...history, ...turn], options)) {
+                    options.signal?.throwIfAborted();
+                    reply += chunk;
+                    yield chunk;
+                }
+                // Like the Prompt API, a turn that was stopped part-way isn't remembered
+                history.push(...turn, { role: 'assistant', content: reply });
+            })();
+        },
+        async prompt(input, options = {}) {
+            let reply = '';
+            for await (const chunk of session.promptStreaming(input, options)) reply += chunk;
+            return reply;
+        }
+    };
+
+    return session;
+}
+
+// Prompt API message parts use `{ type, value }`; chat completions want `text` and `image_url` parts
+async function toChatCompletionMessage(message) {
+    if (typeof message.content === 'string') return { role: message.role, content: message.content };
+
+    const content = await Promise.all((message.content || []).map(async (part) => {
+        if (part.type !== 'image') return { type: 'text', text: String(part.value ?? '') };
+        const url = typeof part.value === 'string'
+            ? part.value
+            : toImageDataUrl({ base64: await blobToBase64(part.value), type: part.value.type || 'image/png' });
+        return { type: 'image_url', image_url: { url } };
+    }));
+    return { role: message.role, content };
+}
+
+// One `data:` line of a streamed chat completion; returns the text it adds
+function parseStreamLine(line) {
+    const match = line.match(/^data:\s?(.*)$/);
+    if (!match || !match[1].trim() || match[1].trim() === '[DONE]') return '';
+
+    let event;
+    try {
+        event = JSON.parse(match[1]);
+    } catch (e) {
+        return '';
+    }
+    if (event.error) throw new Error(event.error.message || String(event.error));
+    return event.choices?.[0]?.delta?.content || '';
+}
+
+async function* readChatCompletionStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) {
+                const text = parseStreamLine(line.trim());
+                if (text) yield text;
+            }
+            if (done) return;
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * A local server with an OpenAI-style `/chat/completions` API, such as
+ * Ollama or llama.cpp. Without a configured model the first one the server
+ * lists is used. Requests stream, pass JSON schemas as `response_format`
+ * and send images as data URLs.
+ */
+function createOpenAICompatibleProvider(config = {}) {
+    const baseUrl = String(config.url || '').trim().replace(/\/+$/, '');
+    const fetchImpl = config.fetch || ((...args) => fetch(...args));
+    const inputQuota = config.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    let listedModel = null;
+
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {})
+    };
+
+    async function listModels(signal) {
+        const response = await fetchImpl(`${baseUrl}/models`, { headers, signal });
+        if (!response.ok) throw new Error(`The model endpoint returned ${response.status}`);
+        const body = await response.json();
+        return (body.data || body.models || []).map((model) => model.id || model.name).filter(Boolean);
+    }
+
+    async function resolveModel(signal) {
+        if (config.model) return config.model;
+        if (!listedModel) [listedModel] = await listModels(signal);
+        if (!listedModel) throw new Error('The model endpoint has no models loaded');
+        return listedModel;
+    }
+
+    async function* complete(messages, { responseConstraint, signal, temperature, topK } = {}) {
+        const body = {
+            model: await resolveModel(signal),
+            messages: await Promise.all(messages.map(toChatCompletionMessage)),
+            stream: true
+        };
+        if (temperature != null) body.temperature = temperature;
+        if (topK != null) body.top_k = topK;
+        if (responseConstraint) {
+            body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: responseConstraint, strict: true } };
+        }
+
+        const response = await fetchImpl(`${baseUrl}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(body), signal });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`The model endpoint returned ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+        }
+        yield* readChatCompletionStream(response.body);
+    }
+
+    return {
+        id: BACKEND_IDS.OPENAI_COMPATIBLE,
+        label: 'Local model endpoint',
+        unsupportedReason: 'Set the endpoint URL in the settings',
+        isSupported: () => Boolean(baseUrl),
+        async availability() {
+            const signal = typeof AbortSignal.timeout === 'function' ? AbortSignal.timeout(ENDPOINT_PROBE_TIMEOUT_MS) : undefined;
+            try {
+                await resolveModel(signal);
+                return 'available';
+            } catch (e) {
+                return 'unavailable';
+            }
+        },
+        async params() {
+            return OPENAI_COMPATIBLE_PARAMS;
+        },
+        async create({ initialPrompts = [], temperature, topK, signal } = {}) {
+            signal?.throwIfAborted();
+            return createChatSession({
+                complete: (messages, options) => complete(messages, { ...options, temperature, topK }),
+                initialPrompts,
+                inputQuota
+            });
+        }
+    };
+}
+
+/**
+ * The smallest value that satisfies `schema`, for the mock provider's
+ * structured answers.
+ */
+function sampleFromSchema(schema = {}) {
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    const [type] = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (type === 'object') {
+        const value = {};
+        Object.entries(schema.properties || {}).forEach(([key, property]) => {
+            value[key] = sampleFromSchema(property);
+        });
+        return value;
+    }
+    if (type === 'array') {
+        return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => sampleFromSchema(schema.items || {}))
+            .slice(0, schema.maxItems ?? Infinity);
+    }
+    if (type === 'number' || type === 'integer') return schema.minimum ?? 0;
+    if (type === 'boolean') return false;
+    if (type === 'null') return null;
+    return 'sample'.padEnd(schema.minLength || 0, '.').slice(0, schema.maxLength ?? Infinity);
+}
+
+function defaultMockReply(messages, { responseConstraint } = {}) {
+    if (responseConstraint) return JSON.stringify(sampleFromSchema(responseConstraint));
+    const question = contentText([...messages].reverse().find((message) => message.role === 'user')?.content);
+    return `Mock answer to: ${question.slice(0, 80)}`;
+}
+
+/**
+ * A deterministic in-memory model for tests. Replies come from `respond`
+ * (the conversation plus the prompt options in, text out) and stream one
+ * word at a time; every completion is recorded in `calls`. With an
+ * availability other than 'available', the first `create` with a monitor
+ * reports a finished download.
+ */
+function createMockProvider({ respond = defaultMockReply, availability = 'available', params = {}, inputQuota = DEFAULT_CONTEXT_WINDOW } = {}) {
+    const calls = [];
+    let status = availability;
+
+    async function* complete(messages, options = {}) {
+        const { signal, ...promptOptions } = options;
+        calls.push({ messages, options: promptOptions });
+        const reply = String(await respond(messages, promptOptions));
+        for (const chunk of reply.match(/\S+\s*|\s+/g) || []) {
+            signal?.throwIfAborted();
+            yield chunk;
+        }
+    }
+
+    return {
+        id: BACKEND_IDS.MOCK,
+        label: 'Mock model',
+        unsupportedReason: '',
+        calls,
+        isSupported: () => true,
+        availability: async () => status,
+        params: async () => params,
+        async create({ initialPrompts = [], monitor, signal, ...sessionOptions } = {}) {
+            signal?.throwIfAborted();
+            if (monitor && status !== 'available') {
+                const listeners = [];
+                monitor({ addEventListener: (type, listener) => listeners.push(listener) });
+                listeners.forEach((listener) => listener({ loaded: 1, total: 1 }));
+                status = 'available';
+            }
+            if (status === 'unavailable') throw new Error('AI Model Unavailable');
+            return createChatSession({
+                complete: (messages, options) => complete(messages, { ...options, ...sessionOptions }),
+                initialPrompts,
+                inputQuota
+            });
+        }
+    };
+}
+
+async function isProviderUsable(provider) {
+    if (!provider?.isSupported()) return false;
+    const status = await provider.availability().catch(() => 'unavailable');
+    return status !== 'unavailable';
+}
+
+/**
+ * Picks the backend to use. An explicit preference is always honoured so
+ * its own status is reported; 'auto' takes the first usable provider in
+ * order and falls back to the first one. Resolves with
+ * `{ provider, usable }`.
+ */
+async function selectProvider(providers = [], preference = BACKEND_IDS.AUTO) {
+    const preferred = providers.find((provider) => provider.id === preference);
+    if (preferred) return { provider: preferred, usable: await isProviderUsable(preferred) };
+
+    for (const provider of providers) {
+        if (await isProviderUsable(provider)) return { provider, usable: true };
+    }
+    return { provider: providers[0] || null, usable: false };
+}
+
+module.exports = {
+    BACKEND_IDS,
+    DEFAULT_CONTEXT_WINDOW,
+    DEFAULT_ENDPOINT_URL,
+    createChatSession,
+    createMockProvider,
+    createOpenAICompatibleProvider,
+    createPromptApiProvider,
+    sampleFromSchema,
+    selectProvider
+};
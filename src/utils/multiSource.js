@@ -0,0 +1,143 @@
+const MAX_SOURCES = 5;
+const MULTI_SOURCE_CONTEXT_CHARS = 6000;
+const MIN_SOURCE_CHARS = 800;
+const CITATION_PATTERN = /\[(S\d+)(?:\s*,\s*S\d+)*\]/g;
+
+function buildSourceId(index) {
+    return `S${index + 1}`;
+}
+
+/**
+ * Splits the context budget evenly between tabs, without letting any one
+ * tab shrink below MIN_SOURCE_CHARS.
+ */
+function sourceCharBudget(count, totalChars = MULTI_SOURCE_CONTEXT_CHARS) {
+    if (count <= 0) return totalChars;
+    return Math.max(MIN_SOURCE_CHARS, Math.floor(totalChars / count));
+}
+
+/**
+ * Labels extracted tabs `S1`, `S2`, ... in the order they were picked and
+ * keeps only what the panel needs to attribute answers.
+ */
+function toSources(pages = []) {
+    return pages.slice(0, MAX_SOURCES).map((page, index) => ({
+        id: buildSourceId(index),
+        tabId: page.tabId,
+        title: page.title || page.url || `Tab ${index + 1}`,
+        url: page.url || '',
+        content: String(page.content || ''),
+        truncated: Boolean(page.truncated)
+    }));
+}
+
+function renderMultiSourceContext(sources = []) {
+    return sources
+        .map((source) => `## [${source.id}] ${source.title}\nURL: ${source.url}\n\n${source.content}`.trim())
+        .join('\n\n---\n\n');
+}
+
+/**
+ * Asks for inline `[S1]` citations so every statement in a free-text answer
+ * can be traced back to the tab it came from.
+ */
+function buildMultiSourcePrompt(prompt = '', sources = []) {
+    if (!Array.isArray(sources) || sources.length === 0) return String(prompt);
+
+    const list = sources.map((source) => `[${source.id}] ${source.title}`).join('\n');
+    return `${prompt}
+
+Answer using these ${sources.length} sources:
+${list}
+Cite the sources each statement comes from as [S1], [S2], etc., and point out where the sources disagree.`;
+}
+
+/**
+ * Returns the sources cited in `text`, in order of first citation.
+ */
+function extractCitations(text = '', sources = []) {
+    const cited = new Set();
+    for (const match of String(text).matchAll(CITATION_PATTERN)) {
+        match[0].match(/S\d+/g).forEach((id) => cited.add(id));
+    }
+    const byId = new Map(sources.map((source) => [source.id, source]));
+    return [...cited].filter((id) => byId.has(id)).map((id) => byId.get(id));
+}
+
+/**
+ * JSON Schema for the Compare tool. Passing the picked source ids limits
+ * `source` fields to tabs that actually exist.
+ */
+function buildCompareSchema(sourceIds = []) {
+    const sourceId = sourceIds.length > 0 ? { type: "string", enum: sourceIds } : { type: "string" };
+    return {
+        type: "object",
+        properties: {
+            topic: { type: "string" },
+            positions: {
+                type: "array",
+                minItems: 1,
+                items: {
+                    type: "object",
+                    properties: {
+                        source: sourceId,
+                        position: { type: "string" }
+                    },
+                    required: ["source", "position"],
+                    additionalProperties: false
+                }
+            },
+            agreements: {
+                type: "array",
+                maxItems: 5,
+                items: {
+                    type: "object",
+                    properties: {
+                        point: { type: "string" },
+                        sources: { type: "array", items: sourceId, minItems: 2 }
+                    },
+                    required: ["point", "sources"],
+                    additionalProperties: false
+                }
+            },
+            contradictions: {
+                type: "array",
+                maxItems: 5,
+                items: {
+                    type: "object",
+                    properties: {
+                        point: { type: "string" },
+                        sides: {
+                            type: "array",
+                            minItems: 2,
+                            items: {
+                                type: "object",
+                                properties: {
+                                    source: sourceId,
+                                    claim: { type: "string" }
+                                },
+                                required: ["source", "claim"],
+                                additionalProperties: false
+                            }
+                        }
+                    },
+                    required: ["point", "sides"],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ["topic", "positions", "agreements", "contradictions"],
+        additionalProperties: false
+    };
+}
+
+module.exports = {
+    MAX_SOURCES,
+    buildCompareSchema,
+    buildMultiSourcePrompt,
+    buildSourceId,
+    extractCitations,
+    renderMultiSourceContext,
+    sourceCharBudget,
+    toSources
+};
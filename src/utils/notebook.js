@@ -0,0 +1,213 @@
+const { createIndexedDbStore } = require('./resultCache');
+const { normalizePageUrl } = require('./threadStore');
+
+const NOTEBOOK_DB_NAME = 'aura_notebook';
+const NOTEBOOK_STORE_NAME = 'pages';
+const NOTEBOOK_FEATURES = ['TLDR', 'ENTITIES'];
+const NOTEBOOK_TITLE = 'Research notebook';
+const NOTEBOOK_CONTEXT_CHARS = 12000;
+const CONTEXT_ENTITIES_PER_TYPE = 30;
+
+const ENTITY_TYPES = [
+    { id: 'person', field: 'people', label: 'People', singular: 'Person' },
+    { id: 'organization', field: 'organizations', label: 'Organizations', singular: 'Organization' },
+    { id: 'location', field: 'locations', label: 'Locations', singular: 'Location' }
+];
+
+function cleanText(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Drops blanks and repeats that only differ in case or spacing
+function cleanList(values = []) {
+    const seen = new Set();
+    return (Array.isArray(values) ? values : []).map(cleanText).filter((value) => {
+        const key = value.toLowerCase();
+        if (!value || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function normalizeEntities(data = {}) {
+    return Object.fromEntries(ENTITY_TYPES.map((type) => [type.field, cleanList(data?.[type.field])]));
+}
+
+function sortPages(pages = []) {
+    return [...pages].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Pages in the notebook, one record per URL. A new TL;DR or Entities run on
+ * a page replaces that part of its record, so the notebook follows the page
+ * as it is now.
+ */
+function createNotebook({
+    store = createIndexedDbStore({ dbName: NOTEBOOK_DB_NAME, storeName: NOTEBOOK_STORE_NAME }),
+    now = () => Date.now()
+} = {}) {
+    async function addResult({ url = '', title = '', feature, data } = {}) {
+        if (!url || !NOTEBOOK_FEATURES.includes(feature) || !data || typeof data !== 'object') return null;
+
+        const key = normalizePageUrl(url);
+        const existing = await store.get(key);
+        const timestamp = now();
+        const page = {
+            key,
+            url,
+            title: cleanText(title) || existing?.title || url,
+            addedAt: existing?.addedAt ?? timestamp,
+            updatedAt: timestamp,
+            summary: existing?.summary || '',
+            takeaways: existing?.takeaways || [],
+            entities: existing?.entities || normalizeEntities()
+        };
+
+        if (feature === 'ENTITIES') {
+            page.entities = normalizeEntities(data);
+        } else {
+            page.summary = cleanText(data.summary);
+            page.takeaways = cleanList(data.takeaways);
+        }
+
+        await store.put(page);
+        return page;
+    }
+
+    return {
+        addResult,
+        async listPages() {
+            return sortPages(await store.getAll());
+        },
+        removePage: (url) => store.delete([normalizePageUrl(url)]),
+        clear: () => store.clear()
+    };
+}
+
+/**
+ * Every entity in the notebook with the pages that mention it, most
+ * widespread first. Names are matched case-insensitively within a type.
+ */
+function buildEntityIndex(pages = []) {
+    const index = new Map();
+
+    pages.forEach((page) => {
+        ENTITY_TYPES.forEach((type) => {
+            cleanList(page.entities?.[type.field]).forEach((name) => {
+                const key = `${type.id}:${name.toLowerCase()}`;
+                if (!index.has(key)) index.set(key, { key, name, type: type.id, pages: [] });
+                index.get(key).pages.push({ url: page.url, title: page.title });
+            });
+        });
+    });
+
+    return [...index.values()]
+        .map((entity) => ({ ...entity, count: entity.pages.length }))
+        .sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+}
+
+function renderPage(page) {
+    const lines = [`### ${page.title}`, `URL: ${page.url}`];
+    if (page.summary) lines.push(`Summary: ${page.summary}`);
+    page.takeaways.forEach((takeaway) => lines.push(`- ${takeaway}`));
+    ENTITY_TYPES.forEach((type) => {
+        const names = page.entities?.[type.field] || [];
+        if (names.length > 0) lines.push(`${type.label}: ${names.join(', ')}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Renders the notebook as grounding context: the entity index first, then
+ * the most recently updated pages that fit in `maxChars`.
+ */
+function buildNotebookContext(pages = [], { maxChars = NOTEBOOK_CONTEXT_CHARS } = {}) {
+    const sorted = sortPages(pages);
+    const entities = buildEntityIndex(sorted);
+    const sections = [
+        `# ${NOTEBOOK_TITLE}`,
+        `The user collected these notes from ${sorted.length} web page${sorted.length === 1 ? '' : 's'}. Entities list how many pages mention them. Name the pages your answers rely on.`
+    ];
+
+    const entityLines = ENTITY_TYPES.map((type) => {
+        const names = entities.filter((entity) => entity.type === type.id).slice(0, CONTEXT_ENTITIES_PER_TYPE);
+        return names.length > 0 ? `- ${type.label}: ${names.map((entity) => `${entity.name} (${entity.count})`).join(', ')}` : '';
+    }).filter(Boolean);
+    if (entityLines.length > 0) sections.push(`## Entities\n${entityLines.join('\n')}`);
+
+    let context = sections.join('\n\n');
+    let included = 0;
+    for (const page of sorted) {
+        const section = `${included === 0 ? '\n\n## Pages' : ''}\n\n${renderPage(page)}`;
+        if (included > 0 && context.length + section.length > maxChars) break;
+        context += section;
+        included++;
+    }
+    if (included < sorted.length) context += `\n\n(${sorted.length - included} older pages left out)`;
+    return context;
+}
+
+// Quotes fields that need it and defuses values a spreadsheet would run as a formula
+function escapeCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per entity mention and per takeaway, so the export can be pivoted
+ * by entity or by page.
+ */
+function notebookToCsv(pages = []) {
+    const sorted = sortPages(pages);
+    const counts = new Map(buildEntityIndex(sorted).map((entity) => [entity.key, entity.count]));
+    const rows = [['type', 'value', 'pages_mentioning', 'page_title', 'page_url', 'updated_at']];
+
+    sorted.forEach((page) => {
+        const updatedAt = new Date(page.updatedAt).toISOString();
+        ENTITY_TYPES.forEach((type) => {
+            cleanList(page.entities?.[type.field]).forEach((name) => {
+                rows.push([type.id, name, counts.get(`${type.id}:${name.toLowerCase()}`) || 1, page.title, page.url, updatedAt]);
+            });
+        });
+        page.takeaways.forEach((takeaway) => rows.push(['takeaway', takeaway, '', page.title, page.url, updatedAt]));
+    });
+
+    return `${rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function notebookToJson(pages = [], exportedAt = Date.now()) {
+    const sorted = sortPages(pages);
+    return JSON.stringify({
+        title: NOTEBOOK_TITLE,
+        exportedAt: new Date(exportedAt).toISOString(),
+        pages: sorted.map((page) => ({
+            url: page.url,
+            title: page.title,
+            addedAt: new Date(page.addedAt).toISOString(),
+            updatedAt: new Date(page.updatedAt).toISOString(),
+            summary: page.summary,
+            takeaways: page.takeaways,
+            entities: page.entities
+        })),
+        entities: buildEntityIndex(sorted).map(({ name, type, count, pages: mentions }) => ({
+            name, type, count, pages: mentions.map((mention) => mention.url)
+        }))
+    }, null, 2);
+}
+
+function exportNotebook(format, pages, exportedAt = Date.now()) {
+    return format === 'csv' ? notebookToCsv(pages) : notebookToJson(pages, exportedAt);
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    NOTEBOOK_FEATURES,
+    NOTEBOOK_TITLE,
+    buildEntityIndex,
+    buildNotebookContext,
+    createNotebook,
+    exportNotebook,
+    notebookToCsv,
+    notebookToJson
+};
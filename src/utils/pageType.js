@@ -0,0 +1,148 @@
+const PAGE_TYPES = ['article', 'tutorial', 'research', 'product', 'recipe', 'general'];
+const MODEL_CONFIDENCE_THRESHOLD = 0.6;
+const SCHEMA_CONFIDENCE = 0.95;
+const MIN_HEURISTIC_SCORE = 2;
+
+const PAGE_TYPE_LABELS = {
+    article: 'Article',
+    tutorial: 'Tutorial',
+    research: 'Research paper',
+    product: 'Product',
+    recipe: 'Recipe',
+    general: 'Web page'
+};
+
+// schema.org types, most specific first: a recipe blog post is still a recipe
+const JSON_LD_PAGE_TYPES = [
+    ['recipe', ['Recipe']],
+    ['product', ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel']],
+    ['research', ['ScholarlyArticle', 'MedicalScholarlyArticle']],
+    ['tutorial', ['HowTo', 'TechArticle']],
+    ['article', ['NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle', 'Article', 'BlogPosting', 'Report']]
+];
+
+const RESEARCH_HOSTS = /(^|\.)(arxiv\.org|biorxiv\.org|medrxiv\.org|doi\.org|pubmed\.ncbi\.nlm\.nih\.gov|ncbi\.nlm\.nih\.gov|sciencedirect\.com|springer\.com|nature\.com|acm\.org|ieee\.org|semanticscholar\.org|researchgate\.net|ssrn\.com|plos\.org)$/i;
+const TUTORIAL_HINT = /tutorial|guide|how-?to|getting-started|walkthrough|docs?\b|learn/i;
+const RECIPE_HINT = /recipe/i;
+
+const PAGE_TYPE_SCHEMA = {
+    type: "object",
+    properties: {
+        type: { type: "string", enum: PAGE_TYPES },
+        confidence: { type: "number", minimum: 0, maximum: 1 }
+    },
+    required: ["type", "confidence"],
+    additionalProperties: false
+};
+
+function roundConfidence(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+}
+
+function typeFromJsonLd(types = []) {
+    const names = new Set(types.map((type) => String(type).replace(/^https?:\/\/schema\.org\//, '')));
+    const match = JSON_LD_PAGE_TYPES.find(([, candidates]) => candidates.some((candidate) => names.has(candidate)));
+    return match ? match[0] : null;
+}
+
+/**
+ * Scores the DOM signals collected by the content script. Each page type adds
+ * up weighted hints; confidence grows with the winner's lead over the
+ * runner-up.
+ */
+function scorePageSignals(signals = {}) {
+    let hostname = '';
+    let path = '';
+    try {
+        const url = new URL(signals.url || '');
+        hostname = url.hostname;
+        path = url.pathname;
+    } catch (e) {
+        // Pages without a URL are scored on the DOM alone
+    }
+    const text = `${path} ${signals.title || ''}`;
+
+    return {
+        recipe: (signals.ingredientMarkers > 0 ? 3 : 0)
+            + (RECIPE_HINT.test(text) ? 1.5 : 0)
+            + (signals.ingredientMarkers > 0 && signals.orderedListItems > 2 ? 0.5 : 0),
+        product: (signals.ogType === 'product' ? 3 : 0)
+            + (signals.priceMarkers > 0 ? 2 : 0)
+            + (signals.cartButtons > 0 ? 2 : 0),
+        research: (signals.citationMeta ? 3 : 0)
+            + (RESEARCH_HOSTS.test(hostname) ? 2 : 0)
+            + (signals.hasAbstract ? 1.5 : 0)
+            + (signals.hasReferences ? 1 : 0),
+        tutorial: (signals.stepHeadings >= 2 ? 2 : 0)
+            + (signals.codeBlocks >= 2 ? 1.5 : 0)
+            + (TUTORIAL_HINT.test(text) ? 1.5 : 0),
+        article: (signals.ogType === 'article' ? 2 : 0)
+            + (signals.publishedTime ? 1 : 0)
+            + (signals.articleElement ? 1 : 0)
+            + (signals.wordCount > 600 ? 1 : 0)
+    };
+}
+
+/**
+ * Classifies a page from its signals. schema.org JSON-LD wins outright;
+ * otherwise DOM heuristics decide, and weak evidence falls back to
+ * `general`. Returns `{ type, confidence, source }`.
+ */
+function classifyPageSignals(signals = {}) {
+    const schemaType = typeFromJsonLd(signals.jsonLdTypes);
+    if (schemaType) return { type: schemaType, confidence: SCHEMA_CONFIDENCE, source: 'schema' };
+
+    const ranked = Object.entries(scorePageSignals(signals)).sort((a, b) => b[1] - a[1]);
+    const [[type, best], [, runnerUp]] = ranked;
+    if (best < MIN_HEURISTIC_SCORE) return { type: 'general', confidence: roundConfidence(0.5 - best * 0.1), source: 'heuristic' };
+
+    return {
+        type,
+        confidence: roundConfidence(Math.min(0.9, best / (best + runnerUp + 1))),
+        source: 'heuristic'
+    };
+}
+
+function shouldAskModel(pageType) {
+    return !pageType || pageType.confidence < MODEL_CONFIDENCE_THRESHOLD;
+}
+
+function buildPageTypePrompt({ title = '', url = '', content = '', guess = null } = {}) {
+    const hint = guess && guess.type !== 'general' ? `\nA quick heuristic guessed "${guess.type}", but it may be wrong.` : '';
+    return `Classify this web page as exactly one of: ${PAGE_TYPES.join(', ')}.
+- article: news, blog post, essay or opinion piece
+- tutorial: step-by-step guide, how-to or technical documentation
+- research: academic paper, preprint or study
+- product: a page selling or reviewing one product
+- recipe: cooking or baking instructions
+- general: anything else (home pages, listings, forums, tools)
+${hint}
+Page Title: ${title}
+URL: ${url}
+Content: ${String(content).substring(0, 1200)}
+
+Respond with the type and your confidence from 0 to 1.`;
+}
+
+/**
+ * Keeps whichever classification is more confident; the model only
+ * overrides the heuristic when it is more sure of its answer.
+ */
+function mergePageTypes(heuristic, model) {
+    if (!model || !PAGE_TYPES.includes(model.type)) return heuristic;
+    const confidence = roundConfidence(Number(model.confidence) || 0);
+    if (heuristic && heuristic.confidence >= confidence) return heuristic;
+    return { type: model.type, confidence, source: 'model' };
+}
+
+module.exports = {
+    MODEL_CONFIDENCE_THRESHOLD,
+    PAGE_TYPES,
+    PAGE_TYPE_LABELS,
+    PAGE_TYPE_SCHEMA,
+    buildPageTypePrompt,
+    classifyPageSignals,
+    mergePageTypes,
+    scorePageSignals,
+    shouldAskModel
+};
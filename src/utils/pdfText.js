@@ -0,0 +1,542 @@
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+const MAX_PDF_PAGES = 300;
+const MAX_PARAGRAPH_CHARS = 1200;
+const TEXT_EXCERPT_CHARS = 3000;
+
+const OBJECT_PATTERN = /(\d+)\s+(\d+)\s+obj\b/g;
+const REF_PATTERN = /(\d+)\s+\d+\s+R/g;
+// The trailer (or cross-reference stream) of an encrypted PDF points to its encryption dictionary
+const ENCRYPT_PATTERN = /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/;
+const SECTION_NAMES = /^(abstract|introduction|background|related work|methods?|methodology|materials and methods|experiments?|results|evaluation|discussion|conclusions?|limitations|acknowledg(e)?ments|references|bibliography|appendix)$/i;
+
+/**
+ * PDFs open in Chrome's built-in viewer, where content scripts can't run.
+ * arXiv serves its PDFs without an extension. Local `file:` PDFs are left
+ * out because the service worker can't fetch them.
+ */
+function isPdfUrl(url = '') {
+    try {
+        const parsed = new URL(url);
+        if (!/^https?:$/.test(parsed.protocol)) return false;
+        return /\.pdf$/i.test(parsed.pathname) || (/(^|\.)arxiv\.org$/.test(parsed.hostname) && /^\/pdf\//.test(parsed.pathname));
+    } catch (e) {
+        return false;
+    }
+}
+
+function isPdfBytes(bytes) {
+    return bytes.length > 4 && toBinaryString(bytes.subarray(0, 1024)).includes('%PDF-');
+}
+
+// PDF syntax is byte-oriented; one char per byte keeps offsets and regexes simple
+function toBinaryString(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return binary;
+}
+
+function toBytes(binary) {
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+    return bytes;
+}
+
+// Keeps whatever inflated before an error; truncated streams are common in the wild
+async function inflate(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    const chunks = [];
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+        }
+    } catch (e) {
+        if (chunks.length === 0) return null;
+    }
+    return toBinaryString(new Uint8Array(await new Blob(chunks).arrayBuffer()));
+}
+
+/**
+ * Returns the raw text of a dictionary value: a nested `<< >>` dictionary, an
+ * array, a reference, or a single token. Keys must match whole names, so
+ * `Font` doesn't match `FontDescriptor`.
+ */
+function getDictValue(dict = '', key) {
+    const match = new RegExp(`/${key}(?=[\\s/<\\[(])\\s*`).exec(dict);
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    const open = dict.startsWith('<<', start) ? ['<<', '>>'] : dict[start] === '[' ? ['[', ']'] : null;
+    if (open) {
+        let depth = 0;
+        for (let i = start; i < dict.length; i++) {
+            if (dict.startsWith(open[0], i)) {
+                depth++;
+                i += open[0].length - 1;
+            } else if (dict.startsWith(open[1], i)) {
+                depth--;
+                i += open[1].length - 1;
+                if (depth === 0) return dict.slice(start, i + 1);
+            }
+        }
+        return dict.slice(start);
+    }
+
+    if (dict[start] === '(') return dict.slice(start, readLiteralString(dict, start).end);
+    if (dict[start] === '<') return dict.slice(start, readHexString(dict, start).end);
+
+    const ref = /^(\d+)\s+(\d+)\s+R/.exec(dict.slice(start));
+    if (ref) return ref[0];
+    return (/^\/[^\s/<>[\]()]*|^[^\s/<>[\]()]+/.exec(dict.slice(start)) || [''])[0];
+}
+
+function listRefs(value = '') {
+    return Array.from(String(value).matchAll(REF_PATTERN), (match) => Number(match[1]));
+}
+
+function parseRef(value = '') {
+    const match = /^(\d+)\s+\d+\s+R$/.exec(String(value).trim());
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Indexes every `n g obj` in the file. Later definitions win, which matches
+ * how incremental updates override earlier objects.
+ */
+function indexObjects(binary) {
+    const objects = new Map();
+    const pattern = new RegExp(OBJECT_PATTERN.source, 'g');
+    let match;
+
+    while ((match = pattern.exec(binary))) {
+        const start = match.index + match[0].length;
+        const endObj = binary.indexOf('endobj', start);
+        if (endObj === -1) break;
+
+        const streamAt = binary.indexOf('stream', start);
+        if (streamAt === -1 || streamAt > endObj) {
+            objects.set(Number(match[1]), { dict: binary.slice(start, endObj).trim() });
+            pattern.lastIndex = endObj;
+            continue;
+        }
+
+        let dataStart = streamAt + 'stream'.length;
+        if (binary[dataStart] === '\r') dataStart++;
+        if (binary[dataStart] === '\n') dataStart++;
+        const dict = binary.slice(start, streamAt).trim();
+        const declared = Number(getDictValue(dict, 'Length'));
+        const exact = declared > 0 && binary.slice(dataStart + declared, dataStart + declared + 12).includes('endstream');
+        const dataEnd = exact ? dataStart + declared : binary.indexOf('endstream', dataStart);
+        if (dataEnd === -1) break;
+
+        objects.set(Number(match[1]), { dict, streamStart: dataStart, streamEnd: dataEnd, exact });
+        // Skip the binary payload so it can't be mistaken for objects
+        pattern.lastIndex = dataEnd;
+    }
+    return objects;
+}
+
+async function readStream(binary, object) {
+    if (!object || object.streamStart == null) return null;
+    const raw = binary.slice(object.streamStart, object.streamEnd);
+    // Without a usable /Length the end-of-line before `endstream` is not data
+    const payload = object.exact ? raw : raw.replace(/\r?\n$/, '');
+    const filters = (getDictValue(object.dict, 'Filter') || '').match(/\/\w+/g) || [];
+
+    let data = payload;
+    for (const filter of filters) {
+        if (filter !== '/FlateDecode' && filter !== '/Fl') return null;
+        data = await inflate(toBytes(data));
+        if (data == null) return null;
+    }
+    return data;
+}
+
+// Compressed object streams hold many small dictionaries (pages, fonts) back to back
+async function expandObjectStreams(binary, objects) {
+    for (const object of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(object.dict)) continue;
+        const data = await readStream(binary, object);
+        if (!data) continue;
+
+        const first = Number(getDictValue(object.dict, 'First')) || 0;
+        const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i + 1 < header.length; i += 2) {
+            const number = header[i];
+            if (objects.has(number)) continue;
+            const end = i + 3 < header.length ? header[i + 3] : data.length - first;
+            objects.set(number, { dict: data.slice(first + header[i + 1], first + end).trim() });
+        }
+    }
+}
+
+function resolveValue(objects, value) {
+    const ref = parseRef(value);
+    return ref == null ? value : objects.get(ref)?.dict ?? null;
+}
+
+function collectPages(objects, number, inheritedResources, seen, pages) {
+    const node = objects.get(number);
+    if (!node || seen.has(number) || pages.length >= MAX_PDF_PAGES) return;
+    seen.add(number);
+
+    const resources = getDictValue(node.dict, 'Resources') ?? inheritedResources;
+    if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+        listRefs(getDictValue(node.dict, 'Kids')).forEach((kid) => collectPages(objects, kid, resources, seen, pages));
+    } else {
+        pages.push({ dict: node.dict, resources });
+    }
+}
+
+function findPages(binary, objects) {
+    const roots = Array.from(binary.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g), (match) => Number(match[1]));
+    const catalog = objects.get(roots[roots.length - 1]);
+    const pagesRef = catalog && parseRef(getDictValue(catalog.dict, 'Pages'));
+    const pages = [];
+    if (pagesRef != null) collectPages(objects, pagesRef, null, new Set(), pages);
+    if (pages.length > 0) return pages;
+
+    // Damaged files without a usable catalog: fall back to file order
+    return [...objects.values()]
+        .filter((object) => /\/Type\s*\/Page\b/.test(object.dict))
+        .slice(0, MAX_PDF_PAGES)
+        .map((object) => ({ dict: object.dict, resources: getDictValue(object.dict, 'Resources') }));
+}
+
+function decodeUtf16(hex) {
+    let text = '';
+    for (let i = 0; i + 3 < hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return text;
+}
+
+/**
+ * Parses a ToUnicode CMap into `{ codeBytes, map }`, mapping glyph codes to
+ * the Unicode text they stand for.
+ */
+function parseToUnicode(cmap = '') {
+    const map = new Map();
+    let codeBytes = 0;
+
+    const codespace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(cmap);
+    if (codespace) codeBytes = codespace[1].length / 2;
+
+    for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, source, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            codeBytes = codeBytes || source.length / 2;
+            map.set(parseInt(source, 16), decodeUtf16(target));
+        }
+    }
+
+    for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+            codeBytes = codeBytes || low.length / 2;
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + 0xffff);
+            if (target.startsWith('[')) {
+                const targets = Array.from(target.matchAll(/<([0-9a-f]*)>/gi), (match) => decodeUtf16(match[1]));
+                targets.forEach((text, offset) => { if (from + offset <= to) map.set(from + offset, text); });
+                continue;
+            }
+            const base = decodeUtf16(target.slice(1, -1));
+            const head = base.slice(0, -1);
+            const last = base.charCodeAt(base.length - 1);
+            for (let code = from; code <= to; code++) map.set(code, head + String.fromCharCode(last + code - from));
+        }
+    }
+
+    return { codeBytes: codeBytes || 1, map };
+}
+
+async function loadPageFonts(binary, objects, resources, cache) {
+    const fonts = new Map();
+    const fontDict = resolveValue(objects, getDictValue(resolveValue(objects, resources) || '', 'Font'));
+    if (!fontDict) return fonts;
+
+    for (const [, name, number] of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+        const ref = Number(number);
+        if (!cache.has(ref)) {
+            const font = objects.get(ref);
+            const toUnicode = font && parseRef(getDictValue(font.dict, 'ToUnicode'));
+            const cmap = toUnicode != null ? await readStream(binary, objects.get(toUnicode)) : null;
+            cache.set(ref, {
+                cmap: cmap ? parseToUnicode(cmap) : null,
+                // Composite fonts use two-byte glyph ids that mean nothing without a CMap
+                composite: Boolean(font && /\/Subtype\s*\/Type0\b/.test(font.dict))
+            });
+        }
+        fonts.set(name, cache.get(ref));
+    }
+    return fonts;
+}
+
+function decodeShownText(bytes, font) {
+    if (font?.cmap) {
+        const { codeBytes, map } = font.cmap;
+        let text = '';
+        for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+            let code = 0;
+            for (let j = 0; j < codeBytes; j++) code = (code << 8) | bytes.charCodeAt(i + j);
+            text += map.get(code) ?? '';
+        }
+        return text;
+    }
+    if (font?.composite) return '';
+    // Simple fonts without a CMap are close enough to Latin-1 for most documents
+    return bytes.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+function readLiteralString(source, start) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let i = start + 1;
+    let value = '';
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (ch === '\\') {
+            const next = source[i + 1] || '';
+            const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4));
+            if (octal) {
+                value += String.fromCharCode(parseInt(octal[0], 8) & 0xff);
+                i += 1 + octal[0].length;
+            } else if (next === '\r' || next === '\n') {
+                i += source[i + 1] === '\r' && source[i + 2] === '\n' ? 3 : 2;
+            } else {
+                value += escapes[next] ?? next;
+                i += 2;
+            }
+            continue;
+        }
+        if (ch === '(') depth++;
+        if (ch === ')' && --depth === 0) return { value, end: i + 1 };
+        value += ch;
+        i++;
+    }
+    return { value, end: i };
+}
+
+function readHexString(source, start) {
+    const end = source.indexOf('>', start);
+    const hex = source.slice(start + 1, end === -1 ? source.length : end).replace(/[^0-9a-f]/gi, '');
+    let value = '';
+    for (let i = 0; i < hex.length; i += 2) value += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    return { value, end: end === -1 ? source.length : end + 1 };
+}
+
+/**
+ * Walks a page content stream and returns its text as lines. Only the text
+ * operators matter: font changes, shown strings and line moves.
+ */
+function extractContentText(content, fonts = new Map()) {
+    const lines = [];
+    const ARRAY_START = Symbol('array');
+    let operands = [];
+    let line = '';
+    let font = null;
+    let lastY = null;
+    let i = 0;
+
+    const newLine = () => {
+        if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+        line = '';
+    };
+    const show = (value) => {
+        if (typeof value === 'string') line += decodeShownText(value, font);
+    };
+
+    while (i < content.length) {
+        const ch = content[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '%') {
+            const eol = content.slice(i).search(/[\r\n]/);
+            i = eol === -1 ? content.length : i + eol;
+        } else if (ch === '(') {
+            const { value, end } = readLiteralString(content, i);
+            operands.push(value);
+            i = end;
+        } else if (ch === '<' && content[i + 1] === '<') {
+            const end = content.indexOf('>>', i);
+            operands.push(null);
+            i = end === -1 ? content.length : end + 2;
+        } else if (ch === '<') {
+            const { value, end } = readHexString(content, i);
+            operands.push(value);
+            i = end;
+        } else if (ch === '[') {
+            operands.push(ARRAY_START);
+            i++;
+        } else if (ch === ']') {
+            const at = operands.lastIndexOf(ARRAY_START);
+            const items = at === -1 ? [] : operands.splice(at);
+            operands.push(items.slice(1));
+            i++;
+        } else if (ch === '/') {
+            const name = /^\/[^\s/<>[\]()%]*/.exec(content.slice(i, i + 128))[0];
+            operands.push({ name: name.slice(1) });
+            i += name.length;
+        } else if (/[\d.+-]/.test(ch)) {
+            const number = /^[+-]?(\d+\.?\d*|\.\d+)/.exec(content.slice(i, i + 32));
+            operands.push(number ? Number(number[0]) : 0);
+            i += number ? number[0].length : 1;
+        } else {
+            const operator = /^[^\s/<>[\]()%]+/.exec(content.slice(i, i + 16))?.[0] || ch;
+            i += operator.length;
+
+            if (operator === 'Tf') {
+                font = fonts.get(operands[0]?.name) || null;
+            } else if (operator === 'Tj') {
+                show(operands[0]);
+            } else if (operator === "'" || operator === '"') {
+                newLine();
+                show(operands[operands.length - 1]);
+            } else if (operator === 'TJ') {
+                for (const item of operands[0] || []) {
+                    // Big negative adjustments are how many PDFs draw word spaces
+                    if (typeof item === 'number' && item < -180 && !/\s$/.test(line)) line += ' ';
+                    else show(item);
+                }
+            } else if (operator === 'Td' || operator === 'TD') {
+                if (operands[1]) newLine();
+            } else if (operator === 'Tm') {
+                if (lastY !== null && operands[5] !== lastY) newLine();
+                lastY = operands[5];
+            } else if (operator === 'T*') {
+                newLine();
+            } else if (operator === 'BI') {
+                // Inline image data is binary; skip to its end marker
+                const end = content.slice(i).search(/\sEI(\s|$)/);
+                i = end === -1 ? content.length : i + end + 3;
+            }
+            operands = [];
+        }
+    }
+    newLine();
+    return lines;
+}
+
+function decodePdfString(value = '') {
+    if (value.startsWith('\xfe\xff')) return decodeUtf16(Array.from(value.slice(2), (ch) => ch.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+    return value;
+}
+
+function readInfoTitle(binary, objects) {
+    const infos = Array.from(binary.matchAll(/\/Info\s+(\d+)\s+\d+\s+R/g), (match) => Number(match[1]));
+    const info = objects.get(infos[infos.length - 1]);
+    const raw = info && getDictValue(info.dict, 'Title');
+    if (!raw) return '';
+    const parsed = raw.startsWith('(') ? readLiteralString(raw, 0).value : raw.startsWith('<') ? readHexString(raw, 0).value : '';
+    return decodePdfString(parsed).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extracts the text of a PDF locally, page by page. Handles the common case
+ * of FlateDecode content streams, object streams and ToUnicode font maps;
+ * scanned PDFs without a text layer come back empty.
+ * Returns `{ title, pages }` where each page is an array of text lines.
+ */
+async function extractPdfText(bytes) {
+    if (!isPdfBytes(bytes)) throw new Error('This file is not a PDF');
+
+    const binary = toBinaryString(bytes);
+    // Encrypted strings and streams would only come out as garbage
+    if (ENCRYPT_PATTERN.test(binary)) throw new Error('This is an encrypted PDF, which cannot be read');
+    const objects = indexObjects(binary);
+    await expandObjectStreams(binary, objects);
+
+    const fontCache = new Map();
+    const pages = [];
+    for (const page of findPages(binary, objects)) {
+        const fonts = await loadPageFonts(binary, objects, page.resources, fontCache);
+        const contents = [];
+        for (const ref of listRefs(getDictValue(page.dict, 'Contents'))) {
+            const data = await readStream(binary, objects.get(ref));
+            if (data) contents.push(data);
+        }
+        pages.push(extractContentText(contents.join('\n'), fonts));
+    }
+
+    return { title: readInfoTitle(binary, objects), pages };
+}
+
+function isSectionHeading(line) {
+    // Table-of-contents entries trail off into dot leaders
+    if (line.length > 80 || /[.,;]$/.test(line) || /([.:·]\s?){4,}/.test(line)) return false;
+    const name = line.replace(/^(\d+(\.\d+)*\.?|[IVX]+\.)\s+/, '');
+    return SECTION_NAMES.test(name) || (/^\d{1,2}(\.\d+)*\.?\s+[A-Z]/.test(line) && name.split(/\s+/).length <= 8);
+}
+
+/**
+ * Turns extracted PDF lines into the same structured document the content
+ * script builds for web pages: section headings plus paragraphs, with
+ * hyphenated line breaks rejoined.
+ */
+function buildPdfDocument({ url = '', title = '', pages = [] } = {}) {
+    const blocks = [];
+    let paragraph = '';
+    const flush = () => {
+        if (paragraph.trim()) blocks.push({ type: 'paragraph', text: paragraph.trim() });
+        paragraph = '';
+    };
+
+    const lengths = pages.flat().map((line) => line.length).sort((a, b) => a - b);
+    const typical = lengths[Math.floor(lengths.length / 2)] || 0;
+
+    pages.forEach((lines) => {
+        lines.forEach((line) => {
+            // Bare page numbers and running headers carry no content
+            if (/^\d{1,4}$/.test(line)) return;
+            if (isSectionHeading(line)) {
+                flush();
+                blocks.push({ type: 'heading', level: /^\d+\.\d+/.test(line) ? 3 : 2, text: line });
+                return;
+            }
+            paragraph = /[A-Za-z]-$/.test(paragraph) ? paragraph.slice(0, -1) + line : `${paragraph} ${line}`;
+            if ((/[.?!:]$/.test(line) && line.length < typical * 0.8) || paragraph.length > MAX_PARAGRAPH_CHARS) flush();
+        });
+        flush();
+    });
+
+    const firstLine = pages.flat().find((line) => line.length > 3) || '';
+    return {
+        title: title || firstLine,
+        byline: '',
+        publishedAt: '',
+        language: '',
+        siteName: '',
+        description: '',
+        jsonLdTypes: [],
+        openGraph: {},
+        url,
+        outline: blocks.filter((block) => block.type === 'heading').map(({ level, text }) => ({ level, text })),
+        blocks
+    };
+}
+
+// The same raw hints content.js collects, as far as a PDF can provide them
+function collectPdfSignals(doc = {}) {
+    const headings = (doc.outline || []).map((entry) => entry.text.replace(/^(\d+(\.\d+)*\.?|[IVX]+\.)\s+/, ''));
+    const text = (doc.blocks || []).map((block) => block.text).join(' ');
+    return {
+        url: doc.url,
+        title: doc.title,
+        jsonLdTypes: [],
+        hasAbstract: headings.some((heading) => /^abstract$/i.test(heading)) || /\babstract\b/i.test(text.slice(0, TEXT_EXCERPT_CHARS)),
+        hasReferences: headings.some((heading) => /^(references|bibliography)$/i.test(heading)),
+        wordCount: text.split(/\s+/).filter(Boolean).length
+    };
+}
+
+module.exports = {
+    MAX_PDF_BYTES,
+    TEXT_EXCERPT_CHARS,
+    buildPdfDocument,
+    collectPdfSignals,
+    extractContentText,
+    extractPdfText,
+    isPdfUrl,
+    parseToUnicode
+};
@@ -1,37 +1,51 @@
-function validateParameters(apiParams = {}, requestedParams = {}) {
+/**
+ * Reads the sampling limits out of `LanguageModel.params()`, which has
+ * reported them both as flat `default*`/`max*` fields and as nested ranges.
+ */
+function getParameterLimits(apiParams = {}) {
     const limits = apiParams ?? {};
+    return {
+        temperature: {
+            min: limits.temperature?.min ?? 0.0,
+            max: limits.temperature?.max ?? limits.maxTemperature ?? 2.0,
+            default: limits.defaultTemperature ?? limits.temperature?.default ?? 0.7
+        },
+        topK: {
+            min: limits.topK?.min ?? 1,
+            max: limits.topK?.max ?? limits.maxTopK ?? 8,
+            default: limits.defaultTopK ?? limits.topK?.default ?? 3
+        }
+    };
+}
+
+function validateParameters(apiParams = {}, requestedParams = {}) {
+    const limits = getParameterLimits(apiParams);
     const validated = {};
 
     if (requestedParams.temperature !== undefined) {
         const temp = requestedParams.temperature;
-        const minTemp = limits.temperature?.min ?? 0.0;
-        const maxTemp = limits.temperature?.max ?? limits.maxTemperature ?? 2.0;
-        validated.temperature = Math.max(minTemp, Math.min(maxTemp, temp));
+        validated.temperature = Math.max(limits.temperature.min, Math.min(limits.temperature.max, temp));
     }
 
     if (requestedParams.topK !== undefined) {
         const topK = requestedParams.topK;
-        const minTopK = limits.topK?.min ?? 1;
-        const maxTopK = limits.topK?.max ?? limits.maxTopK ?? 8;
-        validated.topK = Math.max(minTopK, Math.min(maxTopK, topK));
+        validated.topK = Math.max(limits.topK.min, Math.min(limits.topK.max, topK));
     }
 
     return validated;
 }
 
 function buildSessionOptions(apiParams = {}) {
-    const params = apiParams ?? {};
+    const limits = getParameterLimits(apiParams);
 
-    return validateParameters(params, {
-        temperature: params.defaultTemperature ?? params.temperature?.default ?? 0.7,
-        topK: Math.min(
-            params.defaultTopK ?? params.topK?.default ?? 3,
-            params.maxTopK ?? params.topK?.max ?? 8
-        ),
+    return validateParameters(apiParams, {
+        temperature: limits.temperature.default,
+        topK: Math.min(limits.topK.default, limits.topK.max),
     });
 }
 
 module.exports = {
     buildSessionOptions,
+    getParameterLimits,
     validateParameters
 };
\ No newline at end of file
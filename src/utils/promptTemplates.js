@@ -0,0 +1,145 @@
+const { renderPromptTemplate } = require('./toolRegistry');
+
+const TEMPLATES_STORAGE_KEY = 'aura_prompt_templates';
+const TEMPLATE_ID_PREFIX = 'tpl_';
+const PAGE_VARIABLE_CHARS = 4000;
+const MAX_COMMAND_LENGTH = 24;
+
+// Placeholders a template can use; `input` is whatever follows the slash command
+const TEMPLATE_VARIABLES = [
+    { name: 'title', description: 'Page title' },
+    { name: 'url', description: 'Page URL' },
+    { name: 'selection', description: 'Text selected on the page' },
+    { name: 'page', description: 'Extracted page content' },
+    { name: 'input', description: 'Text typed after the command' }
+];
+
+// Built-in tools reachable from the composer, keyed by tool id
+const TOOL_COMMANDS = {
+    TLDR: 'tldr',
+    FACT_CHECK: 'factcheck',
+    ENTITIES: 'entities',
+    MULTIMODAL: 'image'
+};
+
+const RESERVED_COMMANDS = Object.values(TOOL_COMMANDS);
+
+function toCommandName(value = '') {
+    return String(value).toLowerCase().replace(/^\/+/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_COMMAND_LENGTH);
+}
+
+/**
+ * Normalizes a saved template. The command defaults to a slug of the name,
+ * so "Explain like I'm 5" becomes `/explain-like-i-m-5`.
+ */
+function normalizeTemplate(template = {}) {
+    const name = String(template.name || '').trim();
+    return {
+        id: String(template.id || '').startsWith(TEMPLATE_ID_PREFIX) ? template.id : `${TEMPLATE_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        command: toCommandName(template.command || name),
+        prompt: String(template.prompt || '').trim()
+    };
+}
+
+/**
+ * Lists what is wrong with a template, checking its command against the tool
+ * commands and the other saved templates. An empty list means it can be saved.
+ */
+function validateTemplate(template, templates = []) {
+    const errors = [];
+    if (!template.name) errors.push('Name is required');
+    if (!template.prompt) errors.push('Prompt is required');
+    if (!template.command) errors.push('Command is required');
+    else if (RESERVED_COMMANDS.includes(template.command)) errors.push(`/${template.command} is already used by a tool`);
+    else if (templates.some((other) => other.id !== template.id && other.command === template.command)) {
+        errors.push(`/${template.command} is already used by another template`);
+    }
+    return errors;
+}
+
+function templateUsesVariable(template, name) {
+    return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template?.prompt || '');
+}
+
+/**
+ * Builds the slash command list for the composer: the built-in tools that
+ * are available right now, then the user's templates.
+ */
+function buildSlashCommands(tools = [], templates = []) {
+    const toolCommands = tools
+        .filter((tool) => TOOL_COMMANDS[tool.id])
+        .map((tool) => ({ command: TOOL_COMMANDS[tool.id], label: tool.label, description: tool.prompt, kind: 'tool', tool }));
+    const templateCommands = templates.map((template) => ({
+        command: template.command,
+        label: template.name,
+        description: template.prompt,
+        kind: 'template',
+        template
+    }));
+    return [...toolCommands, ...templateCommands];
+}
+
+/**
+ * Splits `/command rest of the text` into its parts, or returns `null` when
+ * the text isn't a slash command.
+ */
+function parseSlashCommand(text = '') {
+    const match = String(text).trim().match(/^\/([a-z0-9-]+)(?:\s+([\s\S]*))?$/i);
+    if (!match) return null;
+    return { command: match[1].toLowerCase(), input: (match[2] || '').trim() };
+}
+
+/**
+ * Commands to offer while the user is still typing the command name; the
+ * menu closes once they type a space.
+ */
+function matchSlashCommands(text = '', commands = []) {
+    const match = String(text).match(/^\/([a-z0-9-]*)$/i);
+    if (!match) return [];
+    const prefix = match[1].toLowerCase();
+    return commands.filter((entry) => entry.command.startsWith(prefix));
+}
+
+/**
+ * Fills a template from the page. Text typed after the command goes into
+ * `{{input}}`, or after the prompt when the template has no such slot.
+ */
+function fillTemplate(template, values = {}) {
+    const page = String(values.page || '');
+    const filled = renderPromptTemplate(template.prompt, {
+        title: values.title,
+        url: values.url,
+        selection: values.selection,
+        page: page.length > PAGE_VARIABLE_CHARS ? `${page.slice(0, PAGE_VARIABLE_CHARS)}…` : page,
+        input: values.input
+    });
+    if (!values.input || templateUsesVariable(template, 'input')) return filled;
+    return `${filled}\n\n${values.input}`;
+}
+
+async function loadTemplates(storage) {
+    const result = await storage.get(TEMPLATES_STORAGE_KEY);
+    return result?.[TEMPLATES_STORAGE_KEY] || [];
+}
+
+async function saveTemplates(storage, templates = []) {
+    await storage.set({ [TEMPLATES_STORAGE_KEY]: templates.map(normalizeTemplate) });
+}
+
+module.exports = {
+    PAGE_VARIABLE_CHARS,
+    RESERVED_COMMANDS,
+    TEMPLATES_STORAGE_KEY,
+    TEMPLATE_VARIABLES,
+    TOOL_COMMANDS,
+    buildSlashCommands,
+    fillTemplate,
+    loadTemplates,
+    matchSlashCommands,
+    normalizeTemplate,
+    parseSlashCommand,
+    saveTemplates,
+    templateUsesVariable,
+    validateTemplate
+};
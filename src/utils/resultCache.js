@@ -0,0 +1,189 @@
+const { normalizePageUrl } = require('./threadStore');
+
+const RESULT_CACHE_DB_NAME = 'aura_result_cache';
+const RESULT_CACHE_STORE_NAME = 'results';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const CACHE_PREFERENCE_KEY = 'aura_use_result_cache';
+
+function measureBytes(value) {
+    return JSON.stringify(value).length;
+}
+
+// Object keys are sorted so equal settings always hash the same, whatever order they were built in
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+async function hashText(text = '') {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(text)));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Builds the cache key for a result: the tool id, a hash of everything that
+ * shapes the answer besides the page (prompt, settings, backend) and a hash
+ * of the page content itself.
+ */
+async function buildCacheKey({ toolId, content = '', variant = {} }) {
+    const contentHash = await hashText(content);
+    const variantHash = (await hashText(stableStringify(variant))).slice(0, 16);
+    return { key: `${toolId}:${variantHash}:${contentHash}`, contentHash };
+}
+
+/**
+ * Returns the keys to evict so the total size fits `maxBytes`, dropping the
+ * least recently used results first.
+ */
+function selectLruEvictions(entries = [], maxBytes = DEFAULT_MAX_BYTES) {
+    let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const evictions = [];
+
+    for (const entry of [...entries].sort((a, b) => a.lastUsedAt - b.lastUsedAt)) {
+        if (total <= maxBytes) break;
+        evictions.push(entry.key);
+        total -= entry.size || 0;
+    }
+
+    return evictions;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Key-value store for cache entries on top of IndexedDB, which unlike the
+ * worker's memory survives the service worker being suspended.
+ */
+function createIndexedDbStore({ indexedDB = globalThis.indexedDB, dbName = RESULT_CACHE_DB_NAME, storeName = RESULT_CACHE_STORE_NAME } = {}) {
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'key' });
+            dbPromise = requestToPromise(request).catch((error) => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    async function run(mode, action) {
+        const db = await open();
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return request?.result;
+    }
+
+    return {
+        get: (key) => run('readonly', (store) => store.get(key)),
+        getAll: () => run('readonly', (store) => store.getAll()),
+        put: (entry) => run('readwrite', (store) => store.put(entry)),
+        delete: (keys) => run('readwrite', (store) => { keys.forEach((key) => store.delete(key)); }),
+        clear: () => run('readwrite', (store) => store.clear())
+    };
+}
+
+// Same interface as the IndexedDB store, for where IndexedDB isn't available
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        get: async (key) => entries.get(key),
+        getAll: async () => [...entries.values()],
+        put: async (entry) => { entries.set(entry.key, entry); },
+        delete: async (keys) => { keys.forEach((key) => entries.delete(key)); },
+        clear: async () => entries.clear()
+    };
+}
+
+/**
+ * LRU cache of tool results with a TTL and a size cap. Entries remember the
+ * page they were computed for, so a result for changed page content replaces
+ * the older one instead of piling up next to it.
+ */
+function createResultCache({ store, ttlMs = DEFAULT_TTL_MS, maxBytes = DEFAULT_MAX_BYTES, now = () => Date.now() } = {}) {
+    const isExpired = (entry) => now() - entry.createdAt >= ttlMs;
+
+    // An entry for the same tool and page, computed from different content
+    const isOutdatedBy = (entry, latest) => Boolean(latest?.scope) && entry.key !== latest.key
+        && entry.scope === latest.scope && entry.toolId === latest.toolId && entry.contentHash !== latest.contentHash;
+
+    async function prune(latest = null) {
+        const entries = await store.getAll();
+        const stale = new Set(entries.filter((entry) => isExpired(entry) || isOutdatedBy(entry, latest)).map((entry) => entry.key));
+        const evictions = [...stale, ...selectLruEvictions(entries.filter((entry) => !stale.has(entry.key)), maxBytes)];
+        if (evictions.length > 0) await store.delete(evictions);
+        return evictions;
+    }
+
+    async function get(key) {
+        const entry = await store.get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            await store.delete([key]);
+            return null;
+        }
+        const touched = { ...entry, lastUsedAt: now() };
+        await store.put(touched);
+        return touched;
+    }
+
+    async function set(key, value, { toolId = key.split(':')[0], scope = '', contentHash = '' } = {}) {
+        const timestamp = now();
+        const entry = { key, toolId, scope: scope ? normalizePageUrl(scope) : '', contentHash, value, createdAt: timestamp, lastUsedAt: timestamp };
+        entry.size = measureBytes(entry);
+        // A single result bigger than the whole cache would only evict everything else
+        if (entry.size > maxBytes) return null;
+
+        await store.put(entry);
+        await prune(entry);
+        return entry;
+    }
+
+    return { get, set, prune, clear: () => store.clear() };
+}
+
+// Whether tools may answer from the cache, as toggled in the side panel; on by default
+async function loadCachePreference(storage) {
+    const result = await storage.get(CACHE_PREFERENCE_KEY);
+    return result?.[CACHE_PREFERENCE_KEY] !== false;
+}
+
+async function saveCachePreference(storage, enabled) {
+    await storage.set({ [CACHE_PREFERENCE_KEY]: Boolean(enabled) });
+    return Boolean(enabled);
+}
+
+module.exports = {
+    CACHE_PREFERENCE_KEY,
+    DEFAULT_MAX_BYTES,
+    DEFAULT_TTL_MS,
+    RESULT_CACHE_DB_NAME,
+    buildCacheKey,
+    createIndexedDbStore,
+    createMemoryStore,
+    createResultCache,
+    hashText,
+    loadCachePreference,
+    saveCachePreference,
+    selectLruEvictions,
+    stableStringify
+};
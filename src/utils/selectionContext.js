@@ -0,0 +1,84 @@
+const PENDING_SELECTION_KEY = 'aura_pending_selection';
+const SELECTION_MENU_ID = 'aura-selection';
+const MAX_SELECTION_CHARS = 4000;
+const MAX_SURROUNDING_CHARS = 1200;
+
+// Context menu entries under "Ask Aura about selection"; `prompt` is sent right away, `null` waits for the user.
+// `{language}` is filled in by the side panel with the user's language.
+const SELECTION_ACTIONS = [
+    { id: 'ask', title: 'Ask a question', prompt: null },
+    { id: 'explain', title: 'Explain', prompt: 'Explain the selected text in simple terms.' },
+    { id: 'summarize', title: 'Summarize', prompt: 'Summarize the selected text.' },
+    { id: 'translate', title: 'Translate', prompt: 'Translate the selected text into {language}.' }
+];
+
+function buildSelectionMenuId(actionId) {
+    return `${SELECTION_MENU_ID}:${actionId}`;
+}
+
+function parseSelectionMenuId(menuItemId = '') {
+    const [prefix, actionId] = String(menuItemId).split(':');
+    if (prefix !== SELECTION_MENU_ID) return null;
+    return SELECTION_ACTIONS.find((action) => action.id === actionId) || null;
+}
+
+function renderSelectionActionPrompt(prompt = '', { language = 'English' } = {}) {
+    return String(prompt).replace(/\{language\}/g, language);
+}
+
+function clip(text = '', maxChars) {
+    const value = String(text).replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    return value.length > maxChars ? `${value.slice(0, maxChars).trimEnd()}…` : value;
+}
+
+/**
+ * Normalizes a captured selection. Returns `null` for empty selections so
+ * callers can fall back to whole-page context.
+ */
+function normalizeSelection(selection = {}) {
+    const text = clip(selection.text, MAX_SELECTION_CHARS);
+    if (!text) return null;
+
+    const surrounding = clip(selection.surrounding, MAX_SURROUNDING_CHARS);
+    return {
+        text,
+        // Surrounding text that only repeats the selection adds nothing
+        surrounding: surrounding && surrounding !== text ? surrounding : '',
+        url: selection.url || '',
+        title: selection.title || ''
+    };
+}
+
+/**
+ * Puts the highlighted passage in front of the question. The page itself
+ * stays in the session's grounding prompts, so it only serves as background.
+ */
+function buildSelectionPrompt(prompt = '', selection = null) {
+    const normalized = normalizeSelection(selection || {});
+    if (!normalized) return String(prompt);
+
+    const surrounding = normalized.surrounding
+        ? `\nIt appears in this part of the page:\n"""\n${normalized.surrounding}\n"""\n`
+        : '';
+
+    return `The user highlighted this passage on the page:
+"""
+${normalized.text}
+"""
+${surrounding}
+Focus your answer on the highlighted passage. Use the rest of the page only as background when it helps.
+
+${prompt}`;
+}
+
+module.exports = {
+    MAX_SELECTION_CHARS,
+    PENDING_SELECTION_KEY,
+    SELECTION_ACTIONS,
+    SELECTION_MENU_ID,
+    buildSelectionMenuId,
+    buildSelectionPrompt,
+    normalizeSelection,
+    parseSelectionMenuId,
+    renderSelectionActionPrompt
+};
@@ -0,0 +1,211 @@
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function buildSessionKey(tabId, conversationId) {
+    return `${tabId ?? 'global'}:${conversationId}`;
+}
+
+function destroySession(session) {
+    try {
+        session?.destroy?.();
+    } catch (error) {
+        console.error('Error destroying session:', error);
+    }
+}
+
+/**
+ * Keeps Prompt API sessions alive across turns of the same conversation.
+ *
+ * Each tab/context pair gets a page-grounded base session that conversations
+ * branch from with `clone()`. When a conversation's live session is gone
+ * (idle eviction or a service worker restart), it is rebuilt from the base
+ * prompts plus the message history kept in `historyStore`.
+ */
+function createSessionManager({
+    createSession,
+    historyStore = null,
+    idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS,
+    now = () => Date.now()
+} = {}) {
+    const bases = new Map();
+    const conversations = new Map();
+    const pending = new Map();
+
+    async function getBaseSession(baseKey, initialPrompts, createOptions) {
+        const existing = bases.get(baseKey);
+        if (existing) {
+            existing.lastUsed = now();
+            return existing.session;
+        }
+
+        const session = await createSession({ ...createOptions, initialPrompts });
+        bases.set(baseKey, { session, lastUsed: now() });
+        return session;
+    }
+
+    async function cloneFromBase(baseKey, initialPrompts, createOptions) {
+        const base = await getBaseSession(baseKey, initialPrompts, createOptions);
+        if (typeof base.clone === 'function') {
+            try {
+                return await base.clone();
+            } catch (error) {
+                console.error('Session clone failed, creating a fresh session:', error);
+            }
+        }
+        return createSession({ ...createOptions, initialPrompts });
+    }
+
+    /**
+     * Rebuilds a conversation at a given point in its history. Cloning the
+     * base and appending the turns skips re-reading the page; sessions that
+     * can't append are recreated from the prompts instead.
+     */
+    async function restoreFromBase(baseKey, initialPrompts, createOptions, history) {
+        const base = await getBaseSession(baseKey, initialPrompts, createOptions);
+        if (typeof base.clone === 'function') {
+            let session = null;
+            try {
+                session = await base.clone();
+                if (typeof session.append === 'function') {
+                    await session.append(history);
+                    return session;
+                }
+            } catch (error) {
+                console.error('Restoring from the base session failed, creating a fresh session:', error);
+            }
+            destroySession(session);
+        }
+        return createSession({ ...createOptions, initialPrompts: [...initialPrompts, ...history] });
+    }
+
+    async function openConversation(key, baseKey, initialPrompts, createOptions) {
+        const existing = conversations.get(key);
+        if (existing && existing.baseKey === baseKey) {
+            existing.lastUsed = now();
+            return { key, session: existing.session, restored: false };
+        }
+        if (existing) release(key);
+
+        const history = await getHistory(key);
+        const session = history.length > 0
+            ? await restoreFromBase(baseKey, initialPrompts, createOptions, history)
+            : await cloneFromBase(baseKey, initialPrompts, createOptions);
+
+        conversations.set(key, { session, baseKey, lastUsed: now() });
+        return { key, session, restored: history.length > 0 };
+    }
+
+    /**
+     * Returns the live session for a conversation, creating or restoring it.
+     */
+    function acquire({ tabId, conversationId, contextKey = '', initialPrompts = [], createOptions = {} }) {
+        const key = buildSessionKey(tabId, conversationId);
+        const baseKey = buildSessionKey(tabId, `base_${contextKey}`);
+
+        const inFlight = pending.get(key);
+        if (inFlight) return inFlight;
+
+        const promise = openConversation(key, baseKey, initialPrompts, createOptions)
+            .finally(() => pending.delete(key));
+        pending.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Returns a throwaway clone of the page-grounded base session. The caller
+     * owns the clone and must destroy it.
+     */
+    function branch({ tabId, contextKey = '', initialPrompts = [], createOptions = {} }) {
+        const baseKey = buildSessionKey(tabId, `base_${contextKey}`);
+        return cloneFromBase(baseKey, initialPrompts, createOptions);
+    }
+
+    async function recordTurn(key, prompt, response) {
+        const entry = conversations.get(key);
+        if (entry) entry.lastUsed = now();
+        if (!historyStore) return;
+
+        const history = (await historyStore.get(key)) || [];
+        history.push(
+            { role: 'user', content: prompt },
+            { role: 'assistant', content: response }
+        );
+        await historyStore.set(key, history);
+    }
+
+    async function getHistory(key) {
+        return historyStore ? (await historyStore.get(key)) || [] : [];
+    }
+
+    /**
+     * Swaps in a rewritten history (e.g. after compaction, or when the user
+     * regenerates or edits an earlier turn). The live session is dropped so
+     * the next acquire rebuilds it from the new history.
+     */
+    async function replaceHistory(key, history) {
+        release(key);
+        if (historyStore) await historyStore.set(key, history);
+    }
+
+    function release(key) {
+        const entry = conversations.get(key);
+        if (!entry) return false;
+        destroySession(entry.session);
+        conversations.delete(key);
+        return true;
+    }
+
+    async function forget(key) {
+        release(key);
+        if (historyStore) await historyStore.remove(key);
+    }
+
+    async function releaseTab(tabId) {
+        const prefix = buildSessionKey(tabId, '');
+        for (const [baseKey, entry] of bases) {
+            if (!baseKey.startsWith(prefix)) continue;
+            destroySession(entry.session);
+            bases.delete(baseKey);
+        }
+        for (const key of [...conversations.keys()]) {
+            if (key.startsWith(prefix)) await forget(key);
+        }
+    }
+
+    function evictIdle() {
+        const cutoff = now() - idleTimeoutMs;
+        let evicted = 0;
+
+        for (const [key, entry] of conversations) {
+            if (entry.lastUsed > cutoff) continue;
+            destroySession(entry.session);
+            conversations.delete(key);
+            evicted++;
+        }
+        for (const [baseKey, entry] of bases) {
+            if (entry.lastUsed > cutoff) continue;
+            destroySession(entry.session);
+            bases.delete(baseKey);
+            evicted++;
+        }
+
+        return evicted;
+    }
+
+    return {
+        acquire,
+        branch,
+        evictIdle,
+        forget,
+        getHistory,
+        recordTurn,
+        release,
+        replaceHistory,
+        releaseTab
+    };
+}
+
+module.exports = {
+    DEFAULT_IDLE_TIMEOUT_MS,
+    buildSessionKey,
+    createSessionManager
+};
@@ -0,0 +1,200 @@
+const { buildSessionOptions, validateParameters } = require('./promptApiSession');
+const { BACKEND_IDS, DEFAULT_CONTEXT_WINDOW, DEFAULT_ENDPOINT_URL } = require('./modelProviders');
+
+const SETTINGS_STORAGE_KEY = 'aura_settings';
+const ENDPOINT_STORAGE_KEY = 'aura_endpoint';
+const GROUNDING_SYSTEM_PROMPT = 'You are a helpful assistant that analyzes webpage content. Use the following context to answer the users questions.';
+const MAX_PERSONA_LENGTH = 1000;
+const MAX_TOOL_INSTRUCTIONS_LENGTH = 500;
+const MIN_CONTEXT_WINDOW = 1024;
+
+const ANSWER_LENGTH_OPTIONS = [
+    { id: 'concise', label: 'Concise', instruction: 'Keep answers short: a few sentences unless the user asks for more.' },
+    { id: 'balanced', label: 'Balanced', instruction: '' },
+    { id: 'detailed', label: 'Detailed', instruction: 'Give thorough answers that cover the relevant details and explain your reasoning.' }
+];
+
+const ANSWER_STYLE_OPTIONS = [
+    { id: 'neutral', label: 'Neutral', instruction: '' },
+    { id: 'bullets', label: 'Bullet points', instruction: 'Prefer bullet points and short headings over long paragraphs.' },
+    { id: 'casual', label: 'Casual', instruction: 'Write in a friendly, conversational tone.' },
+    { id: 'technical', label: 'Technical', instruction: 'Use precise, technical language and keep exact terms, numbers and units.' }
+];
+
+// 'auto' uses Chrome's model and falls back to the local endpoint where it is unavailable
+const BACKEND_OPTIONS = [
+    { id: BACKEND_IDS.AUTO, label: 'Automatic' },
+    { id: BACKEND_IDS.PROMPT_API, label: 'Chrome built-in AI' },
+    { id: BACKEND_IDS.OPENAI_COMPATIBLE, label: 'Local OpenAI-compatible endpoint' }
+];
+
+// `null` parameters mean "use the model default" so the settings follow the API when it changes
+const DEFAULT_SETTINGS = {
+    temperature: null,
+    topK: null,
+    persona: '',
+    answerLength: 'balanced',
+    answerStyle: 'neutral',
+    toolOverrides: {},
+    backend: BACKEND_IDS.AUTO,
+    // An empty model means the first one the server lists
+    endpoint: {
+        url: DEFAULT_ENDPOINT_URL,
+        model: '',
+        apiKey: '',
+        contextWindow: DEFAULT_CONTEXT_WINDOW
+    }
+};
+
+function toOptionalNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function normalizeParams(source = {}) {
+    const temperature = toOptionalNumber(source.temperature);
+    const topK = toOptionalNumber(source.topK);
+    return {
+        temperature,
+        topK: topK === null ? null : Math.round(topK)
+    };
+}
+
+function pickOption(options, id, fallback) {
+    return options.some((option) => option.id === id) ? id : fallback;
+}
+
+/**
+ * Drops tool overrides that don't change anything, so only the tools the
+ * user actually tuned are stored.
+ */
+function normalizeToolOverrides(overrides = {}) {
+    const normalized = {};
+    Object.entries(overrides && typeof overrides === 'object' ? overrides : {}).forEach(([toolId, override]) => {
+        const params = normalizeParams(override || {});
+        const instructions = String(override?.instructions || '').trim().slice(0, MAX_TOOL_INSTRUCTIONS_LENGTH);
+        if (params.temperature === null && params.topK === null && !instructions) return;
+        normalized[toolId] = { ...params, instructions };
+    });
+    return normalized;
+}
+
+function normalizeEndpoint(endpoint = {}) {
+    const source = endpoint && typeof endpoint === 'object' ? endpoint : {};
+    const contextWindow = toOptionalNumber(source.contextWindow);
+    return {
+        url: source.url === undefined ? DEFAULT_ENDPOINT_URL : String(source.url || '').trim(),
+        model: String(source.model || '').trim(),
+        apiKey: String(source.apiKey || '').trim(),
+        contextWindow: contextWindow === null ? DEFAULT_CONTEXT_WINDOW : Math.max(MIN_CONTEXT_WINDOW, Math.round(contextWindow))
+    };
+}
+
+/**
+ * Coerces stored or edited settings into the shape the worker expects,
+ * filling in defaults for anything missing or invalid.
+ */
+function normalizeSettings(settings = {}) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    return {
+        ...normalizeParams(source),
+        persona: String(source.persona || '').trim().slice(0, MAX_PERSONA_LENGTH),
+        answerLength: pickOption(ANSWER_LENGTH_OPTIONS, source.answerLength, DEFAULT_SETTINGS.answerLength),
+        answerStyle: pickOption(ANSWER_STYLE_OPTIONS, source.answerStyle, DEFAULT_SETTINGS.answerStyle),
+        toolOverrides: normalizeToolOverrides(source.toolOverrides),
+        backend: pickOption(BACKEND_OPTIONS, source.backend, DEFAULT_SETTINGS.backend),
+        endpoint: normalizeEndpoint(source.endpoint)
+    };
+}
+
+/**
+ * Works out the sampling parameters for a session and where each one came
+ * from. A tool override beats the global setting, which beats the model
+ * default; whatever wins is clamped to the limits from `LanguageModel.params()`.
+ */
+function previewSessionParams(apiParams = {}, settings = DEFAULT_SETTINGS, toolId = null) {
+    const override = (toolId && settings.toolOverrides?.[toolId]) || {};
+    const defaults = buildSessionOptions(apiParams);
+    const preview = {};
+
+    ['temperature', 'topK'].forEach((name) => {
+        let requested = defaults[name];
+        let source = 'default';
+        if (override[name] !== null && override[name] !== undefined) {
+            requested = override[name];
+            source = 'tool';
+        } else if (settings[name] !== null && settings[name] !== undefined) {
+            requested = settings[name];
+            source = 'settings';
+        }
+        const value = validateParameters(apiParams, { [name]: requested })[name];
+        preview[name] = { value, requested, source, clamped: value !== requested };
+    });
+
+    return preview;
+}
+
+function resolveSessionParams(apiParams = {}, settings = DEFAULT_SETTINGS, toolId = null) {
+    const preview = previewSessionParams(apiParams, settings, toolId);
+    return {
+        temperature: preview.temperature.value,
+        topK: preview.topK.value
+    };
+}
+
+/**
+ * Appends the persona and the answer length/style instructions to a base
+ * system prompt. The defaults add nothing, so the base prompt is unchanged.
+ */
+function buildSystemPrompt(base, settings = DEFAULT_SETTINGS) {
+    const length = ANSWER_LENGTH_OPTIONS.find((option) => option.id === settings.answerLength);
+    const style = ANSWER_STYLE_OPTIONS.find((option) => option.id === settings.answerStyle);
+    return [base, settings.persona, length?.instruction, style?.instruction].filter(Boolean).join('\n\n');
+}
+
+function applyToolInstructions(prompt, settings = DEFAULT_SETTINGS, toolId = null) {
+    const instructions = toolId && settings.toolOverrides?.[toolId]?.instructions;
+    return instructions ? `${prompt}\n\nAdditional instructions: ${instructions}` : prompt;
+}
+
+/**
+ * Reads the settings. The endpoint, with its API key, belongs to this
+ * machine and lives in `localArea` (chrome.storage.local); everything else
+ * is kept in `syncArea` (chrome.storage.sync) and follows the user's profile.
+ */
+async function loadSettings(syncArea, localArea = syncArea) {
+    const [synced, local] = await Promise.all([
+        syncArea.get(SETTINGS_STORAGE_KEY),
+        localArea.get(ENDPOINT_STORAGE_KEY)
+    ]);
+    const settings = synced?.[SETTINGS_STORAGE_KEY] || {};
+    // Settings saved by older versions still carry the endpoint until they are saved again
+    return normalizeSettings({ ...settings, endpoint: local?.[ENDPOINT_STORAGE_KEY] ?? settings.endpoint });
+}
+
+async function saveSettings(syncArea, settings = DEFAULT_SETTINGS, localArea = syncArea) {
+    const { endpoint, ...portable } = normalizeSettings(settings);
+    await localArea.set({ [ENDPOINT_STORAGE_KEY]: endpoint });
+    await syncArea.set({ [SETTINGS_STORAGE_KEY]: portable });
+    return { ...portable, endpoint };
+}
+
+module.exports = {
+    ANSWER_LENGTH_OPTIONS,
+    ANSWER_STYLE_OPTIONS,
+    BACKEND_OPTIONS,
+    DEFAULT_SETTINGS,
+    ENDPOINT_STORAGE_KEY,
+    GROUNDING_SYSTEM_PROMPT,
+    MAX_PERSONA_LENGTH,
+    MAX_TOOL_INSTRUCTIONS_LENGTH,
+    SETTINGS_STORAGE_KEY,
+    applyToolInstructions,
+    buildSystemPrompt,
+    loadSettings,
+    normalizeSettings,
+    previewSessionParams,
+    resolveSessionParams,
+    saveSettings
+};
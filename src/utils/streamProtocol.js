@@ -0,0 +1,134 @@
+const STREAM_PORT_NAME = 'aura-stream';
+const DEFAULT_MAX_IN_FLIGHT = 8;
+
+// Messages exchanged over the side panel <-> background port
+const MessageType = {
+    // Side panel -> background
+    PROMPT: 'prompt',
+    CANCEL: 'cancel',
+    ACK: 'ack',
+    RESUME: 'resume',
+    // Background -> side panel
+    START: 'start',
+    DELTA: 'delta',
+    PROGRESS: 'progress',
+    DONE: 'done',
+    ERROR: 'error'
+};
+
+/**
+ * Sends text deltas with a bounded number of unacknowledged messages. While
+ * the receiver is behind, new text is coalesced into a single pending delta.
+ */
+function createDeltaSender({ requestId, post, maxInFlight = DEFAULT_MAX_IN_FLIGHT }) {
+    let seq = 0;
+    let acked = 0;
+    let buffered = '';
+
+    const send = (text) => {
+        seq++;
+        post({ type: MessageType.DELTA, requestId, seq, text });
+    };
+
+    const flush = () => {
+        if (!buffered) return;
+        const text = buffered;
+        buffered = '';
+        send(text);
+    };
+
+    return {
+        push(text) {
+            if (!text) return;
+            if (seq - acked < maxInFlight && !buffered) send(text);
+            else buffered += text;
+        },
+        ack(ackSeq) {
+            acked = Math.max(acked, Math.min(ackSeq, seq));
+            if (seq - acked < maxInFlight) flush();
+        },
+        flush,
+        get inFlight() {
+            return seq - acked;
+        },
+        get buffered() {
+            return buffered;
+        }
+    };
+}
+
+/**
+ * Tracks one streamed request independently of the port it is delivered on,
+ * so a reconnecting side panel can resume from the text it already has.
+ */
+function createStreamRequest({ requestId, maxInFlight = DEFAULT_MAX_IN_FLIGHT }) {
+    let text = '';
+    let post = null;
+    let sender = null;
+    let final = null;
+
+    return {
+        requestId,
+        attach(nextPost, offset = 0) {
+            post = nextPost;
+            sender = createDeltaSender({ requestId, post, maxInFlight });
+            post({ type: MessageType.START, requestId, resumed: offset > 0 });
+            sender.push(text.slice(Math.max(0, offset)));
+            if (final) {
+                sender.flush();
+                post(final);
+            }
+        },
+        detach() {
+            post = null;
+            sender = null;
+        },
+        delta(chunk) {
+            if (!chunk || final) return;
+            text += chunk;
+            sender?.push(chunk);
+        },
+        progress(payload = {}) {
+            post?.({ ...payload, type: MessageType.PROGRESS, requestId });
+        },
+        ack(seq) {
+            sender?.ack(seq);
+        },
+        finish(payload = {}) {
+            if (final) return;
+            final = { ...payload, type: MessageType.DONE, requestId };
+            sender?.flush();
+            post?.(final);
+        },
+        fail(error) {
+            if (final) return;
+            final = {
+                type: MessageType.ERROR,
+                requestId,
+                error: String(error?.message || error || 'Unknown error'),
+                // Typed errors (e.g. invalid structured output) keep their code for the UI
+                ...(error?.code ? { code: error.code } : {}),
+                ...(error?.details ? { details: error.details } : {})
+            };
+            sender?.flush();
+            post?.(final);
+        },
+        get text() {
+            return text;
+        },
+        get attached() {
+            return Boolean(post);
+        },
+        get settled() {
+            return Boolean(final);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_IN_FLIGHT,
+    MessageType,
+    STREAM_PORT_NAME,
+    createDeltaSender,
+    createStreamRequest
+};
@@ -0,0 +1,299 @@
+const STRUCTURED_OUTPUT_ERROR = 'structured_output_invalid';
+const REPAIR_EXCERPT_CHARS = 2000;
+
+/**
+ * Raised when a structured response still fails its schema after repair and
+ * re-prompting. `code` and `details` travel over the stream port so the side
+ * panel can show what went wrong instead of an empty card.
+ */
+class StructuredOutputError extends Error {
+    constructor(errors = [], raw = '') {
+        super('The model response did not match the expected format.');
+        this.name = 'StructuredOutputError';
+        this.code = STRUCTURED_OUTPUT_ERROR;
+        this.details = { errors, raw: String(raw).slice(0, REPAIR_EXCERPT_CHARS) };
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function stripCodeFences(text = '') {
+    const fenced = String(text).match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    return fenced ? fenced[1] : String(text);
+}
+
+function stripTrailingComma(text) {
+    return text.replace(/,\s*$/, '');
+}
+
+function closers(stack) {
+    return stack.map((open) => (open === '{' ? '}' : ']')).reverse().join('');
+}
+
+/**
+ * Closes whatever a truncated JSON document left open. Unfinished string
+ * values are kept (so streamed text shows up early), while unfinished keys
+ * and literals are dropped back to the last complete value.
+ */
+function closePartialJson(text) {
+    const stack = [];
+    let output = '';
+    let inString = false;
+    let escaped = false;
+    let stringIsKey = false;
+    let expectKey = false;
+    let safe = { length: 0, stack: [] };
+
+    const markSafe = () => {
+        safe = { length: output.length, stack: [...stack] };
+    };
+
+    for (const ch of text) {
+        if (inString) {
+            output += ch;
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+                if (!stringIsKey) markSafe();
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            stringIsKey = stack[stack.length - 1] === '{' && expectKey;
+            output += ch;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch);
+            expectKey = ch === '{';
+            output += ch;
+            markSafe();
+        } else if (ch === '}' || ch === ']') {
+            // Models occasionally leave a trailing comma before the closing bracket
+            output = stripTrailingComma(output) + ch;
+            stack.pop();
+            expectKey = false;
+            markSafe();
+        } else if (ch === ',') {
+            // A comma always follows a complete value
+            markSafe();
+            expectKey = stack[stack.length - 1] === '{';
+            output += ch;
+        } else if (ch === ':') {
+            expectKey = false;
+            output += ch;
+        } else {
+            output += ch;
+        }
+    }
+
+    const candidates = [];
+    if (inString && !stringIsKey) {
+        candidates.push(output.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '') + '"' + closers(stack));
+    } else if (!inString) {
+        candidates.push(stripTrailingComma(output.trimEnd()) + closers(stack));
+    }
+    candidates.push(stripTrailingComma(output.slice(0, safe.length).trimEnd()) + closers(safe.stack));
+
+    return candidates.find((candidate) => {
+        try {
+            JSON.parse(candidate);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }) ?? output;
+}
+
+/**
+ * Lenient text-level repair: drops code fences and any prose before the
+ * first bracket, removes trailing commas and closes truncated output.
+ */
+function repairJson(text = '') {
+    const body = stripCodeFences(text);
+    const start = body.search(/[{[]/);
+    if (start === -1) return body.trim();
+    return closePartialJson(body.slice(start).trim());
+}
+
+/**
+ * Best-effort parse of a JSON document that is still streaming in. Returns
+ * `null` until there is at least an opening bracket to work with.
+ */
+function parsePartialJson(text = '') {
+    try {
+        const value = JSON.parse(repairJson(text));
+        return typeof value === 'object' ? value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function schemaTypes(schema) {
+    if (!schema?.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function coerceNumber(value, schema) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    const number = Number.parseFloat(trimmed.replace(/%$/, ''));
+    if (!Number.isFinite(number)) return value;
+    // "80%" for a 0-1 field such as confidence
+    return trimmed.endsWith('%') && schema.maximum != null && schema.maximum <= 1 ? number / 100 : number;
+}
+
+/**
+ * Nudges a parsed value towards `schema`: numeric strings become numbers,
+ * scalars are wrapped into arrays, enum values match case-insensitively,
+ * over-long arrays are trimmed and unknown keys are dropped when the schema
+ * forbids them. Anything it can't fix is left for validation to report.
+ */
+function coerceToSchema(value, schema = {}) {
+    const [type] = schemaTypes(schema);
+
+    if (type === 'object' && isPlainObject(value)) {
+        const properties = schema.properties || {};
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) result[key] = coerceToSchema(item, properties[key]);
+            else if (schema.additionalProperties !== false) result[key] = item;
+        }
+        return result;
+    }
+
+    if (type === 'array') {
+        if (value == null) return value;
+        const items = (Array.isArray(value) ? value : [value]).map((item) => coerceToSchema(item, schema.items || {}));
+        return schema.maxItems != null ? items.slice(0, schema.maxItems) : items;
+    }
+
+    if (type === 'number' || type === 'integer') {
+        const number = coerceNumber(value, schema);
+        if (typeof number === 'number' && number > 1 && schema.maximum === 1 && number <= 100) return number / 100;
+        return type === 'integer' && typeof number === 'number' ? Math.round(number) : number;
+    }
+
+    if (type === 'boolean' && typeof value === 'string') {
+        if (/^true$/i.test(value.trim())) return true;
+        if (/^false$/i.test(value.trim())) return false;
+        return value;
+    }
+
+    if (type === 'string') {
+        const text = typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+        if (Array.isArray(schema.enum) && typeof text === 'string') {
+            return schema.enum.find((option) => String(option).toLowerCase() === text.trim().toLowerCase()) ?? text;
+        }
+        return text;
+    }
+
+    return value;
+}
+
+function matchesType(value, type) {
+    if (type === 'object') return isPlainObject(value);
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'null') return value === null;
+    return typeof value === type;
+}
+
+/**
+ * Validates the subset of JSON Schema used by tool schemas: type, enum,
+ * required, properties, additionalProperties, items, min/max bounds and
+ * lengths. Returns readable error strings with a JSON path prefix.
+ */
+function validateAgainstSchema(value, schema = {}, path = '$') {
+    const types = schemaTypes(schema);
+    if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+        return [`${path} should be ${types.join(' or ')}`];
+    }
+
+    const errors = [];
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+        if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) errors.push(...validateAgainstSchema(item, properties[key], `${path}.${key}`));
+            else if (schema.additionalProperties === false) errors.push(`${path}.${key} is not allowed`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Parses, repairs, coerces and validates a structured response. Returns
+ * `{ ok, value, errors, repaired }`; `value` is the coerced object even when
+ * validation fails, so callers can decide whether partial data is usable.
+ */
+function parseStructuredResponse(text = '', schema = {}) {
+    const original = String(text).trim();
+    const repairedText = repairJson(original);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(repairedText);
+    } catch (e) {
+        return { ok: false, value: null, errors: ['Response is not valid JSON'], repaired: false };
+    }
+
+    const value = coerceToSchema(parsed, schema);
+    const errors = validateAgainstSchema(value, schema);
+    return {
+        ok: errors.length === 0,
+        value,
+        errors,
+        repaired: repairedText !== original || JSON.stringify(value) !== JSON.stringify(parsed)
+    };
+}
+
+function buildRepairPrompt({ errors = [], raw = '', schema = {} }) {
+    return `Your previous answer did not match the required JSON format.
+
+Problems:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Previous answer:
+${String(raw).slice(0, REPAIR_EXCERPT_CHARS)}
+
+Required JSON Schema:
+${JSON.stringify(schema)}
+
+Return only the corrected JSON, keeping the content of the previous answer where it was valid.`;
+}
+
+module.exports = {
+    STRUCTURED_OUTPUT_ERROR,
+    StructuredOutputError,
+    buildRepairPrompt,
+    coerceToSchema,
+    parsePartialJson,
+    parseStructuredResponse,
+    repairJson,
+    validateAgainstSchema
+};
@@ -10,6 +10,49 @@ const FALLBACK_SUGGESTION_POOL = [
     'How does this compare to similar cases?'
 ];
 
+// Fallback pools per page type (see utils/pageType.js); `general` also tops up short pools
+const PAGE_TYPE_SUGGESTION_POOLS = {
+    article: [
+        "What's the main story?",
+        'Who are the key people involved?',
+        'What happens next?',
+        'Is there another side to this?'
+    ],
+    tutorial: [
+        'Break down the steps',
+        'What skills do I need?',
+        'What are common mistakes here?',
+        'Is there a simpler way to do this?'
+    ],
+    research: [
+        'What were the findings?',
+        "What's the methodology?",
+        'What are the limitations?',
+        'How big was the sample?'
+    ],
+    product: [
+        'What are the pros and cons?',
+        'Is this worth buying?',
+        'How does the price compare?',
+        'Who is this best for?'
+    ],
+    recipe: [
+        'What are the ingredients?',
+        'How long does it take?',
+        'What can I substitute?',
+        'Can I make this ahead?'
+    ]
+};
+
+// Tells the model what questions matter for each kind of page
+const PAGE_TYPE_FOCUS = {
+    article: 'a news or feature article; focus on the story, the people involved and what it means',
+    tutorial: 'a tutorial or guide; focus on the steps, prerequisites and pitfalls',
+    research: 'a research paper; focus on the methodology, findings and limitations',
+    product: 'a product page; focus on pros and cons, price and who it suits',
+    recipe: 'a recipe; focus on ingredients, timing, substitutions and technique'
+};
+
 function normalizeSuggestion(value = '') {
     return value.trim().toLowerCase();
 }
@@ -29,18 +72,19 @@ function uniqueSuggestions(suggestions = []) {
     }).map((suggestion) => suggestion.trim());
 }
 
-function buildSuggestionPrompt({ content = '', title = '', url = '', excludedSuggestions = [] }) {
+function buildSuggestionPrompt({ content = '', title = '', url = '', excludedSuggestions = [], pageType = 'general' }) {
     const exclusions = uniqueSuggestions(excludedSuggestions);
     const exclusionBlock = exclusions.length > 0
         ? `\nAvoid reusing any of these suggestions:\n${exclusions.map((item) => `- ${item}`).join('\n')}\n`
         : '';
+    const focusBlock = PAGE_TYPE_FOCUS[pageType] ? `\nThis page is ${PAGE_TYPE_FOCUS[pageType]}.\n` : '';
 
     return `Based on the following webpage content, generate exactly 3 unique, specific, and contextually relevant questions or prompts that would help someone understand or engage with this content better.
 
 Page Title: ${title}
 URL: ${url}
 Content: ${content.substring(0, 1500)}...
-${exclusionBlock}
+${focusBlock}${exclusionBlock}
 Requirements:
 - Generate exactly 3 suggestions
 - Make them specific to this content, not generic
@@ -90,9 +134,10 @@ function parseAISuggestions(response, excludedSuggestions = []) {
     }
 }
 
-function getFallbackSuggestions(excludedSuggestions = []) {
+function getFallbackSuggestions(excludedSuggestions = [], pageType = 'general') {
     const excluded = new Set(uniqueSuggestions(excludedSuggestions).map(normalizeSuggestion));
-    const available = FALLBACK_SUGGESTION_POOL.filter(
+    const pool = [...(PAGE_TYPE_SUGGESTION_POOLS[pageType] || []), ...FALLBACK_SUGGESTION_POOL];
+    const available = pool.filter(
         (suggestion) => !excluded.has(normalizeSuggestion(suggestion))
     );
 
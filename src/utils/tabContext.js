@@ -0,0 +1,65 @@
+const { normalizePageUrl } = require('./threadStore');
+
+const TAB_CONTEXT_ACTION = 'tabContextChanged';
+const MAX_TRACKED_TABS = 20;
+
+/**
+ * Two URLs point at the same page when they only differ by their hash;
+ * in-page anchors don't change what the panel is grounded on.
+ */
+function isSamePage(a, b) {
+    return Boolean(a) && Boolean(b) && normalizePageUrl(a) === normalizePageUrl(b);
+}
+
+/**
+ * Turns a `tabs.onUpdated` event into a context change for the side panel,
+ * or `null` when nothing the panel cares about happened. Full loads are
+ * reported once they complete so the content script can read the new page;
+ * history API navigations in single-page apps only change the URL.
+ */
+function describeTabUpdate(tabId, changeInfo = {}, tab = {}) {
+    const loaded = changeInfo.status === 'complete';
+    const historyNavigation = Boolean(changeInfo.url) && !changeInfo.status;
+    if (!loaded && !historyNavigation) return null;
+
+    return {
+        reason: 'navigated',
+        tabId,
+        windowId: tab.windowId,
+        url: changeInfo.url || tab.url || '',
+        title: tab.title || ''
+    };
+}
+
+/**
+ * Keeps the side panel state parked for each tab, dropping the least
+ * recently used tab once more than `limit` are tracked.
+ */
+function createTabStateStore(limit = MAX_TRACKED_TABS) {
+    const states = new Map();
+
+    return {
+        get(tabId) {
+            return states.get(tabId) || null;
+        },
+        set(tabId, state) {
+            states.delete(tabId);
+            states.set(tabId, state);
+            while (states.size > limit) states.delete(states.keys().next().value);
+        },
+        delete(tabId) {
+            return states.delete(tabId);
+        },
+        get size() {
+            return states.size;
+        }
+    };
+}
+
+module.exports = {
+    MAX_TRACKED_TABS,
+    TAB_CONTEXT_ACTION,
+    createTabStateStore,
+    describeTabUpdate,
+    isSamePage
+};
@@ -0,0 +1,101 @@
+// Chrome's task-specific built-in AI APIs, which run next to the Prompt API with models of their own
+const TASK_APIS = {
+    summarizer: { global: 'Summarizer', label: 'Summarizer' },
+    translator: { global: 'Translator', label: 'Translator' },
+    languageDetector: { global: 'LanguageDetector', label: 'Language detection' }
+};
+
+const TASK_API_PROGRESS_ACTION = 'taskApiProgress';
+const DETECTION_SAMPLE_CHARS = 2000;
+const MIN_DETECTION_CONFIDENCE = 0.5;
+const UNDETERMINED_LANGUAGE = 'und';
+const MAX_TAKEAWAYS = 5;
+
+function getTaskApi(scope, id) {
+    const name = TASK_APIS[id]?.global;
+    return name && name in scope ? scope[name] : null;
+}
+
+/**
+ * The API's availability for `options`, or 'unsupported' when this Chrome
+ * doesn't have it at all.
+ */
+async function getTaskApiStatus(scope, id, options = {}) {
+    const api = getTaskApi(scope, id);
+    if (!api) return 'unsupported';
+    try {
+        return await api.availability(options);
+    } catch (e) {
+        return 'unavailable';
+    }
+}
+
+// 'pt-BR' and 'pt' are the same language as far as translation is concerned
+function baseLanguage(tag = '') {
+    return String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+function isSameLanguage(a, b) {
+    return Boolean(a) && baseLanguage(a) === baseLanguage(b);
+}
+
+function languageName(code, locale = 'en') {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+// The start of the text is plenty for detection, and keeps whitespace-heavy pages from skewing it
+function sampleForDetection(text = '') {
+    return String(text).replace(/\s+/g, ' ').trim().slice(0, DETECTION_SAMPLE_CHARS);
+}
+
+/**
+ * Picks the language from `LanguageDetector.detect()` results, which come
+ * sorted by confidence. Returns `{ language, confidence }`, or `null` when
+ * the detector isn't sure enough.
+ */
+function pickDetectedLanguage(results = [], minConfidence = MIN_DETECTION_CONFIDENCE) {
+    const [top] = results;
+    if (!top || top.detectedLanguage === UNDETERMINED_LANGUAGE || top.confidence < minConfidence) return null;
+    return { language: baseLanguage(top.detectedLanguage), confidence: top.confidence };
+}
+
+// Summarizer key points come back as a Markdown list
+function parseKeyPoints(text = '', max = MAX_TAKEAWAYS) {
+    return String(text)
+        .split('\n')
+        .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/\*\*/g, '').trim())
+        .filter(Boolean)
+        .slice(0, max);
+}
+
+/**
+ * Shapes Summarizer output like BUILTIN_SCHEMAS.TLDR. The Summarizer doesn't
+ * judge tone, so the sentiment is left empty.
+ */
+function buildSummarizerTldr({ headline = '', keyPoints = '', readingTime = '' } = {}) {
+    return {
+        summary: String(headline).trim(),
+        reading_time: readingTime,
+        sentiment: '',
+        takeaways: parseKeyPoints(keyPoints)
+    };
+}
+
+module.exports = {
+    DETECTION_SAMPLE_CHARS,
+    TASK_APIS,
+    TASK_API_PROGRESS_ACTION,
+    baseLanguage,
+    buildSummarizerTldr,
+    getTaskApi,
+    getTaskApiStatus,
+    isSameLanguage,
+    languageName,
+    parseKeyPoints,
+    pickDetectedLanguage,
+    sampleForDetection
+};
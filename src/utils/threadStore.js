@@ -0,0 +1,200 @@
+const { buildMultiSourcePrompt } = require('./multiSource');
+const { buildSelectionPrompt } = require('./selectionContext');
+
+const THREAD_INDEX_KEY = 'aura_threads_index';
+const THREAD_KEY_PREFIX = 'aura_thread_';
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+const PREVIEW_LENGTH = 120;
+
+function normalizePageUrl(url = '') {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.toString();
+    } catch (e) {
+        return String(url);
+    }
+}
+
+function measureBytes(value) {
+    return JSON.stringify(value).length;
+}
+
+function buildPreview(messages = []) {
+    const first = messages.find((message) => message.type === 'user' && message.content);
+    return String(first?.content || '').slice(0, PREVIEW_LENGTH);
+}
+
+function sortThreads(entries = []) {
+    return [...entries].sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.updatedAt - a.updatedAt));
+}
+
+/**
+ * Returns the ids to evict so the total size fits `maxBytes`, dropping the
+ * least recently updated unpinned threads first.
+ */
+function selectEvictions(entries = [], maxBytes = DEFAULT_MAX_BYTES) {
+    let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const evictions = [];
+
+    const candidates = entries
+        .filter((entry) => !entry.pinned)
+        .sort((a, b) => a.updatedAt - b.updatedAt);
+
+    for (const entry of candidates) {
+        if (total <= maxBytes) break;
+        evictions.push(entry.id);
+        total -= entry.size || 0;
+    }
+
+    return evictions;
+}
+
+/**
+ * Converts side panel messages into Prompt API history. Tool runs, image turns
+ * and interrupted answers never reached the conversation session, so they are
+ * left out. Questions about a selection or several tabs are rebuilt the way
+ * the background sent them.
+ */
+function toSessionHistory(messages = []) {
+    const history = [];
+
+    for (let i = 0; i < messages.length - 1; i++) {
+        const question = messages[i];
+        const answer = messages[i + 1];
+        if (question.type !== 'user' || answer.type !== 'assistant') continue;
+        if (question.feature || question.image || question.images?.length || answer.feature || answer.interrupted || !answer.content) continue;
+
+        history.push(
+            { role: 'user', content: buildSelectionPrompt(buildMultiSourcePrompt(question.content, question.sources), question.selection) },
+            { role: 'assistant', content: answer.content }
+        );
+        i++;
+    }
+
+    return history;
+}
+
+function matchesQuery(thread, query) {
+    if (!query) return true;
+    const haystack = [
+        thread.title,
+        thread.url,
+        ...(thread.messages || []).map((message) => message.content)
+    ].join('\n').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every((term) => haystack.includes(term));
+}
+
+/**
+ * Persists side panel threads in a chrome.storage-like area. Threads are stored
+ * one per key with a small index for listing, and the index is trimmed to
+ * `maxBytes` with oldest-first eviction that never drops pinned threads.
+ */
+function createThreadStore({ storage, maxBytes = DEFAULT_MAX_BYTES, now = () => Date.now() }) {
+    let indexQueue = Promise.resolve();
+
+    // Index updates read, modify and write the whole index, so they run one at a time
+    function updateIndex(task) {
+        const run = indexQueue.then(task);
+        indexQueue = run.catch(() => {});
+        return run;
+    }
+
+    async function readIndex() {
+        const result = await storage.get(THREAD_INDEX_KEY);
+        return result?.[THREAD_INDEX_KEY] || [];
+    }
+
+    async function writeIndex(entries) {
+        await storage.set({ [THREAD_INDEX_KEY]: entries });
+    }
+
+    async function list({ url } = {}) {
+        const entries = sortThreads(await readIndex());
+        if (!url) return entries;
+        const pageUrl = normalizePageUrl(url);
+        return entries.filter((entry) => entry.pageUrl === pageUrl);
+    }
+
+    async function get(id) {
+        const key = THREAD_KEY_PREFIX + id;
+        const result = await storage.get(key);
+        return result?.[key] || null;
+    }
+
+    const save = (thread) => updateIndex(async () => {
+        const entries = await readIndex();
+        const existing = entries.find((entry) => entry.id === thread.id);
+        const record = {
+            ...thread,
+            pageUrl: normalizePageUrl(thread.url),
+            pinned: Boolean(existing?.pinned ?? thread.pinned),
+            createdAt: existing?.createdAt ?? thread.createdAt ?? now(),
+            updatedAt: now()
+        };
+        const entry = {
+            id: record.id,
+            url: record.url,
+            pageUrl: record.pageUrl,
+            title: record.title,
+            preview: buildPreview(record.messages),
+            messageCount: (record.messages || []).length,
+            pinned: record.pinned,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            size: measureBytes(record)
+        };
+
+        const nextEntries = [...entries.filter((item) => item.id !== record.id), entry];
+        const evictions = selectEvictions(nextEntries, maxBytes).filter((id) => id !== record.id);
+
+        await storage.set({ [THREAD_KEY_PREFIX + record.id]: record });
+        if (evictions.length > 0) await storage.remove(evictions.map((id) => THREAD_KEY_PREFIX + id));
+        await writeIndex(nextEntries.filter((item) => !evictions.includes(item.id)));
+
+        return { thread: record, evicted: evictions };
+    });
+
+    const remove = (id) => updateIndex(async () => {
+        await storage.remove(THREAD_KEY_PREFIX + id);
+        await writeIndex((await readIndex()).filter((entry) => entry.id !== id));
+    });
+
+    const setPinned = (id, pinned) => updateIndex(async () => {
+        const thread = await get(id);
+        if (!thread) return null;
+
+        const record = { ...thread, pinned: Boolean(pinned) };
+        await storage.set({ [THREAD_KEY_PREFIX + id]: record });
+        await writeIndex((await readIndex()).map((entry) => (
+            entry.id === id ? { ...entry, pinned: record.pinned } : entry
+        )));
+        return record;
+    });
+
+    async function search(query = '') {
+        const entries = sortThreads(await readIndex());
+        if (!query.trim()) return entries;
+
+        const keys = entries.map((entry) => THREAD_KEY_PREFIX + entry.id);
+        const threads = keys.length > 0 ? await storage.get(keys) : {};
+        return entries.filter((entry) => matchesQuery(threads[THREAD_KEY_PREFIX + entry.id] || entry, query));
+    }
+
+    return {
+        get,
+        list,
+        remove,
+        save,
+        search,
+        setPinned
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_BYTES,
+    createThreadStore,
+    normalizePageUrl,
+    selectEvictions,
+    toSessionHistory
+};
@@ -0,0 +1,308 @@
+const { buildCompareSchema } = require('./multiSource');
+
+const CUSTOM_TOOLS_STORAGE_KEY = 'aura_custom_tools';
+const TOOLS_EXPORT_VERSION = 1;
+const CUSTOM_TOOL_PREFIX = 'custom_';
+const RENDER_TEMPLATES = ['card', 'list', 'table', 'badges', 'sections'];
+
+// JSON Schemas for the built-in structured output tools
+const BUILTIN_SCHEMAS = {
+    FACT_CHECK: {
+        type: "object",
+        properties: {
+            claims: {
+                type: "array",
+                minItems: 1,
+                maxItems: 5,
+                items: {
+                    type: "object",
+                    properties: {
+                        claim: { type: "string" },
+                        verdict: { type: "string", enum: ["True", "False", "Mixed", "Unverified"] },
+                        explanation: { type: "string" },
+                        confidence: { type: "number", minimum: 0, maximum: 1 },
+                        evidence: {
+                            type: "array",
+                            maxItems: 3,
+                            items: {
+                                type: "object",
+                                properties: {
+                                    quote: { type: "string" },
+                                    stance: { type: "string", enum: ["supports", "contradicts"] }
+                                },
+                                required: ["quote", "stance"],
+                                additionalProperties: false
+                            }
+                        }
+                    },
+                    required: ["claim", "verdict", "explanation", "confidence", "evidence"],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ["claims"],
+        additionalProperties: false
+    },
+    TLDR: {
+        type: "object",
+        properties: {
+            summary: { type: "string" },
+            reading_time: { type: "string" },
+            sentiment: { type: "string" },
+            takeaways: { type: "array", items: { type: "string" }, maxItems: 5 }
+        },
+        required: ["summary", "reading_time", "sentiment", "takeaways"],
+        additionalProperties: false
+    },
+    ENTITIES: {
+        type: "object",
+        properties: {
+            people: { type: "array", items: { type: "string" } },
+            organizations: { type: "array", items: { type: "string" } },
+            locations: { type: "array", items: { type: "string" } }
+        },
+        required: ["people", "organizations", "locations"],
+        additionalProperties: false
+    },
+    COMPARE: buildCompareSchema(),
+    RECIPE: {
+        type: "object",
+        properties: {
+            servings: { type: "string" },
+            total_time: { type: "string" },
+            ingredients: { type: "array", items: { type: "string" }, maxItems: 40 },
+            steps: { type: "array", items: { type: "string" }, maxItems: 30 }
+        },
+        required: ["servings", "total_time", "ingredients", "steps"],
+        additionalProperties: false
+    },
+    PRODUCT: {
+        type: "object",
+        properties: {
+            price: { type: "string" },
+            best_for: { type: "string" },
+            pros: { type: "array", items: { type: "string" }, maxItems: 6 },
+            cons: { type: "array", items: { type: "string" }, maxItems: 6 }
+        },
+        required: ["price", "best_for", "pros", "cons"],
+        additionalProperties: false
+    },
+    PAPER: {
+        type: "object",
+        properties: {
+            research_question: { type: "string" },
+            methodology: { type: "string" },
+            findings: { type: "array", items: { type: "string" }, maxItems: 6 },
+            limitations: { type: "array", items: { type: "string" }, maxItems: 5 }
+        },
+        required: ["research_question", "methodology", "findings", "limitations"],
+        additionalProperties: false
+    },
+    TUTORIAL: {
+        type: "object",
+        properties: {
+            goal: { type: "string" },
+            prerequisites: { type: "array", items: { type: "string" }, maxItems: 8 },
+            steps: { type: "array", items: { type: "string" }, maxItems: 20 }
+        },
+        required: ["goal", "prerequisites", "steps"],
+        additionalProperties: false
+    }
+};
+
+const BUILTIN_TOOLS = [
+    { id: 'TLDR', label: 'TL;DR', icon: 'LayoutDashboard', prompt: 'Summarize this article into a structured dashboard summary.', builtin: true },
+    { id: 'FACT_CHECK', label: 'Fact Check', icon: 'CheckCircle', prompt: 'Identify up to five key factual claims in this text. For each, give a verdict, a confidence score and up to three verbatim quotes from the text that support or contradict it.', builtin: true },
+    { id: 'ENTITIES', label: 'Entities', icon: 'ListTree', prompt: 'Extract and categorize key people, organizations, and locations.', builtin: true },
+    { id: 'MULTIMODAL', label: 'Analyze Image', icon: 'Image', prompt: 'Analyze the attached images and explain how they relate to this page.', builtin: true },
+    // Shown only for matching page types (see utils/pageType.js), ahead of the general tools
+    { id: 'RECIPE', label: 'Ingredients & Steps', icon: 'ListChecks', prompt: 'Extract the servings, total time, the full ingredient list with quantities and the cooking steps in order.', builtin: true, pageTypes: ['recipe'], render: 'sections' },
+    { id: 'PRODUCT', label: 'Pros, Cons & Price', icon: 'Scale', prompt: 'Give the price as shown on the page, who this product is best for, and its main pros and cons.', builtin: true, pageTypes: ['product'], render: 'sections' },
+    { id: 'PAPER', label: 'Methods & Findings', icon: 'BookOpen', prompt: 'Summarize the research question, the methodology, the key findings and the stated or apparent limitations.', builtin: true, pageTypes: ['research'], render: 'sections' },
+    { id: 'TUTORIAL', label: 'Steps', icon: 'ListChecks', prompt: 'Summarize the goal of this guide, the prerequisites and the steps to follow in order.', builtin: true, pageTypes: ['tutorial'], render: 'sections' },
+    // Only runs across several tabs; the panel asks for tabs first
+    { id: 'COMPARE', label: 'Compare', icon: 'Columns', prompt: 'Compare how these sources cover their shared topic: give each source\'s position, the points they agree on and the points where they contradict each other.', builtin: true, multiSource: true }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function slugify(value = '') {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+function buildCustomToolId(label = '') {
+    return `${CUSTOM_TOOL_PREFIX}${slugify(label) || 'tool'}`;
+}
+
+function isCustomToolId(id = '') {
+    return String(id).startsWith(CUSTOM_TOOL_PREFIX);
+}
+
+/**
+ * Returns a list of human-readable problems with a tool definition; an empty
+ * list means the tool can be saved.
+ */
+function validateToolDefinition(tool) {
+    if (!isPlainObject(tool)) return ['Tool definition must be an object'];
+
+    const errors = [];
+    if (!String(tool.label || '').trim()) errors.push('Label is required');
+    if (!String(tool.prompt || '').trim()) errors.push('Prompt template is required');
+    if (!isCustomToolId(tool.id)) errors.push(`Tool id must start with "${CUSTOM_TOOL_PREFIX}"`);
+    if (tool.schema != null) {
+        if (!isPlainObject(tool.schema) || typeof tool.schema.type !== 'string') {
+            errors.push('JSON Schema must be an object with a "type"');
+        }
+        if (!RENDER_TEMPLATES.includes(tool.render)) {
+            errors.push(`Render template must be one of: ${RENDER_TEMPLATES.join(', ')}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Normalizes a user-supplied tool into the stored shape. Tools without a
+ * schema answer in free text, so their render template is dropped.
+ */
+function normalizeToolDefinition(tool = {}) {
+    const label = String(tool.label || '').trim();
+    const schema = tool.schema == null || tool.schema === '' ? null : tool.schema;
+    return {
+        id: isCustomToolId(tool.id) ? tool.id : buildCustomToolId(label),
+        label,
+        icon: String(tool.icon || 'Wrench'),
+        prompt: String(tool.prompt || '').trim(),
+        schema,
+        render: schema ? (tool.render || 'card') : null
+    };
+}
+
+/**
+ * Fills `{{name}}` placeholders from `values`; unknown placeholders become
+ * empty strings so a typo never leaks template syntax into the prompt.
+ */
+function renderPromptTemplate(template = '', values = {}) {
+    return String(template)
+        .replace(/\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g, (match, name) => String(values[name] ?? ''))
+        .trim();
+}
+
+function serializeTools(tools = []) {
+    return JSON.stringify({
+        version: TOOLS_EXPORT_VERSION,
+        tools: tools.map(normalizeToolDefinition)
+    }, null, 2);
+}
+
+/**
+ * Parses an exported tools file. Accepts either `{ version, tools }` or a bare
+ * array, and returns the valid tools alongside per-tool errors so one bad
+ * entry doesn't block the rest of the import.
+ */
+function parseToolsImport(json) {
+    let parsed;
+    try {
+        parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (e) {
+        return { tools: [], errors: ['File is not valid JSON'] };
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.tools;
+    if (!Array.isArray(entries)) return { tools: [], errors: ['Expected a "tools" array'] };
+
+    const tools = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+        const tool = normalizeToolDefinition(entry);
+        const problems = validateToolDefinition(tool);
+        if (problems.length > 0) errors.push(`Tool ${index + 1} (${tool.label || 'unnamed'}): ${problems.join('; ')}`);
+        else tools.push(tool);
+    });
+    return { tools, errors };
+}
+
+/**
+ * Merges tools by id, letting `incoming` replace existing definitions.
+ */
+function mergeTools(existing = [], incoming = []) {
+    const merged = new Map(existing.map((tool) => [tool.id, tool]));
+    incoming.forEach((tool) => merged.set(tool.id, tool));
+    return [...merged.values()];
+}
+
+/**
+ * Drops tools meant for other page types and puts the ones made for this
+ * page type first; tools without `pageTypes` are always available.
+ */
+function toolsForPageType(tools = [], pageType = 'general') {
+    const matching = tools.filter((tool) => tool.pageTypes?.includes(pageType));
+    const general = tools.filter((tool) => !tool.pageTypes);
+    return [...matching, ...general];
+}
+
+async function loadCustomTools(storage) {
+    const result = await storage.get(CUSTOM_TOOLS_STORAGE_KEY);
+    return result?.[CUSTOM_TOOLS_STORAGE_KEY] || [];
+}
+
+async function saveCustomTools(storage, tools = []) {
+    await storage.set({ [CUSTOM_TOOLS_STORAGE_KEY]: tools.map(normalizeToolDefinition) });
+}
+
+/**
+ * Maps a tool id to the JSON Schema used as its `responseConstraint`. Built-in
+ * schemas are fixed; custom tool schemas are loaded lazily and reloaded after
+ * `invalidate()`.
+ */
+function createSchemaRegistry({ builtins = BUILTIN_SCHEMAS, loadCustom = async () => [] } = {}) {
+    let customSchemas = null;
+
+    async function loadCustomSchemas() {
+        if (!customSchemas) {
+            customSchemas = loadCustom()
+                .then((tools) => new Map(tools.filter((tool) => tool.schema).map((tool) => [tool.id, tool.schema])))
+                .catch((error) => {
+                    customSchemas = null;
+                    throw error;
+                });
+        }
+        return customSchemas;
+    }
+
+    async function resolve(feature) {
+        if (!feature) return null;
+        if (builtins[feature]) return builtins[feature];
+        if (!isCustomToolId(feature)) return null;
+        return (await loadCustomSchemas()).get(feature) || null;
+    }
+
+    function invalidate() {
+        customSchemas = null;
+    }
+
+    return {
+        invalidate,
+        resolve
+    };
+}
+
+module.exports = {
+    BUILTIN_SCHEMAS,
+    BUILTIN_TOOLS,
+    CUSTOM_TOOLS_STORAGE_KEY,
+    RENDER_TEMPLATES,
+    buildCustomToolId,
+    createSchemaRegistry,
+    isCustomToolId,
+    loadCustomTools,
+    mergeTools,
+    normalizeToolDefinition,
+    parseToolsImport,
+    renderPromptTemplate,
+    saveCustomTools,
+    serializeTools,
+    toolsForPageType,
+    validateToolDefinition
+};
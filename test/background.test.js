@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockProvider, sampleFromSchema } = require('../src/utils/modelProviders');
+const { MessageType, STREAM_PORT_NAME } = require('../src/utils/streamProtocol');
+const { parseStructuredResponse } = require('../src/utils/structuredOutput');
+const { BUILTIN_SCHEMAS } = require('../src/utils/toolRegistry');
+
+const PAGE_TAB = { id: 7, windowId: 1, url: 'https://news.example/tram', title: 'Tram line approved' };
+
+function createEvent() {
+    const listeners = [];
+    return { listeners, addListener: (listener) => listeners.push(listener), removeListener() {} };
+}
+
+function createStorageArea() {
+    const data = {};
+    return {
+        data,
+        async get(keys) {
+            const list = keys == null ? Object.keys(data) : [].concat(typeof keys === 'object' && !Array.isArray(keys) ? Object.keys(keys) : keys);
+            return Object.fromEntries(list.filter((key) => key in data).map((key) => [key, data[key]]));
+        },
+        async set(items) { Object.assign(data, items); },
+        async remove(keys) { [].concat(keys).forEach((key) => delete data[key]); }
+    };
+}
+
+// Just enough of the extension APIs for the worker to load and answer over its port
+function createChrome() {
+    return {
+        runtime: {
+            onInstalled: createEvent(),
+            onStartup: createEvent(),
+            onMessage: createEvent(),
+            onConnect: createEvent(),
+            sendMessage: async () => undefined
+        },
+        contextMenus: { onClicked: createEvent(), removeAll() {}, create() {} },
+        sidePanel: { setPanelBehavior: async () => {}, open: async () => {} },
+        tabs: {
+            onRemoved: createEvent(),
+            onActivated: createEvent(),
+            onUpdated: createEvent(),
+            query: async () => [PAGE_TAB],
+            get: async (tabId) => (tabId === PAGE_TAB.id ? PAGE_TAB : Promise.reject(new Error('No tab')))
+        },
+        storage: {
+            sync: createStorageArea(),
+            local: createStorageArea(),
+            session: createStorageArea(),
+            onChanged: createEvent()
+        }
+    };
+}
+
+function loadBackground() {
+    globalThis.chrome = createChrome();
+    globalThis.self = globalThis;
+    // The idle-session sweep would keep the test process alive
+    const { setInterval } = globalThis;
+    globalThis.setInterval = () => 0;
+    try {
+        return require('../src/background');
+    } finally {
+        globalThis.setInterval = setInterval;
+    }
+}
+
+const background = loadBackground();
+
+// The side panel end of the stream port, acknowledging deltas like promptClient does
+function connect() {
+    const onMessage = createEvent();
+    const handlers = new Map();
+    const port = {
+        name: STREAM_PORT_NAME,
+        onMessage,
+        onDisconnect: createEvent(),
+        postMessage: (message) => handlers.get(message.requestId)?.(message)
+    };
+    chrome.runtime.onConnect.listeners.forEach((listener) => listener(port));
+    const send = (message) => onMessage.listeners.forEach((listener) => listener(message));
+    let nextId = 0;
+
+    return {
+        send,
+        request(payload, { onDelta } = {}) {
+            const requestId = `req_${++nextId}`;
+            const events = { text: '', progress: [] };
+            return new Promise((resolve) => {
+                handlers.set(requestId, (message) => {
+                    if (message.type === MessageType.DELTA) {
+                        events.text += message.text;
+                        send({ type: MessageType.ACK, requestId, seq: message.seq });
+                        onDelta?.(message, requestId);
+                    } else if (message.type === MessageType.PROGRESS) {
+                        events.progress.push(message);
+                    } else if (message.type === MessageType.DONE || message.type === MessageType.ERROR) {
+                        resolve({ ...message, ...events });
+                    }
+                });
+                send({ type: MessageType.PROMPT, requestId, payload });
+            });
+        }
+    };
+}
+
+function useMockProvider(options) {
+    const provider = createMockProvider(options);
+    background.setModelProviders(() => [provider]);
+    return provider;
+}
+
+test('a chat turn streams over the port and the next turn remembers it', async () => {
+    const provider = useMockProvider();
+    const client = connect();
+    const payload = { context: 'The council approved a tram line.', conversationId: 'chat', tabId: PAGE_TAB.id };
+
+    const first = await client.request({ ...payload, prompt: 'What was approved?' });
+    assert.equal(first.type, MessageType.DONE);
+    assert.equal(first.response, 'Mock answer to: What was approved?');
+    assert.equal(first.text, first.response);
+    assert.ok(first.progress.some((progress) => progress.kind === 'usage'));
+
+    await client.request({ ...payload, prompt: 'When does it open?' });
+    const contents = provider.calls.at(-1).messages.map((message) => message.content);
+    assert.deepEqual(contents.slice(-3), ['What was approved?', 'Mock answer to: What was approved?', 'When does it open?']);
+});
+
+test('a structured tool is repaired, validated and then answered from the cache', async () => {
+    let structuredCalls = 0;
+    const provider = useMockProvider({
+        respond: (messages, options) => {
+            if (!options.responseConstraint) return 'Plain answer.';
+            // The first answer breaks the schema, so the worker has to ask for a repair
+            return structuredCalls++ === 0 ? '{"summary": 42}' : JSON.stringify(sampleFromSchema(options.responseConstraint));
+        }
+    });
+    const client = connect();
+    const payload = { feature: 'TLDR', prompt: 'Summarize this article.', context: 'A long article about trams.', tabId: PAGE_TAB.id, cache: 'use' };
+
+    const fresh = await client.request(payload);
+    assert.equal(fresh.type, MessageType.DONE);
+    assert.ok(parseStructuredResponse(fresh.response, BUILTIN_SCHEMAS.TLDR).ok);
+    assert.equal(structuredCalls, 2);
+    assert.equal(fresh.cachedAt, undefined);
+
+    const cached = await client.request(payload);
+    assert.equal(cached.response, fresh.response);
+    assert.equal(typeof cached.cachedAt, 'number');
+    assert.equal(provider.calls.length, 2);
+
+    await client.request({ ...payload, cache: 'refresh' });
+    assert.equal(provider.calls.length, 3);
+});
+
+test('cancelling keeps the partial answer and leaves the turn out of the conversation', async () => {
+    const provider = useMockProvider({ respond: () => 'one two three four five' });
+    const client = connect();
+    const payload = { context: 'Counting page.', conversationId: 'count', tabId: PAGE_TAB.id };
+
+    const stopped = await client.request({ ...payload, prompt: 'Count.' }, {
+        onDelta: (message, requestId) => client.send({ type: MessageType.CANCEL, requestId })
+    });
+    assert.equal(stopped.type, MessageType.DONE);
+    assert.equal(stopped.interrupted, true);
+    assert.equal(stopped.response, 'one ');
+
+    await client.request({ ...payload, prompt: 'Count again.' });
+    const contents = provider.calls.at(-1).messages.map((message) => message.content);
+    assert.ok(!contents.includes('Count.'));
+    assert.equal(contents.at(-1), 'Count again.');
+});
+
+test('a conversation that needed the page summary starts from it on later turns', async () => {
+    const page = 'The tram line runs along the river and stops at every bridge. '.repeat(50);
+    const provider = useMockProvider({
+        inputQuota: 1200,
+        respond: (messages) => (/Update the summary/.test(messages.at(-1).content) ? 'Tram line along the river.' : 'Answer.')
+    });
+    // Conversations grounded on the whole page are too big for the quota; count how often one is opened
+    const create = provider.create;
+    let fullPageConversations = 0;
+    provider.create = async (options = {}) => {
+        const session = await create(options);
+        if ((options.initialPrompts || []).some((message) => String(message.content).includes(page))) {
+            const clone = session.clone;
+            session.clone = () => {
+                fullPageConversations++;
+                return clone();
+            };
+        }
+        return session;
+    };
+    const client = connect();
+    const payload = { context: page, conversationId: 'long', tabId: PAGE_TAB.id };
+
+    const first = await client.request({ ...payload, prompt: 'Where does it run?' });
+    assert.equal(first.response, 'Answer.');
+    const afterFirst = fullPageConversations;
+    assert.ok(afterFirst > 0);
+
+    const second = await client.request({ ...payload, prompt: 'Where does it stop?' });
+    assert.equal(second.response, 'Answer.');
+    assert.equal(fullPageConversations, afterFirst);
+    assert.equal(provider.calls.filter((call) => /Update the summary/.test(call.messages.at(-1).content)).length, 1);
+});
+
+test('notebook questions are grounded on the notes and never cached under the page', async () => {
+    const provider = useMockProvider({
+        respond: (messages, options) => (options.responseConstraint ? JSON.stringify(sampleFromSchema(options.responseConstraint)) : 'Answer.')
+    });
+    const client = connect();
+    const payload = { feature: 'TLDR', prompt: 'Summarize the notebook.', context: '# Research notebook\n\nNotes.', tabId: PAGE_TAB.id, notebook: true, cache: 'use' };
+
+    await client.request(payload);
+    const second = await client.request(payload);
+    assert.equal(second.cachedAt, undefined);
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[0].messages[1].content, /research notebook/);
+    assert.doesNotMatch(provider.calls[0].messages[1].content, /current web page/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    chunkText,
+    compactHistory,
+    fitsBudget,
+    getUsageSnapshot,
+    measurePromptUsage,
+    rollingSummarize
+} = require('../src/utils/contextBudget');
+
+test('getUsageSnapshot reads inputUsage and inputQuota from the session', () => {
+    assert.deepEqual(getUsageSnapshot({ inputUsage: 300, inputQuota: 1200 }), {
+        used: 300,
+        quota: 1200,
+        ratio: 0.25
+    });
+    assert.deepEqual(getUsageSnapshot(null), { used: 0, quota: 0, ratio: 0 });
+});
+
+test('fitsBudget keeps room for the response and ignores unknown quotas', () => {
+    assert.equal(fitsBudget({ used: 500, quota: 1000 }, 100, 200), true);
+    assert.equal(fitsBudget({ used: 500, quota: 1000 }, 400, 200), false);
+    assert.equal(fitsBudget({ used: 0, quota: 0 }, 100000), true);
+});
+
+test('measurePromptUsage prefers measureInputUsage and falls back to an estimate', async () => {
+    const measured = await measurePromptUsage({ measureInputUsage: async () => 42 }, 'hello');
+    const estimated = await measurePromptUsage({}, 'x'.repeat(40));
+
+    assert.equal(measured, 42);
+    assert.equal(estimated, 10);
+});
+
+test('chunkText splits on sentence boundaries within the limit', () => {
+    const chunks = chunkText('First sentence here. Second sentence here. Third one.', 25);
+
+    assert.deepEqual(chunks, ['First sentence here.', 'Second sentence here.', 'Third one.']);
+});
+
+test('rollingSummarize folds each chunk into the running summary', async () => {
+    const prompts = [];
+    const summary = await rollingSummarize('Alpha part. Beta part.', async (prompt) => {
+        prompts.push(prompt);
+        return `summary ${prompts.length}`;
+    }, { maxChars: 12 });
+
+    assert.equal(summary, 'summary 2');
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /Summary so far:\nsummary 1/);
+});
+
+test('compactHistory summarizes older turns and keeps the most recent ones', async () => {
+    const history = [
+        { role: 'user', content: 'Q1' },
+        { role: 'assistant', content: 'A1' },
+        { role: 'user', content: 'Q2' },
+        { role: 'assistant', content: 'A2' },
+        { role: 'user', content: 'Q3' },
+        { role: 'assistant', content: 'A3' }
+    ];
+
+    const compacted = await compactHistory(history, async () => 'Asked Q1.', { keepRecent: 2 });
+
+    assert.equal(compacted.length, 4);
+    assert.match(compacted[0].content, /Asked Q1\./);
+    assert.deepEqual(compacted.slice(2), history.slice(4));
+});
+
+test('compactHistory carries a previous summary into the next compaction', async () => {
+    const first = await compactHistory([
+        { role: 'user', content: 'Q1' },
+        { role: 'assistant', content: 'A1' },
+        { role: 'user', content: 'Q2' },
+        { role: 'assistant', content: 'A2' }
+    ], async () => 'First summary', { keepRecent: 2 });
+
+    let seenPrompt = '';
+    await compactHistory([
+        ...first,
+        { role: 'user', content: 'Q3' },
+        { role: 'assistant', content: 'A3' }
+    ], async (prompt) => {
+        seenPrompt = prompt;
+        return 'Second summary';
+    }, { keepRecent: 2 });
+
+    assert.match(seenPrompt, /Summary so far:\nFirst summary/);
+    assert.match(seenPrompt, /User: Q2/);
+});
+
+test('compactHistory returns the same history when nothing is old enough', async () => {
+    const history = [{ role: 'user', content: 'Q1' }, { role: 'assistant', content: 'A1' }];
+
+    assert.equal(await compactHistory(history, async () => 'unused'), history);
+});
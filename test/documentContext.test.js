@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    documentToSections,
+    renderBlock,
+    renderDocumentContext
+} = require('../src/utils/documentContext');
+
+const sampleDocument = {
+    title: 'Battery Study',
+    byline: 'Jane Doe',
+    publishedAt: '2024-01-02',
+    language: 'en',
+    jsonLdTypes: ['ScholarlyArticle'],
+    outline: [{ level: 1, text: 'Battery Study' }, { level: 2, text: 'Results' }],
+    blocks: [
+        { type: 'heading', level: 1, text: 'Battery Study' },
+        { type: 'paragraph', text: 'We tested three cells.' },
+        { type: 'heading', level: 2, text: 'Results' },
+        { type: 'table', header: true, rows: [['Cell', 'Cycles'], ['A', '500'], ['B', '800']] },
+        { type: 'list', ordered: true, items: ['Charge', 'Discharge'] }
+    ]
+};
+
+test('renderBlock renders tables, lists, code and quotes as markdown', () => {
+    assert.equal(
+        renderBlock({ type: 'table', header: true, rows: [['A', 'B'], ['1', '2|3']] }),
+        '| A | B |\n| --- | --- |\n| 1 | 2\\|3 |'
+    );
+    assert.equal(renderBlock({ type: 'list', ordered: false, items: ['x', 'y'] }), '- x\n- y');
+    assert.equal(renderBlock({ type: 'code', language: 'js', text: 'a()' }), '```js\na()\n```');
+    assert.equal(renderBlock({ type: 'quote', text: 'Said.' }), '> Said.');
+});
+
+test('renderBlock invents column headers for tables without a header row', () => {
+    assert.equal(
+        renderBlock({ type: 'table', header: false, rows: [['1', '2']] }),
+        '| Column 1 | Column 2 |\n| --- | --- |\n| 1 | 2 |'
+    );
+});
+
+test('renderDocumentContext includes metadata, outline and structured blocks', () => {
+    const { text, truncated } = renderDocumentContext(sampleDocument);
+
+    assert.equal(truncated, false);
+    assert.match(text, /^Title: Battery Study\nBy: Jane Doe\nPublished: 2024-01-02/);
+    assert.match(text, /Type: ScholarlyArticle/);
+    assert.match(text, /Outline:\n- Battery Study\n  - Results/);
+    assert.match(text, /## Results\n\n\| Cell \| Cycles \|/);
+    assert.match(text, /1\. Charge\n2\. Discharge/);
+});
+
+test('renderDocumentContext stops at the character budget and reports truncation', () => {
+    const { text, truncated, totalChars } = renderDocumentContext({
+        blocks: Array.from({ length: 20 }, (_, i) => ({ type: 'paragraph', text: `Paragraph ${i} `.repeat(10) }))
+    }, { maxChars: 500 });
+
+    assert.equal(truncated, true);
+    assert.ok(text.length <= 500);
+    assert.ok(totalChars > 500);
+});
+
+test('renderDocumentContext leaves out a captioned table that does not fit instead of cutting it', () => {
+    const rows = Array.from({ length: 10 }, (_, i) => [`Cell ${i}`, `${i * 100} cycles of charging and discharging`]);
+    const { text, truncated } = renderDocumentContext({
+        blocks: [
+            { type: 'paragraph', text: 'Intro. '.repeat(20) },
+            { type: 'table', caption: 'Cycle life', header: false, rows }
+        ]
+    }, { maxChars: 500 });
+
+    assert.equal(truncated, true);
+    assert.doesNotMatch(text, /Table: Cycle life/);
+});
+
+test('documentToSections groups rendered blocks under their headings', () => {
+    assert.deepEqual(documentToSections(sampleDocument), [
+        { heading: 'Battery Study', text: 'We tested three cells.' },
+        { heading: 'Results', text: '| Cell | Cycles |\n| --- | --- |\n| A | 500 |\n| B | 800 |\n1. Charge\n2. Discharge' }
+    ]);
+});
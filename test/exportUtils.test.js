@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildExportFilename,
+    exportThread,
+    messageToClipboardText,
+    messageToMarkdown,
+    threadToHtml,
+    threadToJson,
+    threadToMarkdown
+} = require('../src/utils/exportUtils');
+
+const EXPORTED_AT = Date.UTC(2025, 0, 15, 10, 30);
+
+function createThread() {
+    return {
+        title: 'Battery study | Example',
+        url: 'https://example.com/battery',
+        exportedAt: EXPORTED_AT,
+        messages: [
+            { id: 1, createdAt: EXPORTED_AT, type: 'user', content: 'Fact check this claim', feature: 'FACT_CHECK' },
+            {
+                id: 2,
+                createdAt: EXPORTED_AT,
+                type: 'assistant',
+                content: '{"claim":"..."}',
+                feature: 'FACT_CHECK',
+                data: {
+                    claims: [{
+                        claim: 'Batteries last 10 years',
+                        verdict: 'Mixed',
+                        explanation: 'Only under lab conditions.',
+                        confidence: 0.8,
+                        evidence: [
+                            { quote: 'lasted a decade in the lab', stance: 'supports', verified: true },
+                            { quote: 'fails after two winters', stance: 'contradicts', verified: false }
+                        ]
+                    }]
+                }
+            }
+        ]
+    };
+}
+
+test('threadToMarkdown includes the source and renders tool cards as tables', () => {
+    const markdown = threadToMarkdown(createThread());
+
+    assert.match(markdown, /^# Battery study \| Example/);
+    assert.match(markdown, /- Source: https:\/\/example\.com\/battery/);
+    assert.match(markdown, /- Exported: 2025-01-15T10:30:00\.000Z/);
+    assert.match(markdown, /#### Fact Check/);
+    assert.match(markdown, /\| Claim \| Verdict \| Confidence \|/);
+    assert.match(markdown, /\| Batteries last 10 years \| Mixed \| 80% \|/);
+    assert.match(markdown, /- Supports: “lasted a decade in the lab”\n- Contradicts: “fails after two winters” \(not found in page text\)/);
+});
+
+test('messageToMarkdown lists TL;DR takeaways and escapes table pipes', () => {
+    const markdown = messageToMarkdown({
+        id: EXPORTED_AT,
+        type: 'assistant',
+        feature: 'TLDR',
+        data: { summary: 'Short.', takeaways: ['First', 'Second'], reading_time: '3 min', sentiment: 'a | b' }
+    });
+
+    assert.match(markdown, /- First\n- Second/);
+    assert.match(markdown, /\| Sentiment \| a \\\| b \|/);
+});
+
+test('messageToMarkdown quotes the selection a question was asked about', () => {
+    const markdown = messageToMarkdown({ type: 'user', content: 'Explain this', selection: { text: 'Line one\nLine two' } });
+
+    assert.match(markdown, /Selected text:\n\n> Line one\n> Line two/);
+});
+
+test('messageToMarkdown attributes comparisons and answers to their tabs', () => {
+    const sources = [
+        { id: 'S1', title: 'Rates rise', url: 'https://a.example/rates' },
+        { id: 'S2', title: 'Rates flat', url: 'https://b.example/rates' }
+    ];
+    const comparison = messageToMarkdown({
+        type: 'assistant',
+        feature: 'COMPARE',
+        sources,
+        data: {
+            topic: 'Interest rates',
+            positions: [{ source: 'S1', position: 'Up' }],
+            agreements: [{ point: 'Inflation is high', sources: ['S1', 'S2'] }],
+            contradictions: [{ point: 'Direction', sides: [{ source: 'S1', claim: 'up' }, { source: 'S2', claim: 'flat' }] }]
+        }
+    });
+
+    assert.match(comparison, /\| Source \| Position \|/);
+    assert.match(comparison, /\| S1 \(Rates rise\) \| Up \|/);
+    assert.match(comparison, /- Inflation is high \(S1, S2\)/);
+    assert.match(comparison, /- Direction: S1 says up; S2 says flat/);
+    assert.match(comparison, /- \[S2\] Rates flat <https:\/\/b\.example\/rates>/);
+});
+
+test('messageToMarkdown embeds thumbnails of attached images', () => {
+    const markdown = messageToMarkdown({
+        type: 'user',
+        content: 'What is this?',
+        images: [{ thumbnail: 'data:image/jpeg;base64,AAAA', label: 'chart [1].png' }, { thumbnail: 'javascript:alert(1)' }]
+    });
+
+    assert.match(markdown, /!\[chart 1\.png\]\(data:image\/jpeg;base64,AAAA\)/);
+    assert.doesNotMatch(markdown, /javascript:/);
+});
+
+test('threadToJson keeps the structured payload and message roles', () => {
+    const parsed = JSON.parse(threadToJson(createThread()));
+
+    assert.deepEqual(parsed.source, { title: 'Battery study | Example', url: 'https://example.com/battery' });
+    assert.equal(parsed.exportedAt, '2025-01-15T10:30:00.000Z');
+    assert.deepEqual(parsed.messages.map((message) => message.role), ['user', 'assistant']);
+    assert.equal(parsed.messages[1].data.claims[0].verdict, 'Mixed');
+});
+
+test('threadToHtml escapes page content and drops unsafe links', () => {
+    const html = threadToHtml({
+        title: '<script>alert(1)</script>',
+        url: 'javascript:alert(1)',
+        exportedAt: EXPORTED_AT,
+        messages: [{ id: 1, type: 'assistant', content: 'Use <b>bold</b>' }]
+    });
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(!html.includes('href="javascript:'));
+    assert.match(html, /Use &lt;b&gt;bold&lt;\/b&gt;/);
+});
+
+test('exportThread dispatches by format and buildExportFilename slugs the title', () => {
+    assert.match(exportThread('html', createThread()), /^<!DOCTYPE html>/);
+    assert.equal(buildExportFilename('Battery study | Example', 'markdown', EXPORTED_AT), 'battery-study-example-2025-01-15.md');
+    assert.equal(buildExportFilename('', 'json', EXPORTED_AT), 'aura-export-2025-01-15.json');
+});
+
+test('custom tool results export under their own label as a field table', () => {
+    const markdown = messageToMarkdown({
+        id: EXPORTED_AT,
+        type: 'assistant',
+        feature: 'custom_pros_cons',
+        tool: { label: 'Pros & Cons', render: 'badges' },
+        data: { pros: ['Cheap', 'Fast'], cons: [] }
+    });
+
+    assert.match(markdown, /#### Pros & Cons/);
+    assert.match(markdown, /\| pros \| Cheap, Fast \|/);
+    assert.match(markdown, /\| cons \| - \|/);
+});
+
+test('single-claim fact checks saved by older versions still export', () => {
+    const markdown = messageToMarkdown({
+        id: EXPORTED_AT,
+        type: 'assistant',
+        feature: 'FACT_CHECK',
+        data: { claim: 'Sky is green', verdict: 'False', explanation: 'It is blue.', confidence: 0.9 }
+    });
+
+    assert.match(markdown, /\| Sky is green \| False \| 90% \|/);
+    assert.match(markdown, /\*\*Claim 1: Sky is green\*\*\n- It is blue\./);
+});
+
+test('messageToClipboardText copies only the body, as markdown or plain text', () => {
+    const answer = { id: 3, type: 'assistant', content: 'The **main** point, see [the study](https://example.com/study).' };
+
+    assert.equal(messageToClipboardText(answer), answer.content);
+    assert.equal(messageToClipboardText(answer, 'text'), 'The main point, see the study (https://example.com/study).');
+    assert.match(messageToClipboardText(createThread().messages[1], 'text'), /^Fact Check\n/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    findQuote,
+    normalizeFactCheck,
+    normalizeForMatch,
+    verifyFactCheckQuotes
+} = require('../src/utils/factCheck');
+
+const PAGE = 'The new battery “lasted ten years” in lab tests, the company said.\nIndependent testers found it failed after two winters.';
+
+test('normalizeForMatch folds case, dashes and whitespace and drops quotation marks', () => {
+    assert.equal(normalizeForMatch('  It’s  “Big”\n— really '), 'its big - really');
+});
+
+test('findQuote matches verbatim quotes despite typography differences', () => {
+    assert.equal(findQuote(PAGE, 'battery "lasted ten years" in lab tests').found, true);
+    assert.equal(findQuote(PAGE, 'The new battery ... failed after two winters').found, true);
+    assert.equal(findQuote(PAGE, 'failed after two winters ... The new battery').found, false);
+});
+
+test('findQuote rejects invented and trivially short quotes', () => {
+    assert.equal(findQuote(PAGE, 'the battery exploded during testing').found, false);
+    assert.equal(findQuote(PAGE, 'the company').found, false);
+});
+
+test('normalizeFactCheck upgrades single-claim payloads', () => {
+    assert.deepEqual(normalizeFactCheck({ claim: 'A', verdict: 'True', explanation: 'B', confidence: 1 }), {
+        claims: [{ claim: 'A', verdict: 'True', explanation: 'B', confidence: 1, evidence: [] }]
+    });
+    assert.deepEqual(normalizeFactCheck(null), { claims: [] });
+});
+
+test('verifyFactCheckQuotes flags quotes that are not in the source text', () => {
+    const verified = verifyFactCheckQuotes({
+        claims: [{
+            claim: 'The battery lasts ten years',
+            verdict: 'Mixed',
+            explanation: '',
+            confidence: 0.6,
+            evidence: [
+                { quote: 'lasted ten years in lab tests', stance: 'supports' },
+                { quote: 'customers report it lasts forever', stance: 'supports' }
+            ]
+        }]
+    }, PAGE);
+
+    assert.deepEqual(verified.claims[0].evidence.map((item) => item.verified), [true, false]);
+});
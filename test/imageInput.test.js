@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_IMAGE_DIMENSION,
+    blobToBase64,
+    fitWithin,
+    isAcceptedImageType,
+    normalizeCropRect,
+    parseImageDataUrl,
+    toImageDataUrl
+} = require('../src/utils/imageInput');
+
+test('fitWithin scales the longer side down and never scales up', () => {
+    assert.deepEqual(fitWithin(4000, 2000), { width: MAX_IMAGE_DIMENSION, height: 512, scale: MAX_IMAGE_DIMENSION / 4000 });
+    assert.deepEqual(fitWithin(300, 900, 600), { width: 200, height: 600, scale: 600 / 900 });
+    assert.deepEqual(fitWithin(200, 100), { width: 200, height: 100, scale: 1 });
+});
+
+test('normalizeCropRect clamps to the image and handles reversed drags', () => {
+    const image = { width: 800, height: 600 };
+    assert.deepEqual(normalizeCropRect({ x: 700, y: 500, width: 200, height: 200 }, image), { x: 700, y: 500, width: 100, height: 100 });
+    assert.deepEqual(normalizeCropRect({ x: 300, y: 300, width: -100, height: -50.4 }, image), { x: 200, y: 250, width: 100, height: 50 });
+});
+
+test('normalizeCropRect ignores missing or accidental crops', () => {
+    const image = { width: 800, height: 600 };
+    assert.equal(normalizeCropRect(null, image), null);
+    assert.equal(normalizeCropRect({ x: 10, y: 10, width: 5, height: 200 }, image), null);
+    assert.equal(normalizeCropRect({ x: 900, y: 10, width: 50, height: 50 }, image), null);
+});
+
+test('image data URLs round-trip and other data is rejected', () => {
+    const parsed = parseImageDataUrl('data:image/png;base64,iVBORw0KGgo=');
+    assert.deepEqual(parsed, { type: 'image/png', base64: 'iVBORw0KGgo=' });
+    assert.equal(toImageDataUrl(parsed), 'data:image/png;base64,iVBORw0KGgo=');
+    assert.equal(parseImageDataUrl('data:text/html;base64,PGgxPg=='), null);
+    assert.equal(toImageDataUrl({}), '');
+});
+
+test('isAcceptedImageType allows raster formats only', () => {
+    assert.equal(isAcceptedImageType('image/PNG'), true);
+    assert.equal(isAcceptedImageType('image/svg+xml'), false);
+    assert.equal(isAcceptedImageType('application/pdf'), false);
+});
+
+test('blobToBase64 encodes images larger than one chunk', async () => {
+    const bytes = Uint8Array.from({ length: 0x8000 + 3 }, (_, i) => i % 256);
+    assert.equal(await blobToBase64(new Blob([bytes])), Buffer.from(bytes).toString('base64'));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildCoverage,
+    buildReducePrompt,
+    chunkSections,
+    estimateReadingTime,
+    formatPartialSummaries,
+    groupForReduce
+} = require('../src/utils/longDocument');
+
+test('chunkSections packs small sections together and records their headings', () => {
+    const chunks = chunkSections([
+        { heading: 'Intro', text: 'Short intro.' },
+        { heading: 'Method', text: 'Short method.' },
+        { heading: 'Results', text: 'x'.repeat(80) }
+    ], 100);
+
+    assert.equal(chunks.length, 2);
+    assert.deepEqual(chunks[0].headings, ['Intro', 'Method']);
+    assert.match(chunks[0].text, /## Intro\nShort intro\.\n\n## Method/);
+    assert.deepEqual(chunks[1].headings, ['Results']);
+    assert.equal(chunks[1].index, 1);
+});
+
+test('chunkSections splits a section that is longer than the chunk size', () => {
+    const text = Array.from({ length: 10 }, (_, i) => `Sentence number ${i}.`).join(' ');
+    const chunks = chunkSections([{ heading: 'Body', text }], 60);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every((chunk) => chunk.text.length <= 60 + 'Body'.length + 4));
+    assert.ok(chunks.every((chunk) => chunk.headings[0] === 'Body'));
+});
+
+test('chunkSections skips empty sections', () => {
+    assert.deepEqual(chunkSections([{ heading: 'Empty', text: '  ' }]), []);
+});
+
+test('groupForReduce keeps entries in one group when they fit', () => {
+    assert.deepEqual(groupForReduce(['a', 'b', 'c'], 100), [['a', 'b', 'c']]);
+});
+
+test('groupForReduce always puts at least two entries in a group', () => {
+    const groups = groupForReduce(['x'.repeat(50), 'y'.repeat(50), 'z'.repeat(50)], 10);
+
+    assert.deepEqual(groups.map((group) => group.length), [2, 1]);
+});
+
+test('formatPartialSummaries labels parts with their sections', () => {
+    const [formatted] = formatPartialSummaries([
+        { index: 2, headings: ['Results'], summary: 'It worked.', key_points: ['Fast', 'Cheap'] }
+    ]);
+
+    assert.equal(formatted, 'Part 3 (Results): It worked.\n- Fast\n- Cheap');
+    assert.match(buildReducePrompt([formatted], { title: 'Paper' }), /page "Paper"/);
+});
+
+test('buildCoverage lists only the sections that were summarized', () => {
+    const chunks = [
+        { index: 0, headings: ['Intro'] },
+        { index: 1, headings: ['Method'] },
+        { index: 2, headings: ['Method', 'Results'] }
+    ];
+
+    assert.deepEqual(buildCoverage(chunks, [0, 2]), {
+        chunks: 2,
+        totalChunks: 3,
+        sections: ['Intro', 'Method', 'Results']
+    });
+});
+
+test('estimateReadingTime rounds to whole minutes with a one-minute floor', () => {
+    assert.equal(estimateReadingTime('word '.repeat(690)), '3 min');
+    assert.equal(estimateReadingTime('tiny'), '1 min');
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    markdownToPlainText,
+    renderInline,
+    renderMarkdown,
+    sanitizeLinkUrl,
+    splitBlocks
+} = require('../src/utils/markdownRenderer');
+
+test('renderMarkdown escapes raw HTML before adding markup', () => {
+    const html = renderMarkdown('<img src=x onerror="alert(1)"> and **bold**');
+
+    assert.equal(html, '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; and <strong>bold</strong></p>');
+});
+
+test('links are limited to http(s) and open in a new tab', () => {
+    assert.equal(
+        renderInline('[docs](https://example.com/a?b=1&c=2)'),
+        '<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a>'
+    );
+    assert.equal(renderInline('[click](javascript:void(0))'), 'click');
+    assert.equal(renderInline('[a](javascript:alert(1)) next'), 'a next');
+    assert.match(renderInline('[Tram](https://en.wikipedia.org/wiki/Tram_(vehicle))'), /href="https:\/\/en\.wikipedia\.org\/wiki\/Tram_\(vehicle\)"/);
+    assert.equal(sanitizeLinkUrl('chrome-extension://abc/page.html'), null);
+    assert.match(renderInline('see https://example.com/path.'), /<a href="https:\/\/example\.com\/path" [^>]+>https:\/\/example\.com\/path<\/a>\.$/);
+});
+
+test('inline code keeps emphasis markers literal', () => {
+    assert.equal(renderInline('`a * b * c` and *em*'), '<code>a * b * c</code> and <em>em</em>');
+});
+
+test('headings, nested lists and ordered lists render as blocks', () => {
+    const html = renderMarkdown('## Plan\n- one\n- two\n  - nested\n- three\n\n3. third\n4. fourth');
+
+    assert.equal(html, [
+        '<h2>Plan</h2>',
+        '<ul><li>one</li><li>two<ul><li>nested</li></ul></li><li>three</li></ul>',
+        '<ol start="3"><li>third</li><li>fourth</li></ol>'
+    ].join(''));
+});
+
+test('tables, blockquotes and fenced code render with copy buttons', () => {
+    const html = renderMarkdown('| Name | Score |\n| --- | ---: |\n| Ada | 9 |\n\n> Quoted *text*\n\n```js\nconst x = "<b>";\n```');
+
+    assert.match(html, /<th>Name<\/th><th style="text-align:right">Score<\/th>/);
+    assert.match(html, /<td>Ada<\/td><td style="text-align:right">9<\/td>/);
+    assert.match(html, /<blockquote><p>Quoted <em>text<\/em><\/p><\/blockquote>/);
+    assert.match(html, /<button type="button" class="md-copy"/);
+    assert.match(html, /<code class="language-js">const x = &quot;&lt;b&gt;&quot;;<\/code>/);
+    assert.doesNotMatch(renderMarkdown('```\ncode\n```', { copyButtons: false }), /md-copy/);
+});
+
+test('splitBlocks keeps an unterminated fence together while streaming', () => {
+    assert.deepEqual(splitBlocks('Intro\n\n```py\nprint(1)\n\nprint(2)'), ['Intro', '```py\nprint(1)\n\nprint(2)']);
+    assert.match(renderMarkdown('```py\nprint(1)'), /<code class="language-py">print\(1\)<\/code>/);
+});
+
+test('markdownToPlainText drops syntax but keeps lines, links and code', () => {
+    const text = markdownToPlainText([
+        '## Summary',
+        '',
+        'Some **bold** `code` and a [source](https://example.com) or [bad](javascript:void).',
+        '',
+        '- first',
+        '1. step',
+        '> quoted',
+        '',
+        '| Name | Value |',
+        '| --- | --- |',
+        '| a | 1 |',
+        '```js',
+        'const x = **1**;',
+        '```'
+    ].join('\n'));
+
+    assert.equal(text, [
+        'Summary',
+        '',
+        'Some bold code and a source (https://example.com) or bad.',
+        '',
+        '• first',
+        '1. step',
+        'quoted',
+        '',
+        'Name\tValue',
+        'a\t1',
+        'const x = **1**;'
+    ].join('\n'));
+});
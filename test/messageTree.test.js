@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ROOT_ID,
+    addMessage,
+    createMessageTree,
+    getActivePath,
+    getLeafId,
+    getParentId,
+    getPathTo,
+    getSiblingInfo,
+    restoreMessageTree,
+    serializeMessageTree,
+    switchSibling
+} = require('../src/utils/messageTree');
+
+const question = { id: 1, type: 'user', content: 'What is it?' };
+const answer = { id: 2, type: 'assistant', content: 'A tool.' };
+const followUp = { id: 3, type: 'user', content: 'Who made it?' };
+const followUpAnswer = { id: 4, type: 'assistant', content: 'A lab.' };
+
+function ids(messages) {
+    return messages.map((message) => message.id);
+}
+
+test('createMessageTree chains messages into a single branch', () => {
+    const tree = createMessageTree([question, answer]);
+
+    assert.deepEqual(ids(getActivePath(tree)), [1, 2]);
+    assert.equal(getLeafId(tree), '2');
+    assert.equal(getParentId(tree, 1), ROOT_ID);
+    assert.deepEqual(getSiblingInfo(tree, 2), { index: 1, count: 1 });
+});
+
+test('a regenerated answer becomes a sibling and switching restores each branch', () => {
+    const tree = createMessageTree([question, answer, followUp, followUpAnswer]);
+    addMessage(tree, 1, { id: 5, type: 'assistant', content: 'A library.' });
+
+    assert.deepEqual(ids(getActivePath(tree)), [1, 5]);
+    assert.deepEqual(getSiblingInfo(tree, 5), { index: 2, count: 2 });
+
+    assert.equal(switchSibling(tree, 5, -1), true);
+    assert.deepEqual(ids(getActivePath(tree)), [1, 2, 3, 4]);
+    assert.equal(switchSibling(tree, 2, -1), false);
+    assert.equal(switchSibling(tree, 2, 1), true);
+    assert.deepEqual(ids(getActivePath(tree)), [1, 5]);
+});
+
+test('an edited question branches from the parent of the original', () => {
+    const tree = createMessageTree([question, answer, followUp, followUpAnswer]);
+    addMessage(tree, getParentId(tree, 3), { id: 6, type: 'user', content: 'Who funds it?' });
+
+    assert.deepEqual(ids(getActivePath(tree)), [1, 2, 6]);
+    assert.deepEqual(ids(getPathTo(tree, getParentId(tree, 6))), [1, 2]);
+    assert.deepEqual(getSiblingInfo(tree, 6), { index: 2, count: 2 });
+});
+
+test('serialized trees store off-path messages and restore the same branches', () => {
+    const tree = createMessageTree([question, answer]);
+    addMessage(tree, 1, { id: 5, type: 'assistant', content: 'A library.' });
+    addMessage(tree, 1, { id: 7, type: 'assistant', content: '', streaming: true });
+    switchSibling(tree, 7, -1);
+
+    const saved = JSON.parse(JSON.stringify(serializeMessageTree(tree, (message) => !message.streaming)));
+    assert.deepEqual(ids(saved.offPath), [2]);
+
+    const restored = restoreMessageTree(getActivePath(tree), saved);
+    assert.deepEqual(ids(getActivePath(restored)), [1, 5]);
+    assert.deepEqual(getSiblingInfo(restored, 5), { index: 2, count: 2 });
+});
+
+test('restoreMessageTree falls back to a single branch for old or mismatched threads', () => {
+    assert.deepEqual(ids(getActivePath(restoreMessageTree([question, answer]))), [1, 2]);
+
+    const saved = serializeMessageTree(createMessageTree([question, answer]));
+    assert.deepEqual(ids(getActivePath(restoreMessageTree([question, followUp], saved))), [1, 3]);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createMockProvider,
+    createOpenAICompatibleProvider,
+    createPromptApiProvider,
+    sampleFromSchema,
+    selectProvider
+} = require('../src/utils/modelProviders');
+const { createSessionManager } = require('../src/utils/sessionManager');
+const { parseStructuredResponse } = require('../src/utils/structuredOutput');
+const { BUILTIN_SCHEMAS } = require('../src/utils/toolRegistry');
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+function createMemoryHistoryStore() {
+    const data = new Map();
+    return {
+        async get(key) { return data.get(key) ? [...data.get(key)] : []; },
+        async set(key, history) { data.set(key, history); },
+        async remove(key) { data.delete(key); }
+    };
+}
+
+function sseResponse(events) {
+    const encoder = new TextEncoder();
+    const text = events.map((event) => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+    // Split mid-line to check that partial lines are buffered
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(encoder.encode(text.slice(0, 17)));
+            controller.enqueue(encoder.encode(text.slice(17)));
+            controller.close();
+        }
+    });
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+function createFakeFetch({ models = ['llama3'], events = [] } = {}) {
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        requests.push({ url, init, body: init.body ? JSON.parse(init.body) : null });
+        init.signal?.throwIfAborted();
+        if (url.endsWith('/models')) return Response.json({ data: models.map((id) => ({ id })) });
+        return sseResponse(events);
+    };
+    return { fetch, requests };
+}
+
+const delta = (content) => ({ choices: [{ delta: { content } }] });
+
+test('mock provider streams a deterministic reply and remembers the turn', async () => {
+    const provider = createMockProvider();
+    const session = await provider.create({ initialPrompts: [{ role: 'system', content: 'Be brief.' }] });
+
+    const chunks = await collect(session.promptStreaming('What is this page about?'));
+    assert.equal(chunks.join(''), 'Mock answer to: What is this page about?');
+    assert.ok(chunks.length > 1);
+
+    await session.prompt('And who wrote it?');
+    assert.deepEqual(provider.calls[1].messages.map((message) => message.role), ['system', 'user', 'assistant', 'user']);
+
+    const clone = await session.clone();
+    await session.append([{ role: 'user', content: 'Only in the original.' }]);
+    assert.ok(session.inputUsage > clone.inputUsage);
+});
+
+test('mock structured answers satisfy every built-in schema', async () => {
+    const provider = createMockProvider();
+    const session = await provider.create();
+
+    for (const [toolId, schema] of Object.entries(BUILTIN_SCHEMAS)) {
+        const raw = await session.prompt('Analyze the page.', { responseConstraint: schema });
+        assert.ok(parseStructuredResponse(raw, schema).ok, `${toolId} sample should validate`);
+    }
+    assert.deepEqual(sampleFromSchema({ type: 'array', items: { type: 'string', enum: ['a', 'b'] }, minItems: 2 }), ['a', 'a']);
+});
+
+test('a cancelled stream stops with an AbortError and is not remembered', async () => {
+    const provider = createMockProvider({ respond: () => 'one two three four five' });
+    const session = await provider.create();
+    const controller = new AbortController();
+    const before = session.inputUsage;
+
+    const received = [];
+    await assert.rejects(async () => {
+        for await (const chunk of session.promptStreaming('Count.', { signal: controller.signal })) {
+            received.push(chunk);
+            controller.abort();
+        }
+    }, { name: 'AbortError' });
+
+    assert.deepEqual(received, ['one ']);
+    assert.equal(session.inputUsage, before);
+});
+
+test('sessions refuse prompts larger than the input quota', async () => {
+    const provider = createMockProvider({ inputQuota: 10 });
+    const session = await provider.create();
+
+    await assert.rejects(() => session.prompt('x'.repeat(100)), { name: 'QuotaExceededError' });
+});
+
+test('mock provider reports a download before the first session', async () => {
+    const provider = createMockProvider({ availability: 'downloadable' });
+    const progress = [];
+
+    await provider.create({ monitor: (m) => m.addEventListener('downloadprogress', (e) => progress.push(e.loaded / e.total)) });
+
+    assert.deepEqual(progress, [1]);
+    assert.equal(await provider.availability(), 'available');
+});
+
+test('OpenAI-compatible provider streams chat completions with schema, images and sampling', async () => {
+    const { fetch, requests } = createFakeFetch({ events: [delta('Hel'), delta('lo'), { choices: [{ delta: {} }] }, '[DONE]'] });
+    const provider = createOpenAICompatibleProvider({ url: 'http://localhost:11434/v1/', apiKey: 'secret', fetch });
+
+    assert.equal(await provider.availability(), 'available');
+    const session = await provider.create({ initialPrompts: [{ role: 'system', content: 'Ground.' }], temperature: 0.2, topK: 5 });
+    const image = new Blob([new Uint8Array([1, 2, 3])], { type: 'image/jpeg' });
+    const reply = await session.prompt([{ role: 'user', content: [{ type: 'text', value: 'Describe.' }, { type: 'image', value: image }] }], {
+        responseConstraint: { type: 'object' }
+    });
+
+    assert.equal(reply, 'Hello');
+    const request = requests.at(-1);
+    assert.equal(request.url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(request.init.headers.Authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'llama3');
+    assert.equal(request.body.stream, true);
+    assert.equal(request.body.temperature, 0.2);
+    assert.equal(request.body.top_k, 5);
+    assert.deepEqual(request.body.response_format.json_schema.schema, { type: 'object' });
+    assert.deepEqual(request.body.messages[1].content, [
+        { type: 'text', text: 'Describe.' },
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AQID' } }
+    ]);
+});
+
+test('OpenAI-compatible provider surfaces stream errors and unreachable servers', async () => {
+    const { fetch } = createFakeFetch({ events: [delta('Par'), { error: { message: 'model crashed' } }] });
+    const provider = createOpenAICompatibleProvider({ url: 'http://localhost:8080/v1', model: 'qwen', fetch });
+    const session = await provider.create();
+    await assert.rejects(() => session.prompt('Hi'), /model crashed/);
+
+    const offline = createOpenAICompatibleProvider({ url: 'http://localhost:9/v1', fetch: async () => { throw new TypeError('Failed to fetch'); } });
+    assert.equal(await offline.availability(), 'unavailable');
+    assert.equal(createOpenAICompatibleProvider({ url: '' }).isSupported(), false);
+});
+
+test('selectProvider honours the preference and otherwise takes the first usable backend', async () => {
+    const promptApi = createPromptApiProvider({});
+    const local = createMockProvider();
+
+    assert.equal((await selectProvider([promptApi, local], 'auto')).provider, local);
+    assert.deepEqual(await selectProvider([promptApi, local], 'prompt-api'), { provider: promptApi, usable: false });
+    assert.deepEqual(await selectProvider([promptApi], 'auto'), { provider: promptApi, usable: false });
+});
+
+test('the conversation flow runs end to end on the mock provider', async () => {
+    const provider = createMockProvider();
+    const manager = createSessionManager({
+        historyStore: createMemoryHistoryStore(),
+        createSession: (options) => provider.create(options)
+    });
+    const grounding = { tabId: 1, contextKey: 'page', initialPrompts: [{ role: 'system', content: 'Page text.' }] };
+
+    const { key, session } = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    const first = (await collect(session.promptStreaming('First question?'))).join('');
+    await manager.recordTurn(key, 'First question?', first);
+    await session.prompt('Second question?');
+
+    // Regenerating the second answer rewinds the conversation to after the first turn
+    await manager.replaceHistory(key, await manager.getHistory(key));
+    const rewound = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    await rewound.session.prompt('Second question, again?');
+
+    assert.deepEqual(provider.calls.at(-1).messages.map((message) => message.content), [
+        'Page text.',
+        'First question?',
+        'Mock answer to: First question?',
+        'Second question, again?'
+    ]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_SOURCES,
+    buildCompareSchema,
+    buildMultiSourcePrompt,
+    extractCitations,
+    renderMultiSourceContext,
+    sourceCharBudget,
+    toSources
+} = require('../src/utils/multiSource');
+const { validateAgainstSchema } = require('../src/utils/structuredOutput');
+
+const PAGES = [
+    { tabId: 11, title: 'Rates rise', url: 'https://a.example/rates', content: 'The bank raised rates.' },
+    { tabId: 12, title: '', url: 'https://b.example/rates', content: 'Rates stayed flat.', truncated: true }
+];
+
+test('toSources labels tabs in pick order and caps the count', () => {
+    const sources = toSources(PAGES);
+    assert.deepEqual(sources.map((source) => [source.id, source.tabId, source.title]), [
+        ['S1', 11, 'Rates rise'],
+        ['S2', 12, 'https://b.example/rates']
+    ]);
+    assert.equal(sources[1].truncated, true);
+
+    const many = Array.from({ length: MAX_SOURCES + 2 }, (_, index) => ({ tabId: index, title: `Tab ${index}` }));
+    assert.equal(toSources(many).length, MAX_SOURCES);
+});
+
+test('sourceCharBudget splits the budget but keeps a floor per tab', () => {
+    assert.equal(sourceCharBudget(2, 6000), 3000);
+    assert.equal(sourceCharBudget(10, 6000), 800);
+});
+
+test('renderMultiSourceContext heads each tab with its label and URL', () => {
+    const context = renderMultiSourceContext(toSources(PAGES));
+    assert.match(context, /^## \[S1\] Rates rise\nURL: https:\/\/a\.example\/rates\n\nThe bank raised rates\./);
+    assert.match(context, /---\n\n## \[S2\]/);
+});
+
+test('buildMultiSourcePrompt asks for citations only when there are sources', () => {
+    const prompt = buildMultiSourcePrompt('What happened to rates?', toSources(PAGES));
+    assert.ok(prompt.startsWith('What happened to rates?'));
+    assert.match(prompt, /\[S1\] Rates rise/);
+    assert.match(prompt, /Cite the sources/);
+    assert.equal(buildMultiSourcePrompt('Plain', []), 'Plain');
+});
+
+test('extractCitations returns cited sources in order, including grouped citations', () => {
+    const sources = toSources([...PAGES, { tabId: 13, title: 'Third' }]);
+    const cited = extractCitations('Flat [S2]. Raised [S1, S2]. Unknown [S9].', sources);
+    assert.deepEqual(cited.map((source) => source.id), ['S2', 'S1']);
+});
+
+test('buildCompareSchema restricts source fields to the picked tabs', () => {
+    const schema = buildCompareSchema(['S1', 'S2']);
+    const valid = {
+        topic: 'Interest rates',
+        positions: [{ source: 'S1', position: 'Up' }, { source: 'S2', position: 'Flat' }],
+        agreements: [],
+        contradictions: [{ point: 'Direction', sides: [{ source: 'S1', claim: 'Up' }, { source: 'S2', claim: 'Flat' }] }]
+    };
+    assert.deepEqual(validateAgainstSchema(valid, schema), []);
+
+    const errors = validateAgainstSchema({ ...valid, positions: [{ source: 'S3', position: 'Down' }] }, schema);
+    assert.deepEqual(errors, ['$.positions[0].source should be one of: S1, S2']);
+});
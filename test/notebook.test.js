@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildEntityIndex, buildNotebookContext, createNotebook, notebookToCsv, notebookToJson } = require('../src/utils/notebook');
+const { createMemoryStore } = require('../src/utils/resultCache');
+
+async function createFilledNotebook() {
+    let clock = 0;
+    const notebook = createNotebook({ store: createMemoryStore(), now: () => ++clock });
+    await notebook.addResult({
+        url: 'https://news.example/tram',
+        title: 'Tram line approved',
+        feature: 'ENTITIES',
+        data: { people: ['Ada Lovelace', ' ada  lovelace '], organizations: ['City Council'], locations: ['Vienna'] }
+    });
+    await notebook.addResult({
+        url: 'https://blog.example/transit',
+        title: 'Transit plans',
+        feature: 'ENTITIES',
+        data: { people: ['ADA LOVELACE', 'Grace Hopper'], organizations: [], locations: ['Vienna'] }
+    });
+    await notebook.addResult({
+        url: 'https://news.example/tram#comments',
+        title: 'Tram line approved',
+        feature: 'TLDR',
+        data: { summary: 'The council approved a new tram line.', takeaways: ['Opens in 2030', '=SUM(A1)'], reading_time: '3 min', sentiment: 'Positive' }
+    });
+    return notebook;
+}
+
+test('TL;DR and Entities runs on the same page merge into one record', async () => {
+    const notebook = await createFilledNotebook();
+    const pages = await notebook.listPages();
+
+    assert.deepEqual(pages.map((page) => page.title), ['Tram line approved', 'Transit plans']);
+    assert.deepEqual(pages[0].entities.people, ['Ada Lovelace']);
+    assert.equal(pages[0].summary, 'The council approved a new tram line.');
+    assert.equal(pages[0].addedAt, 1);
+    assert.equal(await notebook.addResult({ url: 'https://example.com', feature: 'FACT_CHECK', data: {} }), null);
+    assert.equal(await notebook.addResult({ url: '', feature: 'TLDR', data: {} }), null);
+
+    await notebook.removePage('https://blog.example/transit');
+    assert.equal((await notebook.listPages()).length, 1);
+});
+
+test('entities are ranked by how many pages mention them', async () => {
+    const index = buildEntityIndex(await (await createFilledNotebook()).listPages());
+
+    assert.deepEqual(index.slice(0, 2).map(({ name, type, count }) => ({ name, type, count })), [
+        { name: 'Ada Lovelace', type: 'person', count: 2 },
+        { name: 'Vienna', type: 'location', count: 2 }
+    ]);
+    assert.deepEqual(index[0].pages.map((page) => page.title), ['Tram line approved', 'Transit plans']);
+    assert.equal(index.find((entity) => entity.name === 'Grace Hopper').count, 1);
+});
+
+test('notebook context lists entities and fits the newest pages into the budget', async () => {
+    const pages = await (await createFilledNotebook()).listPages();
+    const context = buildNotebookContext(pages);
+
+    assert.match(context, /2 web pages/);
+    assert.match(context, /- People: Ada Lovelace \(2\), Grace Hopper \(1\)/);
+    assert.match(context, /### Tram line approved\nURL: https:\/\/news\.example\/tram#comments\nSummary: The council/);
+
+    const trimmed = buildNotebookContext(pages, { maxChars: 100 });
+    assert.match(trimmed, /### Tram line approved/);
+    assert.doesNotMatch(trimmed, /### Transit plans/);
+    assert.match(trimmed, /\(1 older pages left out\)/);
+});
+
+test('exports quote CSV fields and keep page links in JSON', async () => {
+    const pages = await (await createFilledNotebook()).listPages();
+    const csv = notebookToCsv(pages).split('\r\n');
+
+    assert.equal(csv[0], 'type,value,pages_mentioning,page_title,page_url,updated_at');
+    assert.ok(csv.some((row) => row.startsWith('person,Ada Lovelace,2,Tram line approved,https://news.example/tram#comments,')));
+    assert.ok(csv.some((row) => row.startsWith("takeaway,'=SUM(A1),,")));
+
+    const json = JSON.parse(notebookToJson(pages, Date.UTC(2026, 0, 2)));
+    assert.equal(json.exportedAt, '2026-01-02T00:00:00.000Z');
+    assert.deepEqual(json.entities[0], { name: 'Ada Lovelace', type: 'person', count: 2, pages: ['https://news.example/tram#comments', 'https://blog.example/transit'] });
+});
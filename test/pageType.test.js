@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildPageTypePrompt,
+    classifyPageSignals,
+    mergePageTypes,
+    shouldAskModel
+} = require('../src/utils/pageType');
+
+test('schema.org types win and prefer the most specific type', () => {
+    assert.deepEqual(classifyPageSignals({ jsonLdTypes: ['BlogPosting', 'Recipe'] }), { type: 'recipe', confidence: 0.95, source: 'schema' });
+    assert.equal(classifyPageSignals({ jsonLdTypes: ['http://schema.org/Product'] }).type, 'product');
+    assert.equal(classifyPageSignals({ jsonLdTypes: ['WebPage', 'NewsArticle'] }).type, 'article');
+});
+
+test('DOM heuristics recognize products, papers and tutorials', () => {
+    const product = classifyPageSignals({ url: 'https://shop.example/item/42', ogType: 'product', priceMarkers: 2, cartButtons: 1 });
+    assert.equal(product.type, 'product');
+    assert.equal(product.confidence, 0.88);
+    assert.equal(shouldAskModel(product), false);
+
+    const paper = classifyPageSignals({ url: 'https://arxiv.org/abs/2401.00001', hasAbstract: true, hasReferences: true });
+    assert.equal(paper.type, 'research');
+
+    const tutorial = classifyPageSignals({ url: 'https://dev.example/docs/getting-started', stepHeadings: 4, codeBlocks: 3 });
+    assert.equal(tutorial.type, 'tutorial');
+});
+
+test('weak or conflicting evidence is low confidence', () => {
+    const general = classifyPageSignals({ url: 'https://example.com/', wordCount: 120 });
+    assert.deepEqual(general, { type: 'general', confidence: 0.5, source: 'heuristic' });
+    assert.equal(shouldAskModel(general), true);
+
+    const mixed = classifyPageSignals({ url: 'https://example.com/post', ogType: 'article', publishedTime: true, priceMarkers: 1, cartButtons: 1 });
+    assert.equal(mixed.type, 'product');
+    assert.ok(mixed.confidence < 0.6);
+});
+
+test('mergePageTypes only lets a more confident, valid model answer override', () => {
+    const heuristic = { type: 'article', confidence: 0.5, source: 'heuristic' };
+    assert.deepEqual(mergePageTypes(heuristic, { type: 'recipe', confidence: 0.8 }), { type: 'recipe', confidence: 0.8, source: 'model' });
+    assert.equal(mergePageTypes(heuristic, { type: 'recipe', confidence: 0.4 }), heuristic);
+    assert.equal(mergePageTypes(heuristic, { type: 'forum', confidence: 0.9 }), heuristic);
+    assert.equal(mergePageTypes(heuristic, null), heuristic);
+});
+
+test('buildPageTypePrompt lists the types and mentions a non-general guess', () => {
+    const prompt = buildPageTypePrompt({ title: 'Pancakes', url: 'https://x.example', content: 'Flour', guess: { type: 'recipe' } });
+    assert.match(prompt, /article, tutorial, research, product, recipe, general/);
+    assert.match(prompt, /guessed "recipe"/);
+    assert.doesNotMatch(buildPageTypePrompt({ guess: { type: 'general' } }), /guessed/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const {
+    buildPdfDocument,
+    collectPdfSignals,
+    extractContentText,
+    extractPdfText,
+    isPdfUrl,
+    parseToUnicode
+} = require('../src/utils/pdfText');
+
+// Assembles a minimal PDF; byte offsets don't matter because the extractor scans for objects
+function buildPdf(objects, trailer = '/Root 1 0 R') {
+    const body = objects.map((object, index) => {
+        const number = index + 1;
+        if (typeof object === 'string') return `${number} 0 obj\n${object}\nendobj\n`;
+        const data = object.compress ? zlib.deflateSync(Buffer.from(object.stream, 'latin1')) : Buffer.from(object.stream, 'latin1');
+        const filter = object.compress ? ' /Filter /FlateDecode' : '';
+        return Buffer.concat([
+            Buffer.from(`${number} 0 obj\n<< /Length ${data.length}${filter}${object.dict || ''} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream\nendobj\n', 'latin1')
+        ]);
+    });
+    const parts = ['%PDF-1.7\n', ...body, `trailer\n<< ${trailer} >>\n%%EOF\n`];
+    return new Uint8Array(Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')))));
+}
+
+test('isPdfUrl recognizes PDF paths and arXiv PDF links', () => {
+    assert.equal(isPdfUrl('https://example.com/papers/study.PDF?download=1'), true);
+    assert.equal(isPdfUrl('https://arxiv.org/pdf/2401.00001v2'), true);
+    assert.equal(isPdfUrl('https://arxiv.org/abs/2401.00001'), false);
+    assert.equal(isPdfUrl('chrome://settings/file.pdf'), false);
+    assert.equal(isPdfUrl('file:///home/user/study.pdf'), false);
+    assert.equal(isPdfUrl('not a url'), false);
+});
+
+test('extractContentText follows text operators, kerning spaces and line moves', () => {
+    const lines = extractContentText('BT /F1 12 Tf 72 720 Td (Hello \\(world\\)) Tj 0 -14 Td [(Split)-400(words)] TJ T* <414243> Tj ET');
+    assert.deepEqual(lines, ['Hello (world)', 'Split words', 'ABC']);
+});
+
+test('parseToUnicode maps single codes and ranges', () => {
+    const { codeBytes, map } = parseToUnicode(`
+        1 begincodespacerange <0000> <FFFF> endcodespacerange
+        2 beginbfchar <0001> <0048> <0002> <FB01> endbfchar
+        1 beginbfrange <0010> <0012> <0061> endbfrange
+        1 beginbfrange <0020> <0021> [<0058> <0059>] endbfrange`);
+    assert.equal(codeBytes, 2);
+    assert.equal(map.get(1), 'H');
+    assert.equal(map.get(2), 'ﬁ');
+    assert.equal(map.get(0x12), 'c');
+    assert.equal(map.get(0x21), 'Y');
+});
+
+test('extractPdfText reads compressed pages in page-tree order with ToUnicode fonts', async () => {
+    const cmap = '/CIDInit /ProcSet findresource begin 1 begincodespacerange <0000> <FFFF> endcodespacerange 1 beginbfrange <0001> <001A> <0061> endbfrange end';
+    const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [4 0 R 3 0 R] /Count 2 /Resources << /Font << /F1 7 0 R /F2 8 0 R >> >> >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+        '<< /Type /Page /Parent 2 0 R /Contents [6 0 R] >>',
+        { stream: 'BT /F1 11 Tf 72 700 Td (Second page text.) Tj ET', compress: true },
+        { stream: 'BT /F2 11 Tf 72 700 Td <00080005000C000C000F> Tj ET', compress: true },
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /ToUnicode 9 0 R >>',
+        { stream: cmap, compress: true },
+        '<< /Title <FEFF005400690074006C0065> >>'
+    ], '/Root 1 0 R /Info 10 0 R');
+
+    const { title, pages } = await extractPdfText(pdf);
+    assert.equal(title, 'Title');
+    assert.deepEqual(pages, [['hello'], ['Second page text.']]);
+});
+
+test('extractPdfText rejects files that are not PDFs', async () => {
+    await assert.rejects(() => extractPdfText(new Uint8Array(Buffer.from('<html></html>'))), /not a PDF/);
+});
+
+test('extractPdfText reports encrypted PDFs instead of reading garbage', async () => {
+    const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+        { stream: 'BT /F1 11 Tf (\x8a\x11\x93) Tj ET' },
+        '<< /Filter /Standard /V 2 /R 3 /O <00> /U <00> /P -4 >>'
+    ], '/Root 1 0 R /Encrypt 5 0 R');
+
+    await assert.rejects(() => extractPdfText(pdf), /encrypted PDF/);
+});
+
+test('buildPdfDocument finds section headings and rejoins hyphenated lines', () => {
+    const doc = buildPdfDocument({
+        url: 'https://arxiv.org/pdf/2401.00001',
+        pages: [
+            ['A Study of Things', 'Abstract', 'We study how things behave when exam-', 'ined closely over a long period of time.', '1'],
+            ['1 Introduction', 'Things are everywhere and nobody has looked at them yet in this way at all.', 'References', '[1] Someone. A paper.']
+        ]
+    });
+
+    assert.equal(doc.title, 'A Study of Things');
+    assert.deepEqual(doc.outline.map((entry) => entry.text), ['Abstract', '1 Introduction', 'References']);
+    assert.ok(doc.blocks.some((block) => block.text === 'We study how things behave when examined closely over a long period of time.'));
+    assert.ok(!doc.blocks.some((block) => block.text === '1'));
+
+    const signals = collectPdfSignals(doc);
+    assert.equal(signals.hasAbstract, true);
+    assert.equal(signals.hasReferences, true);
+});
@@ -3,6 +3,7 @@ const assert = require('node:assert/strict');
 
 const {
     buildSessionOptions,
+    getParameterLimits,
     validateParameters
 } = require('../src/utils/promptApiSession');
 
@@ -62,4 +63,12 @@ test('buildSessionOptions uses nested API defaults when top-level defaults are a
         temperature: 0.5,
         topK: 4
     });
-});
\ No newline at end of file
+});
+
+test('getParameterLimits reads flat and nested limits with fallbacks', () => {
+    assert.deepEqual(getParameterLimits({ defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 128 }), {
+        temperature: { min: 0, max: 2, default: 1 },
+        topK: { min: 1, max: 128, default: 3 }
+    });
+    assert.deepEqual(getParameterLimits(null).topK, { min: 1, max: 8, default: 3 });
+});
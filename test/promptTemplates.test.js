@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PAGE_VARIABLE_CHARS,
+    buildSlashCommands,
+    fillTemplate,
+    loadTemplates,
+    matchSlashCommands,
+    normalizeTemplate,
+    parseSlashCommand,
+    saveTemplates,
+    validateTemplate
+} = require('../src/utils/promptTemplates');
+const { BUILTIN_TOOLS } = require('../src/utils/toolRegistry');
+
+test('normalizeTemplate derives the command from the name', () => {
+    const template = normalizeTemplate({ name: " Explain like I'm 5 ", prompt: ' Explain {{selection}} simply. ' });
+
+    assert.match(template.id, /^tpl_/);
+    assert.equal(template.command, 'explain-like-i-m-5');
+    assert.equal(template.prompt, 'Explain {{selection}} simply.');
+    assert.equal(normalizeTemplate({ name: 'Any', command: '/Key Points' }).command, 'key-points');
+});
+
+test('validateTemplate rejects tool commands and duplicates', () => {
+    const existing = [normalizeTemplate({ id: 'tpl_a', name: 'Questions', prompt: 'List open questions.' })];
+
+    assert.deepEqual(validateTemplate(normalizeTemplate({ name: 'TL;DR', command: 'tldr', prompt: 'x' }), existing), ['/tldr is already used by a tool']);
+    assert.deepEqual(validateTemplate(normalizeTemplate({ name: 'Questions', prompt: 'x' }), existing), ['/questions is already used by another template']);
+    assert.deepEqual(validateTemplate(existing[0], existing), []);
+    assert.deepEqual(validateTemplate(normalizeTemplate({}), []), ['Name is required', 'Prompt is required', 'Command is required']);
+});
+
+test('parseSlashCommand splits the command from the typed input', () => {
+    assert.deepEqual(parseSlashCommand('/TLDR'), { command: 'tldr', input: '' });
+    assert.deepEqual(parseSlashCommand('/translate  into Spanish\nplease'), { command: 'translate', input: 'into Spanish\nplease' });
+    assert.equal(parseSlashCommand('What does /tldr do?'), null);
+    assert.equal(parseSlashCommand('/'), null);
+});
+
+test('slash commands list available tools before templates and match by prefix', () => {
+    const tools = BUILTIN_TOOLS.filter((tool) => !tool.pageTypes);
+    const commands = buildSlashCommands(tools, [normalizeTemplate({ name: 'Translate', prompt: 'Translate {{selection}} into {{input}}.' })]);
+
+    assert.deepEqual(commands.map((entry) => entry.command), ['tldr', 'factcheck', 'entities', 'image', 'translate']);
+    assert.equal(commands[0].tool.id, 'TLDR');
+    assert.deepEqual(matchSlashCommands('/t', commands).map((entry) => entry.command), ['tldr', 'translate']);
+    assert.equal(matchSlashCommands('/', commands).length, 5);
+    assert.deepEqual(matchSlashCommands('/tldr now', commands), []);
+    assert.deepEqual(matchSlashCommands('tl', commands), []);
+});
+
+test('fillTemplate fills page variables and places the typed input', () => {
+    const values = { title: 'Post', url: 'https://example.com/post', selection: 'a quote', page: 'x'.repeat(PAGE_VARIABLE_CHARS + 10) };
+
+    assert.equal(
+        fillTemplate({ prompt: 'Translate "{{selection}}" from {{title}} into {{input}}.' }, { ...values, input: 'French' }),
+        'Translate "a quote" from Post into French.'
+    );
+    assert.equal(fillTemplate({ prompt: 'Critique {{url}}.' }, { ...values, input: 'Be harsh.' }), 'Critique https://example.com/post.\n\nBe harsh.');
+    assert.equal(fillTemplate({ prompt: '{{page}}' }, values).length, PAGE_VARIABLE_CHARS + 1);
+});
+
+test('saveTemplates stores normalized templates that loadTemplates reads back', async () => {
+    const data = {};
+    const storage = {
+        async get(key) { return { [key]: data[key] }; },
+        async set(values) { Object.assign(data, values); }
+    };
+
+    assert.deepEqual(await loadTemplates(storage), []);
+    await saveTemplates(storage, [{ id: 'tpl_1', name: 'Key points', prompt: 'List the key points.' }]);
+    assert.deepEqual(await loadTemplates(storage), [{ id: 'tpl_1', name: 'Key points', command: 'key-points', prompt: 'List the key points.' }]);
+});
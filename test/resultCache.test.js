@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCacheKey, createMemoryStore, createResultCache, selectLruEvictions, stableStringify } = require('../src/utils/resultCache');
+
+test('cache keys are stable across key order and change with content or settings', async () => {
+    const base = await buildCacheKey({ toolId: 'TLDR', content: 'Page text', variant: { topK: 3, temperature: 1 } });
+    const reordered = await buildCacheKey({ toolId: 'TLDR', content: 'Page text', variant: { temperature: 1, topK: 3 } });
+    const edited = await buildCacheKey({ toolId: 'TLDR', content: 'Page text, edited', variant: { topK: 3, temperature: 1 } });
+    const retuned = await buildCacheKey({ toolId: 'TLDR', content: 'Page text', variant: { topK: 3, temperature: 0.2 } });
+
+    assert.equal(base.key, reordered.key);
+    assert.ok(base.key.startsWith('TLDR:'));
+    assert.notEqual(base.contentHash, edited.contentHash);
+    assert.equal(base.contentHash, retuned.contentHash);
+    assert.notEqual(base.key, retuned.key);
+    assert.equal(stableStringify({ b: [1, { d: null, c: undefined }], a: 'x' }), '{"a":"x","b":[1,{"d":null}]}');
+});
+
+test('results expire after the TTL', async () => {
+    let clock = 0;
+    const store = createMemoryStore();
+    const cache = createResultCache({ store, ttlMs: 100, now: () => clock });
+
+    await cache.set('TLDR:a:1', '{"summary":"x"}');
+    clock = 99;
+    assert.equal((await cache.get('TLDR:a:1')).value, '{"summary":"x"}');
+    clock = 100;
+    assert.equal(await cache.get('TLDR:a:1'), null);
+    assert.deepEqual(await store.getAll(), []);
+});
+
+test('the least recently used results are evicted past the size cap', async () => {
+    let clock = 0;
+    const store = createMemoryStore();
+    const value = 'x'.repeat(200);
+    const probe = createResultCache({ store: createMemoryStore() });
+    const entrySize = (await probe.set('TLDR:a:1', value)).size;
+    const cache = createResultCache({ store, maxBytes: entrySize * 2 + 10, now: () => ++clock });
+
+    await cache.set('TLDR:a:1', value);
+    await cache.set('TLDR:a:2', value);
+    await cache.get('TLDR:a:1');
+    await cache.set('TLDR:a:3', value);
+
+    assert.deepEqual((await store.getAll()).map((entry) => entry.key).sort(), ['TLDR:a:1', 'TLDR:a:3']);
+    assert.equal(await cache.set('TLDR:a:4', 'x'.repeat(entrySize * 3)), null);
+    assert.deepEqual(selectLruEvictions([{ key: 'a', size: 5, lastUsedAt: 2 }, { key: 'b', size: 5, lastUsedAt: 1 }], 5), ['b']);
+});
+
+test('a result for changed page content replaces the outdated one', async () => {
+    const store = createMemoryStore();
+    const cache = createResultCache({ store });
+    const url = 'https://example.com/article#comments';
+
+    const before = await buildCacheKey({ toolId: 'ENTITIES', content: 'Version one' });
+    const summary = await buildCacheKey({ toolId: 'TLDR', content: 'Version one' });
+    const after = await buildCacheKey({ toolId: 'ENTITIES', content: 'Version two' });
+
+    await cache.set(before.key, '{}', { toolId: 'ENTITIES', scope: url, contentHash: before.contentHash });
+    await cache.set(summary.key, '{}', { toolId: 'TLDR', scope: url, contentHash: summary.contentHash });
+    await cache.set(after.key, '{}', { toolId: 'ENTITIES', scope: 'https://example.com/article', contentHash: after.contentHash });
+
+    assert.equal(await cache.get(before.key), null);
+    assert.ok(await cache.get(summary.key));
+    assert.ok(await cache.get(after.key));
+});
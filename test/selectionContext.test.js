@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_SELECTION_CHARS,
+    SELECTION_ACTIONS,
+    buildSelectionMenuId,
+    buildSelectionPrompt,
+    normalizeSelection,
+    parseSelectionMenuId,
+    renderSelectionActionPrompt
+} = require('../src/utils/selectionContext');
+
+test('selection menu ids round-trip to their actions', () => {
+    SELECTION_ACTIONS.forEach((action) => {
+        assert.equal(parseSelectionMenuId(buildSelectionMenuId(action.id)), action);
+    });
+    assert.equal(parseSelectionMenuId('aura-selection'), null);
+    assert.equal(parseSelectionMenuId('other:explain'), null);
+});
+
+test('the translate action targets the language it is given', () => {
+    const translate = SELECTION_ACTIONS.find((action) => action.id === 'translate');
+    assert.equal(renderSelectionActionPrompt(translate.prompt, { language: 'German' }), 'Translate the selected text into German.');
+    assert.equal(renderSelectionActionPrompt('Summarize the selected text.', { language: 'German' }), 'Summarize the selected text.');
+});
+
+test('normalizeSelection drops empty selections and redundant surrounding text', () => {
+    assert.equal(normalizeSelection({ text: '   \n ' }), null);
+    assert.deepEqual(normalizeSelection({ text: ' Hello   world ', surrounding: 'Hello world' }), {
+        text: 'Hello world',
+        surrounding: '',
+        url: '',
+        title: ''
+    });
+});
+
+test('normalizeSelection truncates very long selections', () => {
+    const selection = normalizeSelection({ text: 'a'.repeat(MAX_SELECTION_CHARS + 50) });
+    assert.equal(selection.text.length, MAX_SELECTION_CHARS + 1);
+    assert.ok(selection.text.endsWith('…'));
+});
+
+test('buildSelectionPrompt puts the passage before the question and leaves plain prompts alone', () => {
+    const prompt = buildSelectionPrompt('Why?', {
+        text: 'Rates rose in March.',
+        surrounding: 'After a long pause, rates rose in March. Markets fell.'
+    });
+
+    assert.match(prompt, /highlighted this passage[\s\S]*Rates rose in March\./);
+    assert.match(prompt, /After a long pause/);
+    assert.ok(prompt.endsWith('Why?'));
+    assert.equal(buildSelectionPrompt('Why?', null), 'Why?');
+});
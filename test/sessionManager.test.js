@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildSessionKey,
+    createSessionManager
+} = require('../src/utils/sessionManager');
+
+function createFakeModel({ canAppend = false } = {}) {
+    const created = [];
+
+    function makeSession(options) {
+        const session = {
+            options,
+            destroyed: false,
+            clones: 0,
+            destroy() { session.destroyed = true; },
+            async clone() {
+                session.clones++;
+                return makeSession({ ...options, clonedFrom: session });
+            }
+        };
+        if (canAppend) {
+            session.appended = [];
+            session.append = async (messages) => { session.appended.push(...messages); };
+        }
+        created.push(session);
+        return session;
+    }
+
+    return {
+        created,
+        createSession: async (options) => makeSession(options)
+    };
+}
+
+function createMemoryHistoryStore(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    return {
+        data,
+        async get(key) { return data.get(key) ? [...data.get(key)] : []; },
+        async set(key, history) { data.set(key, history); },
+        async remove(key) { data.delete(key); }
+    };
+}
+
+const grounding = {
+    tabId: 7,
+    contextKey: 'page-hash',
+    initialPrompts: [{ role: 'system', content: 'Ground on the page.' }]
+};
+
+test('acquire reuses the live session for follow-up turns', async () => {
+    const model = createFakeModel();
+    const manager = createSessionManager({ createSession: model.createSession });
+
+    const first = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    const second = await manager.acquire({ ...grounding, conversationId: 'c1' });
+
+    assert.equal(first.session, second.session);
+    assert.equal(first.key, buildSessionKey(7, 'c1'));
+});
+
+test('conversations clone from a shared page-grounded base session', async () => {
+    const model = createFakeModel();
+    const manager = createSessionManager({ createSession: model.createSession });
+
+    const a = await manager.acquire({ ...grounding, conversationId: 'a' });
+    const b = await manager.acquire({ ...grounding, conversationId: 'b' });
+
+    assert.notEqual(a.session, b.session);
+    assert.equal(a.session.options.clonedFrom, b.session.options.clonedFrom);
+    assert.equal(a.session.options.clonedFrom.clones, 2);
+});
+
+test('acquire restores a conversation from stored history after a restart', async () => {
+    const model = createFakeModel();
+    const history = [
+        { role: 'user', content: 'Who built it?' },
+        { role: 'assistant', content: 'A research lab.' }
+    ];
+    const historyStore = createMemoryHistoryStore({ [buildSessionKey(7, 'c1')]: history });
+    const manager = createSessionManager({ createSession: model.createSession, historyStore });
+
+    const { session, restored } = await manager.acquire({ ...grounding, conversationId: 'c1' });
+
+    assert.equal(restored, true);
+    assert.deepEqual(session.options.initialPrompts, [...grounding.initialPrompts, ...history]);
+});
+
+test('recordTurn appends the exchange to the history store', async () => {
+    const model = createFakeModel();
+    const historyStore = createMemoryHistoryStore();
+    const manager = createSessionManager({ createSession: model.createSession, historyStore });
+
+    const { key } = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    await manager.recordTurn(key, 'Question?', 'Answer.');
+
+    assert.deepEqual(historyStore.data.get(key), [
+        { role: 'user', content: 'Question?' },
+        { role: 'assistant', content: 'Answer.' }
+    ]);
+});
+
+test('evictIdle destroys sessions that have not been used within the timeout', async () => {
+    const model = createFakeModel();
+    let clock = 0;
+    const manager = createSessionManager({
+        createSession: model.createSession,
+        idleTimeoutMs: 1000,
+        now: () => clock
+    });
+
+    const { session } = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    clock = 500;
+    assert.equal(manager.evictIdle(), 0);
+
+    clock = 2000;
+    assert.equal(manager.evictIdle(), 2);
+    assert.equal(session.destroyed, true);
+
+    const next = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    assert.notEqual(next.session, session);
+});
+
+test('acquire rebuilds the conversation when the page context changes', async () => {
+    const model = createFakeModel();
+    const manager = createSessionManager({ createSession: model.createSession });
+
+    const before = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    const after = await manager.acquire({ ...grounding, contextKey: 'other-page', conversationId: 'c1' });
+
+    assert.notEqual(before.session, after.session);
+    assert.equal(before.session.destroyed, true);
+});
+
+test('rewinding a conversation clones the base and appends the kept turns', async () => {
+    const model = createFakeModel({ canAppend: true });
+    const historyStore = createMemoryHistoryStore();
+    const manager = createSessionManager({ createSession: model.createSession, historyStore });
+
+    const { key, session } = await manager.acquire({ ...grounding, conversationId: 'c1' });
+    await manager.recordTurn(key, 'First?', 'One.');
+    await manager.recordTurn(key, 'Second?', 'Two.');
+
+    const kept = [{ role: 'user', content: 'First?' }, { role: 'assistant', content: 'One.' }];
+    await manager.replaceHistory(key, kept);
+    const rewound = await manager.acquire({ ...grounding, conversationId: 'c1' });
+
+    assert.equal(session.destroyed, true);
+    assert.equal(rewound.restored, true);
+    assert.equal(rewound.session.options.clonedFrom, session.options.clonedFrom);
+    assert.deepEqual(rewound.session.appended, kept);
+});
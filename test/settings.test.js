@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_SETTINGS,
+    ENDPOINT_STORAGE_KEY,
+    SETTINGS_STORAGE_KEY,
+    applyToolInstructions,
+    buildSystemPrompt,
+    loadSettings,
+    normalizeSettings,
+    previewSessionParams,
+    resolveSessionParams,
+    saveSettings
+} = require('../src/utils/settings');
+
+const API_PARAMS = { defaultTemperature: 1, maxTemperature: 2, defaultTopK: 3, maxTopK: 8 };
+
+test('normalizeSettings fills defaults and drops invalid values', () => {
+    assert.deepEqual(normalizeSettings(undefined), DEFAULT_SETTINGS);
+
+    const settings = normalizeSettings({
+        temperature: '0.4',
+        topK: 2.6,
+        persona: '  You are a patient tutor.  ',
+        answerLength: 'endless',
+        answerStyle: 'bullets',
+        toolOverrides: {
+            TLDR: { temperature: '', topK: null, instructions: '' },
+            FACT_CHECK: { temperature: 0.1, instructions: ' Cite sources. ' }
+        }
+    });
+
+    assert.equal(settings.temperature, 0.4);
+    assert.equal(settings.topK, 3);
+    assert.equal(settings.persona, 'You are a patient tutor.');
+    assert.equal(settings.answerLength, 'balanced');
+    assert.equal(settings.answerStyle, 'bullets');
+    assert.deepEqual(settings.toolOverrides, {
+        FACT_CHECK: { temperature: 0.1, topK: null, instructions: 'Cite sources.' }
+    });
+});
+
+test('resolveSessionParams prefers tool overrides, then settings, then model defaults', () => {
+    const settings = normalizeSettings({ temperature: 0.5, toolOverrides: { FACT_CHECK: { temperature: 0.1, topK: 1 } } });
+
+    assert.deepEqual(resolveSessionParams(API_PARAMS, DEFAULT_SETTINGS), { temperature: 1, topK: 3 });
+    assert.deepEqual(resolveSessionParams(API_PARAMS, settings), { temperature: 0.5, topK: 3 });
+    assert.deepEqual(resolveSessionParams(API_PARAMS, settings, 'FACT_CHECK'), { temperature: 0.1, topK: 1 });
+    assert.deepEqual(resolveSessionParams(API_PARAMS, settings, 'TLDR'), { temperature: 0.5, topK: 3 });
+});
+
+test('previewSessionParams flags values clamped to the model limits', () => {
+    const preview = previewSessionParams(API_PARAMS, normalizeSettings({ temperature: 3, topK: 4 }));
+
+    assert.deepEqual(preview.temperature, { value: 2, requested: 3, source: 'settings', clamped: true });
+    assert.deepEqual(preview.topK, { value: 4, requested: 4, source: 'settings', clamped: false });
+});
+
+test('buildSystemPrompt adds the persona and answer preferences to the base prompt', () => {
+    assert.equal(buildSystemPrompt('Base prompt.', DEFAULT_SETTINGS), 'Base prompt.');
+
+    const prompt = buildSystemPrompt('Base prompt.', normalizeSettings({ persona: 'Answer as a librarian.', answerLength: 'concise', answerStyle: 'bullets' }));
+    assert.match(prompt, /^Base prompt\.\n\nAnswer as a librarian\.\n\nKeep answers short/);
+    assert.match(prompt, /Prefer bullet points/);
+});
+
+test('applyToolInstructions appends instructions for the overridden tool only', () => {
+    const settings = normalizeSettings({ toolOverrides: { TLDR: { instructions: 'Answer in French.' } } });
+
+    assert.equal(applyToolInstructions('Summarize.', settings, 'TLDR'), 'Summarize.\n\nAdditional instructions: Answer in French.');
+    assert.equal(applyToolInstructions('Summarize.', settings, 'ENTITIES'), 'Summarize.');
+    assert.equal(applyToolInstructions('Summarize.', settings), 'Summarize.');
+});
+
+test('saveSettings stores normalized settings that loadSettings reads back', async () => {
+    const data = {};
+    const storage = {
+        async get(key) { return { [key]: data[key] }; },
+        async set(values) { Object.assign(data, values); }
+    };
+
+    const saved = await saveSettings(storage, { temperature: 0.3, answerStyle: 'casual' });
+    assert.equal(data[SETTINGS_STORAGE_KEY].temperature, 0.3);
+    assert.deepEqual(await loadSettings(storage), saved);
+});
+
+test('the endpoint and its API key stay in local storage instead of syncing', async () => {
+    const createStorage = (data) => ({
+        data,
+        async get(key) { return { [key]: data[key] }; },
+        async set(values) { Object.assign(data, values); }
+    });
+    // Older versions kept the endpoint in the synced settings
+    const sync = createStorage({ [SETTINGS_STORAGE_KEY]: { endpoint: { url: 'http://localhost:1234/v1', apiKey: 'old-key' } } });
+    const local = createStorage({});
+
+    assert.equal((await loadSettings(sync, local)).endpoint.apiKey, 'old-key');
+
+    const saved = await saveSettings(sync, { temperature: 0.3, endpoint: { url: 'http://localhost:8080/v1', apiKey: 'secret' } }, local);
+    assert.equal(sync.data[SETTINGS_STORAGE_KEY].temperature, 0.3);
+    assert.equal(sync.data[SETTINGS_STORAGE_KEY].endpoint, undefined);
+    assert.equal(local.data[ENDPOINT_STORAGE_KEY].apiKey, 'secret');
+    assert.deepEqual(await loadSettings(sync, local), saved);
+});
+
+test('normalizeSettings keeps a known backend and cleans up the endpoint', () => {
+    const settings = normalizeSettings({
+        backend: 'openai-compatible',
+        endpoint: { url: ' http://localhost:8080/v1 ', model: ' llama3 ', contextWindow: '200' }
+    });
+
+    assert.equal(settings.backend, 'openai-compatible');
+    assert.deepEqual(settings.endpoint, { url: 'http://localhost:8080/v1', model: 'llama3', apiKey: '', contextWindow: 1024 });
+    assert.equal(normalizeSettings({ backend: 'cloud' }).backend, 'auto');
+    assert.equal(normalizeSettings({ endpoint: { url: '' } }).endpoint.url, '');
+});
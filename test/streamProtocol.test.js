@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MessageType,
+    createDeltaSender,
+    createStreamRequest
+} = require('../src/utils/streamProtocol');
+
+function createRecorder() {
+    const messages = [];
+    return { messages, post: (message) => messages.push(message) };
+}
+
+test('createDeltaSender sends only new text with increasing sequence numbers', () => {
+    const { messages, post } = createRecorder();
+    const sender = createDeltaSender({ requestId: 'r1', post });
+
+    sender.push('Hel');
+    sender.push('lo');
+
+    assert.deepEqual(messages, [
+        { type: MessageType.DELTA, requestId: 'r1', seq: 1, text: 'Hel' },
+        { type: MessageType.DELTA, requestId: 'r1', seq: 2, text: 'lo' }
+    ]);
+});
+
+test('createDeltaSender coalesces text while the receiver is behind', () => {
+    const { messages, post } = createRecorder();
+    const sender = createDeltaSender({ requestId: 'r1', post, maxInFlight: 2 });
+
+    sender.push('a');
+    sender.push('b');
+    sender.push('c');
+    sender.push('d');
+    assert.equal(messages.length, 2);
+    assert.equal(sender.buffered, 'cd');
+
+    sender.ack(1);
+    assert.deepEqual(messages[2], { type: MessageType.DELTA, requestId: 'r1', seq: 3, text: 'cd' });
+    assert.equal(sender.inFlight, 2);
+});
+
+test('createStreamRequest flushes buffered text before the done message', () => {
+    const { messages, post } = createRecorder();
+    const stream = createStreamRequest({ requestId: 'r1', maxInFlight: 1 });
+
+    stream.attach(post);
+    stream.delta('one ');
+    stream.delta('two');
+    stream.finish({ response: 'one two' });
+
+    assert.deepEqual(messages.map((message) => message.type), [
+        MessageType.START,
+        MessageType.DELTA,
+        MessageType.DELTA,
+        MessageType.DONE
+    ]);
+    assert.equal(messages[2].text, 'two');
+    assert.equal(stream.settled, true);
+});
+
+test('createStreamRequest resumes a reattached port from the received offset', () => {
+    const first = createRecorder();
+    const second = createRecorder();
+    const stream = createStreamRequest({ requestId: 'r1' });
+
+    stream.attach(first.post);
+    stream.delta('Hello ');
+    stream.detach();
+    stream.delta('world');
+    stream.progress({ kind: 'usage', used: 1 });
+    stream.finish({ response: 'Hello world' });
+
+    stream.attach(second.post, 'Hello '.length);
+
+    assert.deepEqual(second.messages, [
+        { type: MessageType.START, requestId: 'r1', resumed: true },
+        { type: MessageType.DELTA, requestId: 'r1', seq: 1, text: 'world' },
+        { type: MessageType.DONE, requestId: 'r1', response: 'Hello world' }
+    ]);
+});
+
+test('createStreamRequest reports failures once and ignores later output', () => {
+    const { messages, post } = createRecorder();
+    const stream = createStreamRequest({ requestId: 'r1' });
+
+    stream.attach(post);
+    stream.fail(new Error('Model crashed'));
+    stream.delta('late');
+    stream.finish({ response: 'late' });
+
+    assert.deepEqual(messages.slice(1), [
+        { type: MessageType.ERROR, requestId: 'r1', error: 'Model crashed' }
+    ]);
+});
+
+test('createStreamRequest forwards the code and details of typed errors', () => {
+    const { messages, post } = createRecorder();
+    const stream = createStreamRequest({ requestId: 'r1' });
+
+    stream.attach(post);
+    stream.fail(Object.assign(new Error('Bad format'), { code: 'structured_output_invalid', details: { errors: ['$.claim is required'] } }));
+
+    assert.deepEqual(messages[1], {
+        type: MessageType.ERROR,
+        requestId: 'r1',
+        error: 'Bad format',
+        code: 'structured_output_invalid',
+        details: { errors: ['$.claim is required'] }
+    });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    STRUCTURED_OUTPUT_ERROR,
+    StructuredOutputError,
+    buildRepairPrompt,
+    coerceToSchema,
+    parsePartialJson,
+    parseStructuredResponse,
+    repairJson,
+    validateAgainstSchema
+} = require('../src/utils/structuredOutput');
+const { BUILTIN_SCHEMAS } = require('../src/utils/toolRegistry');
+
+const CLAIM_SCHEMA = BUILTIN_SCHEMAS.FACT_CHECK.properties.claims.items;
+
+test('repairJson strips code fences, prose and trailing commas', () => {
+    assert.equal(repairJson('Here you go:\n```json\n{"a": [1, 2,],}\n```'), '{"a": [1, 2]}');
+});
+
+test('repairJson closes truncated output at the last complete value', () => {
+    assert.deepEqual(JSON.parse(repairJson('{"claim": "Sky is blue", "verdict": "Tr')), { claim: 'Sky is blue', verdict: 'Tr' });
+    assert.deepEqual(JSON.parse(repairJson('{"people": ["Ada"], "organiz')), { people: ['Ada'] });
+    assert.deepEqual(JSON.parse(repairJson('{"confidence": 0.')), {});
+});
+
+test('parsePartialJson returns progressively larger objects while streaming', () => {
+    const full = '{"summary": "Short", "takeaways": ["One", "Two"]}';
+    const snapshots = [13, 20, 41, full.length].map((length) => parsePartialJson(full.slice(0, length)));
+
+    assert.deepEqual(snapshots, [
+        { summary: '' },
+        { summary: 'Short' },
+        { summary: 'Short', takeaways: ['One'] },
+        { summary: 'Short', takeaways: ['One', 'Two'] }
+    ]);
+    assert.equal(parsePartialJson('Thinking...'), null);
+});
+
+test('coerceToSchema fixes types, enum casing, extra keys and long arrays', () => {
+    const value = coerceToSchema({
+        claim: 'Claim',
+        verdict: 'false',
+        explanation: 42,
+        confidence: '80%',
+        evidence: { quote: 'A quote from the page', stance: 'supports' },
+        source: 'extra'
+    }, CLAIM_SCHEMA);
+
+    assert.deepEqual(value, {
+        claim: 'Claim',
+        verdict: 'False',
+        explanation: '42',
+        confidence: 0.8,
+        evidence: [{ quote: 'A quote from the page', stance: 'supports' }]
+    });
+    assert.equal(coerceToSchema(['a', 'b', 'c', 'd', 'e', 'f'], BUILTIN_SCHEMAS.TLDR.properties.takeaways).length, 5);
+    assert.equal(coerceToSchema(75, CLAIM_SCHEMA.properties.confidence), 0.75);
+});
+
+test('validateAgainstSchema reports paths for each problem', () => {
+    const errors = validateAgainstSchema({ claims: [{ claim: 1, verdict: 'Maybe', confidence: 2, evidence: [] }] }, BUILTIN_SCHEMAS.FACT_CHECK);
+
+    assert.deepEqual(errors, [
+        '$.claims[0].explanation is required',
+        '$.claims[0].claim should be string',
+        '$.claims[0].verdict should be one of: True, False, Mixed, Unverified',
+        '$.claims[0].confidence should be at most 1'
+    ]);
+});
+
+test('parseStructuredResponse repairs what it can and reports the rest', () => {
+    const repaired = parseStructuredResponse('```json\n{"people": "Ada", "organizations": [], "locations": []}\n```', BUILTIN_SCHEMAS.ENTITIES);
+    assert.equal(repaired.ok, true);
+    assert.equal(repaired.repaired, true);
+    assert.deepEqual(repaired.value.people, ['Ada']);
+
+    const invalid = parseStructuredResponse('{"summary": "Only this"}', BUILTIN_SCHEMAS.TLDR);
+    assert.equal(invalid.ok, false);
+    assert.equal(invalid.errors.length, 3);
+
+    assert.deepEqual(parseStructuredResponse('I cannot help', BUILTIN_SCHEMAS.TLDR).errors, ['Response is not valid JSON']);
+});
+
+test('buildRepairPrompt and StructuredOutputError carry the validation errors', () => {
+    const prompt = buildRepairPrompt({ errors: ['$.claim is required'], raw: '{}', schema: { type: 'object' } });
+    assert.match(prompt, /- \$\.claim is required/);
+    assert.match(prompt, /Previous answer:\n\{\}/);
+
+    const error = new StructuredOutputError(['$.claim is required'], '{}');
+    assert.equal(error.code, STRUCTURED_OUTPUT_ERROR);
+    assert.deepEqual(error.details, { errors: ['$.claim is required'], raw: '{}' });
+});
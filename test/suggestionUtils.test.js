@@ -51,3 +51,18 @@ test('getFallbackSuggestions rotates away from already used prompts', () => {
     ]);
 });
 
+
+test('getFallbackSuggestions starts from the pool for the page type', () => {
+    assert.deepEqual(getFallbackSuggestions(['What are the ingredients?'], 'recipe'), [
+        'How long does it take?',
+        'What can I substitute?',
+        'Can I make this ahead?'
+    ]);
+    assert.deepEqual(getFallbackSuggestions([], 'unknown'), getFallbackSuggestions([]));
+});
+
+test('buildSuggestionPrompt describes the page type when it is known', () => {
+    const prompt = buildSuggestionPrompt({ content: 'Body', title: 'Paper', url: 'https://arxiv.org/abs/1', pageType: 'research' });
+    assert.match(prompt, /This page is a research paper; focus on the methodology/);
+    assert.doesNotMatch(buildSuggestionPrompt({ content: 'Body' }), /This page is/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createTabStateStore,
+    describeTabUpdate,
+    isSamePage
+} = require('../src/utils/tabContext');
+
+test('isSamePage ignores the hash but not the path or query', () => {
+    assert.equal(isSamePage('https://example.com/post#comments', 'https://example.com/post'), true);
+    assert.equal(isSamePage('https://example.com/post?page=2', 'https://example.com/post'), false);
+    assert.equal(isSamePage('https://example.com/a', 'https://example.com/b'), false);
+    assert.equal(isSamePage('', ''), false);
+});
+
+test('describeTabUpdate reports completed loads and history navigations only', () => {
+    const tab = { windowId: 7, url: 'https://example.com/next', title: 'Next' };
+
+    assert.deepEqual(describeTabUpdate(3, { status: 'complete' }, tab), {
+        reason: 'navigated', tabId: 3, windowId: 7, url: 'https://example.com/next', title: 'Next'
+    });
+    assert.equal(describeTabUpdate(3, { url: 'https://example.com/spa/route' }, tab).url, 'https://example.com/spa/route');
+    assert.equal(describeTabUpdate(3, { status: 'loading', url: 'https://example.com/next' }, tab), null);
+    assert.equal(describeTabUpdate(3, { title: 'Renamed' }, tab), null);
+});
+
+test('tab state store evicts the least recently parked tab', () => {
+    const store = createTabStateStore(2);
+    store.set(1, { name: 'one' });
+    store.set(2, { name: 'two' });
+    store.set(1, { name: 'one again' });
+    store.set(3, { name: 'three' });
+
+    assert.equal(store.size, 2);
+    assert.equal(store.get(2), null);
+    assert.deepEqual(store.get(1), { name: 'one again' });
+    assert.equal(store.delete(3), true);
+    assert.equal(store.get(3), null);
+});
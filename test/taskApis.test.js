@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    baseLanguage,
+    buildSummarizerTldr,
+    getTaskApiStatus,
+    isSameLanguage,
+    parseKeyPoints,
+    pickDetectedLanguage,
+    sampleForDetection
+} = require('../src/utils/taskApis');
+const { BUILTIN_SCHEMAS } = require('../src/utils/toolRegistry');
+const { validateAgainstSchema } = require('../src/utils/structuredOutput');
+
+test('getTaskApiStatus reports missing APIs and availability errors', async () => {
+    const scope = {
+        Summarizer: { availability: async () => 'downloadable' },
+        Translator: { availability: async () => { throw new Error('Unsupported language pair'); } }
+    };
+
+    assert.equal(await getTaskApiStatus(scope, 'summarizer'), 'downloadable');
+    assert.equal(await getTaskApiStatus(scope, 'translator', { sourceLanguage: 'de', targetLanguage: 'xx' }), 'unavailable');
+    assert.equal(await getTaskApiStatus(scope, 'languageDetector'), 'unsupported');
+});
+
+test('pickDetectedLanguage keeps confident results only', () => {
+    assert.deepEqual(pickDetectedLanguage([{ detectedLanguage: 'de-AT', confidence: 0.92 }, { detectedLanguage: 'en', confidence: 0.05 }]), { language: 'de', confidence: 0.92 });
+    assert.equal(pickDetectedLanguage([{ detectedLanguage: 'fr', confidence: 0.3 }]), null);
+    assert.equal(pickDetectedLanguage([{ detectedLanguage: 'und', confidence: 0.99 }]), null);
+    assert.equal(pickDetectedLanguage([]), null);
+});
+
+test('languages compare by their base tag', () => {
+    assert.equal(baseLanguage('pt_BR'), 'pt');
+    assert.ok(isSameLanguage('en-US', 'en'));
+    assert.ok(!isSameLanguage('', ''));
+    assert.equal(sampleForDetection('  Hallo \n\n  Welt  '), 'Hallo Welt');
+});
+
+test('Summarizer output becomes a valid TL;DR', () => {
+    const tldr = buildSummarizerTldr({
+        headline: ' City approves new tram line ',
+        keyPoints: '* **Budget** of 2 billion\n- Opens in 2030\n1. Six new stops\n\n- Buses rerouted\n- Fares unchanged\n- Extra point',
+        readingTime: '4 min'
+    });
+
+    assert.equal(tldr.summary, 'City approves new tram line');
+    assert.deepEqual(tldr.takeaways, ['Budget of 2 billion', 'Opens in 2030', 'Six new stops', 'Buses rerouted', 'Fares unchanged']);
+    assert.deepEqual(validateAgainstSchema(tldr, BUILTIN_SCHEMAS.TLDR), []);
+    assert.deepEqual(parseKeyPoints(''), []);
+});
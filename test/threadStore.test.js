@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createThreadStore,
+    normalizePageUrl,
+    selectEvictions,
+    toSessionHistory
+} = require('../src/utils/threadStore');
+
+function createMemoryStorage() {
+    const data = {};
+    return {
+        data,
+        async get(keys) {
+            const list = Array.isArray(keys) ? keys : [keys];
+            return Object.fromEntries(list.filter((key) => key in data).map((key) => [key, structuredClone(data[key])]));
+        },
+        async set(items) {
+            Object.assign(data, structuredClone(items));
+        },
+        async remove(keys) {
+            (Array.isArray(keys) ? keys : [keys]).forEach((key) => delete data[key]);
+        }
+    };
+}
+
+function createThread(id, content = 'What is this about?') {
+    return {
+        id,
+        url: `https://example.com/${id}#section`,
+        title: `Article ${id}`,
+        messages: [
+            { id: 1, type: 'user', content },
+            { id: 2, type: 'assistant', content: 'It is about testing.' }
+        ]
+    };
+}
+
+test('normalizePageUrl drops the fragment so anchors map to the same page', () => {
+    assert.equal(normalizePageUrl('https://example.com/a?b=1#top'), 'https://example.com/a?b=1');
+});
+
+test('save and list keep pinned threads first, then most recently updated', async () => {
+    let clock = 0;
+    const store = createThreadStore({ storage: createMemoryStorage(), now: () => ++clock });
+
+    await store.save(createThread('a'));
+    await store.save(createThread('b'));
+    await store.save(createThread('c'));
+    await store.setPinned('a', true);
+
+    const entries = await store.list();
+    assert.deepEqual(entries.map((entry) => entry.id), ['a', 'c', 'b']);
+    assert.equal(entries[0].preview, 'What is this about?');
+    assert.equal(entries[0].pageUrl, 'https://example.com/a');
+});
+
+test('list filters threads to a single page', async () => {
+    const store = createThreadStore({ storage: createMemoryStorage() });
+    await store.save(createThread('a'));
+    await store.save(createThread('b'));
+
+    const entries = await store.list({ url: 'https://example.com/b' });
+    assert.deepEqual(entries.map((entry) => entry.id), ['b']);
+});
+
+test('concurrent saves, pins and removals all land in the index', async () => {
+    const store = createThreadStore({ storage: createMemoryStorage() });
+    await store.save(createThread('a'));
+
+    await Promise.all([store.save(createThread('b')), store.save(createThread('c')), store.setPinned('a', true), store.remove('a')]);
+    await Promise.all([store.save(createThread('d')), store.remove('b')]);
+
+    assert.deepEqual((await store.list()).map((entry) => entry.id).sort(), ['c', 'd']);
+});
+
+test('search matches message text across threads', async () => {
+    const store = createThreadStore({ storage: createMemoryStorage() });
+    await store.save(createThread('a', 'Who funded the battery study?'));
+    await store.save(createThread('b', 'Summarize the recipe'));
+
+    const results = await store.search('battery funded');
+    assert.deepEqual(results.map((entry) => entry.id), ['a']);
+});
+
+test('save evicts the oldest unpinned threads once the size cap is exceeded', async () => {
+    let clock = 0;
+    const storage = createMemoryStorage();
+    const probe = createThreadStore({ storage: createMemoryStorage() });
+    const { thread } = await probe.save(createThread('probe'));
+    const threadSize = JSON.stringify(thread).length;
+
+    const store = createThreadStore({ storage, maxBytes: threadSize * 2.5, now: () => ++clock });
+    await store.save(createThread('old'));
+    await store.setPinned('old', true);
+    await store.save(createThread('mid'));
+    const { evicted } = await store.save(createThread('new'));
+
+    assert.deepEqual(evicted, ['mid']);
+    assert.deepEqual((await store.list()).map((entry) => entry.id), ['old', 'new']);
+    assert.equal(await store.get('mid'), null);
+});
+
+test('selectEvictions never evicts pinned threads', () => {
+    const evictions = selectEvictions([
+        { id: 'a', size: 100, updatedAt: 1, pinned: true },
+        { id: 'b', size: 100, updatedAt: 2 },
+        { id: 'c', size: 100, updatedAt: 3 }
+    ], 150);
+
+    assert.deepEqual(evictions, ['b', 'c']);
+});
+
+test('toSessionHistory keeps only chat turns that reached the conversation session', () => {
+    const history = toSessionHistory([
+        { type: 'user', content: 'Question one' },
+        { type: 'assistant', content: 'Answer one' },
+        { type: 'user', content: 'Summarize', feature: 'TLDR' },
+        { type: 'assistant', content: '{"summary":""}', feature: 'TLDR' },
+        { type: 'user', content: 'Question two' },
+        { type: 'assistant', content: 'Partial', interrupted: true }
+    ]);
+
+    assert.deepEqual(history, [
+        { role: 'user', content: 'Question one' },
+        { role: 'assistant', content: 'Answer one' }
+    ]);
+});
+
+test('toSessionHistory restores questions about a selection with the highlighted passage', () => {
+    const history = toSessionHistory([
+        { type: 'user', content: 'What does this mean?', selection: { text: 'Quantitative easing expands the money supply.' } },
+        { type: 'assistant', content: 'It means...' }
+    ]);
+
+    assert.match(history[0].content, /Quantitative easing expands the money supply\.[\s\S]*What does this mean\?$/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    BUILTIN_SCHEMAS,
+    createSchemaRegistry,
+    normalizeToolDefinition,
+    parseToolsImport,
+    renderPromptTemplate,
+    serializeTools,
+    toolsForPageType,
+    validateToolDefinition
+} = require('../src/utils/toolRegistry');
+
+const PROS_CONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        pros: { type: 'array', items: { type: 'string' } },
+        cons: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+function createTool(overrides = {}) {
+    return normalizeToolDefinition({
+        label: 'Pros & Cons',
+        icon: 'Scale',
+        prompt: 'List the pros and cons in {{title}}.',
+        schema: PROS_CONS_SCHEMA,
+        render: 'badges',
+        ...overrides
+    });
+}
+
+test('normalizeToolDefinition derives a custom id and drops the render template for free-text tools', () => {
+    assert.equal(createTool().id, 'custom_pros_cons');
+    assert.equal(createTool({ schema: null, render: 'table' }).render, null);
+});
+
+test('validateToolDefinition reports missing fields and malformed schemas', () => {
+    assert.deepEqual(validateToolDefinition(createTool()), []);
+
+    const errors = validateToolDefinition({ id: 'TLDR', label: '', prompt: '', schema: [], render: 'chart' });
+    assert.equal(errors.length, 5);
+});
+
+test('renderPromptTemplate fills known placeholders and blanks unknown ones', () => {
+    assert.equal(
+        renderPromptTemplate('Review {{ title }} at {{url}}{{missing}}', { title: 'Battery study', url: 'https://example.com' }),
+        'Review Battery study at https://example.com'
+    );
+});
+
+test('serializeTools round-trips through parseToolsImport', () => {
+    const { tools, errors } = parseToolsImport(serializeTools([createTool()]));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(tools, [createTool()]);
+});
+
+test('parseToolsImport keeps valid tools and reports the invalid ones', () => {
+    const { tools, errors } = parseToolsImport(JSON.stringify([
+        createTool(),
+        { label: 'Broken', prompt: '', schema: { type: 'object' }, render: 'card' }
+    ]));
+
+    assert.deepEqual(tools.map((tool) => tool.id), ['custom_pros_cons']);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Tool 2 \(Broken\): Prompt template is required/);
+    assert.deepEqual(parseToolsImport('not json').errors, ['File is not valid JSON']);
+});
+
+test('toolsForPageType puts matching page-type tools first and hides the rest', () => {
+    const tools = [
+        { id: 'TLDR' },
+        { id: 'RECIPE', pageTypes: ['recipe'] },
+        { id: 'PRODUCT', pageTypes: ['product'] },
+        { id: 'custom_notes' }
+    ];
+
+    assert.deepEqual(toolsForPageType(tools, 'recipe').map((tool) => tool.id), ['RECIPE', 'TLDR', 'custom_notes']);
+    assert.deepEqual(toolsForPageType(tools).map((tool) => tool.id), ['TLDR', 'custom_notes']);
+});
+
+test('schema registry resolves built-in and custom schemas and reloads after invalidate', async () => {
+    let stored = [createTool()];
+    let loads = 0;
+    const registry = createSchemaRegistry({
+        loadCustom: async () => {
+            loads++;
+            return stored;
+        }
+    });
+
+    assert.equal(await registry.resolve('TLDR'), BUILTIN_SCHEMAS.TLDR);
+    assert.equal(await registry.resolve('MULTIMODAL'), null);
+    assert.equal(loads, 0);
+
+    assert.deepEqual(await registry.resolve('custom_pros_cons'), PROS_CONS_SCHEMA);
+    assert.deepEqual(await registry.resolve('custom_pros_cons'), PROS_CONS_SCHEMA);
+    assert.equal(loads, 1);
+
+    stored = [];
+    registry.invalidate();
+    assert.equal(await registry.resolve('custom_pros_cons'), null);
+    assert.equal(loads, 2);
+});